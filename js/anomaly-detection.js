@@ -0,0 +1,152 @@
+/**
+ * Anomaly Detection for Clearly Politics
+ * Flags periods whose incident count is far above a seasonal baseline of
+ * comparable earlier periods: the same weekday in recent weeks for daily
+ * counts, the same weeks of earlier years for weekly counts. A period is
+ * flagged only when the Poisson exceedance test and the robust z-score
+ * both find it unusual. Scanning every state and period runs many tests,
+ * so controlFalseDiscoveries() holds flags to a false discovery rate
+ * across all of them. Series are arrays of counts with null for periods
+ * the sources did not fully cover, oldest first.
+ */
+
+// The shared loader; a global in the browser (js/module-loader.js)
+var requireModule = requireModule || require('./module-loader');
+
+const DEFAULT_ALPHA = 0.001;
+const DEFAULT_FALSE_DISCOVERY_RATE = 0.05;
+const MIN_BASELINE = 4;
+const SEVERITY_ORDER = ['severe', 'high', 'elevated'];
+
+class AnomalyDetection {
+    /**
+     * Evaluate every period from start on against its baseline. Periods
+     * without enough baseline observations are skipped.
+     * @param {string} granularity - 'day' or 'week'
+     * @returns {Array} [{ index, observed, expected, median, zScore, pValue, ratio, flagged, severity, baselineMethod, baselinePeriods }]
+     */
+    static scan(series, { granularity = 'week', start = 0, ...thresholds } = {}) {
+        const results = [];
+        for (let index = Math.max(start, 0); index < series.length; index++) {
+            if (series[index] === null) continue;
+            const baseline = AnomalyDetection.baseline(series, index, granularity);
+            if (!baseline) continue;
+            results.push({
+                index,
+                ...AnomalyDetection.evaluate(series[index], baseline.values, thresholds),
+                baselineMethod: baseline.method,
+                baselinePeriods: baseline.values.length
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Earlier counts comparable to the one at index. Days compare with the
+     * same weekday over the previous eight weeks. Weeks compare with the
+     * five weeks around the same week in up to three earlier years, or with
+     * the previous eight weeks until a year of history exists.
+     * @returns {Object|null} { values, method } or null with too few observations
+     */
+    static baseline(series, index, granularity) {
+        const pick = lags => lags
+            .map(lag => series[index - lag])
+            .filter(value => value !== null && value !== undefined);
+
+        const candidates = granularity === 'day'
+            ? [{ lags: [7, 14, 21, 28, 35, 42, 49, 56], method: 'same weekday, previous 8 weeks' }]
+            : [
+                {
+                    lags: [1, 2, 3].flatMap(years => [-2, -1, 0, 1, 2].map(offset => 52 * years + offset)),
+                    method: 'same weeks of earlier years'
+                },
+                { lags: [1, 2, 3, 4, 5, 6, 7, 8], method: 'previous 8 weeks' }
+            ];
+
+        for (const { lags, method } of candidates) {
+            const values = pick(lags);
+            if (values.length >= MIN_BASELINE) return { values, method };
+        }
+        return null;
+    }
+
+    /**
+     * Test one count against its baseline counts. The expected count is the
+     * baseline mean with half an incident added, so that an all-zero
+     * baseline does not make a single incident infinitely surprising. The
+     * z-score uses the median and MAD, with the Poisson spread as a floor.
+     * @param {Object} thresholds - { alpha, zThreshold, minCount }
+     */
+    static evaluate(observed, baseline, { alpha = DEFAULT_ALPHA, zThreshold = 3, minCount = 3 } = {}) {
+        const expected = (baseline.reduce((sum, value) => sum + value, 0) + 0.5) / baseline.length;
+        const median = AnomalyDetection.median(baseline);
+        const spread = Math.max(1.4826 * AnomalyDetection.median(baseline.map(value => Math.abs(value - median))), Math.sqrt(Math.max(median, 1)));
+        const zScore = (observed - median) / spread;
+        // P(X >= observed) for a Poisson count with the expected mean
+        const pValue = observed > 0 ? requireModule('./inference', 'Inference').regularizedGammaP(observed, expected) : 1;
+        const flagged = observed >= minCount && pValue < alpha && zScore >= zThreshold;
+
+        return {
+            observed,
+            expected,
+            median,
+            zScore,
+            pValue,
+            ratio: observed / expected,
+            flagged,
+            severity: flagged ? AnomalyDetection.severity(pValue) : null
+        };
+    }
+
+    /**
+     * Benjamini-Hochberg adjustment over a set of results from evaluate():
+     * each gets the q-value of its p-value, and stays flagged only when
+     * that is below the false discovery rate
+     * @returns {Array} the results with qValue added, flagged and severity updated
+     */
+    static controlFalseDiscoveries(results, { rate = DEFAULT_FALSE_DISCOVERY_RATE } = {}) {
+        const order = results.map((result, index) => index).sort((a, b) => results[a].pValue - results[b].pValue);
+        const qValues = new Array(results.length);
+        let running = 1;
+        for (let rank = order.length; rank >= 1; rank--) {
+            const index = order[rank - 1];
+            running = Math.min(running, results[index].pValue * results.length / rank);
+            qValues[index] = running;
+        }
+
+        return results.map((result, index) => {
+            const flagged = result.flagged && qValues[index] < rate;
+            return { ...result, qValue: qValues[index], flagged, severity: flagged ? result.severity : null };
+        });
+    }
+
+    /**
+     * 'severe' below one in a million, 'high' below one in ten thousand,
+     * otherwise 'elevated'
+     */
+    static severity(pValue) {
+        if (pValue < 1e-6) return 'severe';
+        if (pValue < 1e-4) return 'high';
+        return 'elevated';
+    }
+
+    /**
+     * Most severe first, then by p-value
+     */
+    static compare(a, b) {
+        return SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || a.pValue - b.pValue;
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnomalyDetection;
+} else {
+    window.AnomalyDetection = AnomalyDetection;
+}
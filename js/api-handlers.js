@@ -7,7 +7,7 @@ class APIHandlers {
     constructor() {
         this.baseUrls = {
             gunViolenceArchive: 'https://www.gunviolencearchive.org/query',
-            fbiUCR: 'https://api.fbi.gov/wanted/v1',
+            fbiCDE: 'https://cde.ucr.cjis.gov',
             johnHopkins: 'https://publichealth.jhu.edu/api', // Note: May need proxy
             protectDemocracy: 'https://protectdemocracy.org/api', // Note: May need proxy  
             csis: 'https://www.csis.org/api', // Note: May need proxy
@@ -131,33 +131,21 @@ class APIHandlers {
 
     /**
      * State Political Classifications
-     * Based on recent election results
+     * Computed from election results under a named scheme (see js/political-classification.js)
      */
-    async fetchStateClassifications() {
-        const classifications = {
-            red: [
-                'AL', 'AK', 'AR', 'FL', 'ID', 'IN', 'IA', 'KS', 'KY', 'LA',
-                'MS', 'MO', 'MT', 'NE', 'ND', 'OH', 'OK', 'SC', 'SD', 'TN',
-                'TX', 'UT', 'WV', 'WY'
-            ],
-            blue: [
-                'CA', 'CO', 'CT', 'DE', 'HI', 'IL', 'ME', 'MD', 'MA', 'MI',
-                'MN', 'NV', 'NH', 'NJ', 'NM', 'NY', 'OR', 'RI', 'VT', 'VA',
-                'WA', 'DC'
-            ],
-            swing: [
-                'AZ', 'GA', 'NC', 'PA', 'WI'
-            ]
-        };
+    async fetchStateClassifications(options = {}) {
+        const elections = await this.fetchWithCache('election_results', 'data/sources/elections.json');
+        const classification = new PoliticalClassifier(elections).classify(options);
 
         // Add population data for per capita calculations
         const populationData = await this.fetchCensusData();
         
         return {
-            classifications,
+            classifications: classification.groups,
             populationData,
-            lastElection: '2024',
-            methodology: 'Based on 2020 and 2024 presidential election results'
+            lastElection: String(classification.electionYear),
+            scheme: PoliticalClassifier.describe(classification),
+            methodology: classification.description
         };
     }
 
@@ -238,31 +226,14 @@ class APIHandlers {
 
     /**
      * FBI Hate Crime Statistics
+     * Collected from the FBI Crime Data Explorer by scripts/sources/hate-crimes.js
      */
     async fetchFBIHateCrimeData() {
-        try {
-            // FBI Uniform Crime Reporting hate crime data
-            const url = 'https://api.fbi.gov/wanted/v1/list'; // This is not the real endpoint
-            
-            const mockData = {
-                incidents: 8263,
-                victims: 11129,
-                breakdown: {
-                    race: 4954,
-                    religion: 1244,
-                    sexualOrientation: 1238,
-                    ethnicity: 494,
-                    disability: 157,
-                    genderIdentity: 176
-                },
-                year: 2023
-            };
-
-            return mockData;
-        } catch (error) {
-            console.error('Error fetching FBI hate crime data:', error);
-            throw error;
+        const data = await this.fetchWithCache('processed_data', 'data/processed/latest.json');
+        if (!data.hateCrimes) {
+            throw new Error('No FBI hate crime data in the processed dataset');
         }
+        return data.hateCrimes;
     }
 
     /**
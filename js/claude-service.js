@@ -1,14 +1,22 @@
-const axios = require('axios');
-
 class ClaudeService {
     constructor(apiKey) {
         this.apiKey = apiKey;
         this.baseUrl = 'https://api.anthropic.com/v1';
     }
 
+    /**
+     * axios is a package in Node and a global in the browser
+     */
+    static axios() {
+        if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+            return require('axios');
+        }
+        return window.axios;
+    }
+
     async analyzeText(content) {
         try {
-            const response = await axios.post(
+            const response = await ClaudeService.axios().post(
                 `${this.baseUrl}/messages`,
                 {
                     model: 'claude-3-opus-20240229',
@@ -59,3 +67,10 @@ class ClaudeService {
         }
     }
 }
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClaudeService;
+} else {
+    window.ClaudeService = ClaudeService;
+}
@@ -0,0 +1,226 @@
+/**
+ * Correlation Analysis for Clearly Politics
+ * Pearson, Spearman and Kendall coefficients with bootstrap confidence
+ * intervals, a permutation test and leave-one-out influence per point.
+ * With a few dozen states one state can move r a long way, so every
+ * correlation the dashboard reports should come with these.
+ * Resampling uses a seeded generator: the same data gives the same output.
+ */
+
+// The shared loader; a global in the browser (js/module-loader.js)
+var requireModule = requireModule || require('./module-loader');
+
+const DEFAULT_RESAMPLES = 2000;
+const DEFAULT_SEED = 20240101;
+
+class Correlation {
+    /**
+     * Pearson's r; 0 when either variable is constant
+     */
+    static pearson(x, y) {
+        const n = x.length;
+        const sumX = x.reduce((a, b) => a + b, 0);
+        const sumY = y.reduce((a, b) => a + b, 0);
+        const sumXY = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
+        const sumX2 = x.reduce((sum, xi) => sum + xi * xi, 0);
+        const sumY2 = y.reduce((sum, yi) => sum + yi * yi, 0);
+
+        const numerator = n * sumXY - sumX * sumY;
+        const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
+
+        return denominator === 0 ? 0 : numerator / denominator;
+    }
+
+    /**
+     * Spearman's rho: Pearson's r of the ranks, ties sharing their average rank
+     */
+    static spearman(x, y) {
+        return Correlation.pearson(Correlation.ranks(x), Correlation.ranks(y));
+    }
+
+    /**
+     * Kendall's tau-b, which corrects for ties in either variable
+     */
+    static kendall(x, y) {
+        let concordant = 0;
+        let discordant = 0;
+        let tiesX = 0;
+        let tiesY = 0;
+        for (let i = 0; i < x.length; i++) {
+            for (let j = i + 1; j < x.length; j++) {
+                const sign = Math.sign(x[i] - x[j]) * Math.sign(y[i] - y[j]);
+                if (sign > 0) concordant++;
+                else if (sign < 0) discordant++;
+                else if (x[i] === x[j] && y[i] !== y[j]) tiesX++;
+                else if (y[i] === y[j] && x[i] !== x[j]) tiesY++;
+            }
+        }
+        const denominator = Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+        return denominator === 0 ? 0 : (concordant - discordant) / denominator;
+    }
+
+    static ranks(values) {
+        const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+        const ranks = new Array(values.length);
+        for (let start = 0; start < order.length;) {
+            let end = start;
+            while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+            const rank = (start + end) / 2 + 1;
+            for (let k = start; k <= end; k++) ranks[order[k].index] = rank;
+            start = end + 1;
+        }
+        return ranks;
+    }
+
+    /**
+     * Two-sided p-value of r against zero: t test for Pearson and Spearman,
+     * normal approximation for Kendall
+     */
+    static pValue(coefficient, n, method = 'pearson') {
+        if (n < 3) return null;
+        const Inference = requireModule('./inference', 'Inference');
+        if (method === 'kendall') {
+            return Inference.twoSidedP(coefficient / Math.sqrt(2 * (2 * n + 5) / (9 * n * (n - 1))));
+        }
+        if (Math.abs(coefficient) >= 1) return 0;
+        return Inference.twoSidedTP(coefficient * Math.sqrt((n - 2) / (1 - coefficient * coefficient)), n - 2);
+    }
+
+    /**
+     * Percentile bootstrap interval for a correlation, resampling pairs.
+     * Resamples where either variable is constant are dropped.
+     * @returns {Object} { lower, upper, confidence, resamples }
+     */
+    static bootstrap(x, y, { statistic = Correlation.pearson, resamples = DEFAULT_RESAMPLES, confidence = 0.95, seed = DEFAULT_SEED } = {}) {
+        const random = Correlation.random(seed);
+        const n = x.length;
+        const estimates = [];
+
+        for (let b = 0; b < resamples; b++) {
+            const sampleX = new Array(n);
+            const sampleY = new Array(n);
+            for (let i = 0; i < n; i++) {
+                const pick = Math.floor(random() * n);
+                sampleX[i] = x[pick];
+                sampleY[i] = y[pick];
+            }
+            if (sampleX.every(value => value === sampleX[0]) || sampleY.every(value => value === sampleY[0])) continue;
+            estimates.push(statistic(sampleX, sampleY));
+        }
+
+        if (estimates.length === 0) {
+            return { lower: null, upper: null, confidence, resamples: 0 };
+        }
+        estimates.sort((a, b) => a - b);
+        const alpha = (1 - confidence) / 2;
+        const at = p => estimates[Math.min(estimates.length - 1, Math.max(0, Math.floor(p * estimates.length)))];
+        return { lower: at(alpha), upper: at(1 - alpha), confidence, resamples: estimates.length };
+    }
+
+    /**
+     * Two-sided permutation p-value: how often shuffling y gives a
+     * coefficient at least as far from zero as the observed one
+     * @returns {Object} { pValue, permutations }
+     */
+    static permutationTest(x, y, { statistic = Correlation.pearson, permutations = DEFAULT_RESAMPLES, seed = DEFAULT_SEED } = {}) {
+        const random = Correlation.random(seed);
+        const observed = Math.abs(statistic(x, y));
+        const shuffled = [...y];
+        let extreme = 0;
+
+        for (let p = 0; p < permutations; p++) {
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            // A small tolerance keeps exact ties from being lost to rounding
+            if (Math.abs(statistic(x, shuffled)) >= observed - 1e-12) extreme++;
+        }
+
+        return { pValue: (extreme + 1) / (permutations + 1), permutations };
+    }
+
+    /**
+     * Leave-one-out influence of each point on Pearson's r and on the
+     * least-squares line of y on x. A point has high leverage above 4/n
+     * (twice the mean) and is influential when Cook's distance exceeds 4/n.
+     * @returns {Array} [{ index, correlationWithout, change, leverage, cooksDistance, highLeverage, influential }]
+     */
+    static leaveOneOut(x, y) {
+        const n = x.length;
+        const r = Correlation.pearson(x, y);
+        const meanX = x.reduce((a, b) => a + b, 0) / n;
+        const meanY = y.reduce((a, b) => a + b, 0) / n;
+        const sxx = x.reduce((sum, value) => sum + (value - meanX) ** 2, 0);
+        const slope = sxx > 0 ? x.reduce((sum, value, i) => sum + (value - meanX) * (y[i] - meanY), 0) / sxx : 0;
+        const residuals = y.map((value, i) => value - (meanY + slope * (x[i] - meanX)));
+        const variance = n > 2 ? residuals.reduce((sum, value) => sum + value * value, 0) / (n - 2) : 0;
+
+        return x.map((value, index) => {
+            const without = i => i !== index;
+            const correlationWithout = n > 3 ? Correlation.pearson(x.filter((_, i) => without(i)), y.filter((_, i) => without(i))) : null;
+            const leverage = sxx > 0 ? 1 / n + (value - meanX) ** 2 / sxx : 1 / n;
+            const cooksDistance = variance > 0 && leverage < 1
+                ? (residuals[index] ** 2 / (2 * variance)) * leverage / (1 - leverage) ** 2
+                : null;
+            return {
+                index,
+                correlationWithout,
+                change: correlationWithout === null ? null : correlationWithout - r,
+                leverage,
+                cooksDistance,
+                highLeverage: leverage > 4 / n,
+                influential: cooksDistance !== null && cooksDistance > 4 / n
+            };
+        });
+    }
+
+    /**
+     * Every coefficient with its p-value and bootstrap interval, the
+     * permutation p-value for Pearson's r, and leave-one-out influence
+     * @param {Object} options - { resamples, permutations, confidence, seed }
+     */
+    static analyze(x, y, { resamples = DEFAULT_RESAMPLES, permutations = DEFAULT_RESAMPLES, confidence = 0.95, seed = DEFAULT_SEED } = {}) {
+        const n = x.length;
+        const describe = (statistic, method) => {
+            const coefficient = statistic(x, y);
+            return {
+                coefficient,
+                pValue: Correlation.pValue(coefficient, n, method),
+                confidenceInterval: n >= 3 ? Correlation.bootstrap(x, y, { statistic, resamples, confidence, seed }) : null
+            };
+        };
+
+        return {
+            n,
+            pearson: {
+                ...describe(Correlation.pearson, 'pearson'),
+                permutation: n >= 3 ? Correlation.permutationTest(x, y, { permutations, seed }) : null
+            },
+            spearman: describe(Correlation.spearman, 'spearman'),
+            kendall: describe(Correlation.kendall, 'kendall'),
+            influence: Correlation.leaveOneOut(x, y)
+        };
+    }
+
+    /**
+     * Seeded uniform generator (mulberry32)
+     */
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Correlation;
+} else {
+    window.Correlation = Correlation;
+}
@@ -0,0 +1,116 @@
+/**
+ * CSV Reader for Clearly Politics
+ * RFC 4180 parsing: quoted fields, escaped quotes ("") and line breaks
+ * inside quotes, with any single-character delimiter (tab for CDC WONDER). Records keep the line they started on, so problems can be
+ * reported against the file.
+ */
+
+class CSVReader {
+    /**
+     * Split CSV text into records
+     * @param {Object} options - { delimiter } (default ',')
+     * @returns {Array} [{ line, values }]; line is 1-based
+     */
+    static parse(text, { delimiter = ',' } = {}) {
+        const input = String(text).replace(/^\uFEFF/, '');
+        const records = [];
+        let values = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+        let fieldStarted = false;
+
+        const endField = () => {
+            values.push(field);
+            field = '';
+            fieldStarted = false;
+        };
+        const endRecord = () => {
+            endField();
+            // Blank lines carry no record
+            if (values.length > 1 || values[0] !== '') {
+                records.push({ line: recordLine, values });
+            }
+            values = [];
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && !fieldStarted) {
+                inQuotes = true;
+                fieldStarted = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+                fieldStarted = true;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+        }
+        if (field !== '' || values.length > 0) {
+            endRecord();
+        }
+
+        return records;
+    }
+
+    /**
+     * Parse CSV with a header row into objects keyed by header
+     * @param {Object} options - passed to parse()
+     * @returns {Object} { headers, rows: [{ line, fields }], errors: [{ line, message }] }
+     */
+    static parseWithHeader(text, options = {}) {
+        const [header, ...records] = CSVReader.parse(text, options);
+        if (!header) {
+            return { headers: [], rows: [], errors: [] };
+        }
+
+        const headers = header.values.map(value => value.trim());
+        const rows = [];
+        const errors = [];
+
+        records.forEach(({ line, values }) => {
+            if (values.length !== headers.length) {
+                errors.push({ line, message: `expected ${headers.length} fields, found ${values.length}` });
+                return;
+            }
+            const fields = {};
+            headers.forEach((name, index) => {
+                fields[name] = values[index];
+            });
+            rows.push({ line, fields });
+        });
+
+        return { headers, rows, errors };
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVReader;
+} else {
+    window.CSVReader = CSVReader;
+}
@@ -3,37 +3,49 @@
  * Handles data cleaning, transformation, and analysis
  */
 
+// The shared loader; a global in the browser (js/module-loader.js)
+var requireModule = requireModule || require('./module-loader');
+
 class DataProcessor {
-    constructor() {
-        this.statePopulations = {
-            'AL': 5108468, 'AK': 733406, 'AZ': 7359197, 'AR': 3045637,
-            'CA': 38965193, 'CO': 5895630, 'CT': 3626205, 'DE': 1003384,
-            'FL': 22610726, 'GA': 10912876, 'HI': 1440196, 'ID': 1964726,
-            'IL': 12620571, 'IN': 6833037, 'IA': 3207004, 'KS': 2940865,
-            'KY': 4512310, 'LA': 4590241, 'ME': 1395722, 'MD': 6164660,
-            'MA': 7001399, 'MI': 10037261, 'MN': 5737915, 'MS': 2940057,
-            'MO': 6196994, 'MT': 1122069, 'NE': 1986765, 'NV': 3194176,
-            'NH': 1402054, 'NJ': 9261699, 'NM': 2113344, 'NY': 19469232,
-            'NC': 10835491, 'ND': 783926, 'OH': 11785935, 'OK': 4019800,
-            'OR': 4233358, 'PA': 12972008, 'RI': 1095962, 'SC': 5282634,
-            'SD': 909824, 'TN': 7126489, 'TX': 30503301, 'UT': 3380800,
-            'VT': 647464, 'VA': 8715698, 'WA': 7812880, 'WV': 1775156,
-            'WI': 5892539, 'WY': 581381
-        };
+    constructor(options = {}) {
+        // Population time series; every per-capita rate uses the matching year
+        const PopulationSeries = requireModule('./population', 'PopulationSeries');
+        this.population = options.population || new PopulationSeries();
+        this.populationCache = new Map();
 
-        this.politicalClassifications = {
-            red: [
-                'AL', 'AK', 'AR', 'FL', 'ID', 'IN', 'IA', 'KS', 'KY', 'LA',
-                'MS', 'MO', 'MT', 'NE', 'ND', 'OH', 'OK', 'SC', 'SD', 'TN',
-                'TX', 'UT', 'WV', 'WY'
-            ],
-            blue: [
-                'CA', 'CO', 'CT', 'DE', 'HI', 'IL', 'ME', 'MD', 'MA', 'MI',
-                'MN', 'NV', 'NH', 'NJ', 'NM', 'NY', 'OR', 'RI', 'VT', 'VA',
-                'WA', 'DC'
-            ],
-            swing: ['AZ', 'GA', 'NC', 'PA', 'WI']
-        };
+        // Red/blue/swing groups come from election results under a named scheme
+        const PoliticalClassifier = requireModule('./political-classification', 'PoliticalClassifier');
+        this.classifier = new PoliticalClassifier(options.elections);
+        this.classificationOptions = options.classification || {};
+        this.classificationCache = new Map();
+    }
+
+    /**
+     * State populations for a given year
+     */
+    getStatePopulations(year = new Date().getFullYear()) {
+        if (!this.populationCache.has(year)) {
+            this.populationCache.set(year, this.population.forYear(year).populations);
+        }
+        return this.populationCache.get(year);
+    }
+
+    /**
+     * State classification for a given year, under the configured scheme
+     */
+    getClassification(year = new Date().getFullYear()) {
+        if (!this.classificationCache.has(year)) {
+            this.classificationCache.set(year, this.classifier.classify({ ...this.classificationOptions, year }));
+        }
+        return this.classificationCache.get(year);
+    }
+
+    /**
+     * Scheme and elections behind a year's classification, for output metadata
+     */
+    describeClassification(year) {
+        const PoliticalClassifier = requireModule('./political-classification', 'PoliticalClassifier');
+        return PoliticalClassifier.describe(this.getClassification(year));
     }
 
     /**
@@ -44,167 +56,567 @@ class DataProcessor {
     }
 
     /**
-     * Process gun violence data by state political affiliation
+     * Per capita rate with its Poisson confidence interval
+     * @returns {Object} { rate, lower, upper, confidence, method }
+     */
+    calculateRateInterval(incidents, population, multiplier = 100000) {
+        const Inference = requireModule('./inference', 'Inference');
+        return Inference.rateInterval(incidents, population, { multiplier });
+    }
+
+    /**
+     * Rate ratios between the red, blue and swing groups, each with a
+     * confidence interval and the p-value of a test for equal rates
+     * @param {Object} groups - { red, blue, swing } with population and the count under countKey
+     */
+    compareGroups(groups, countKey) {
+        const Inference = requireModule('./inference', 'Inference');
+        const compare = (a, b) => Inference.rateRatio(
+            { count: groups[a][countKey], population: groups[a].population },
+            { count: groups[b][countKey], population: groups[b].population }
+        );
+        return {
+            redVsBlue: compare('red', 'blue'),
+            redVsSwing: compare('red', 'swing'),
+            blueVsSwing: compare('blue', 'swing')
+        };
+    }
+
+    /**
+     * Gun violence per 100k by state political affiliation.
+     * A state counts toward both incidents and population, or neither.
+     * When any contributing state's count is estimated rather than reported,
+     * the group totals are not Poisson counts, so they get no intervals or
+     * group tests.
+     * @param {Object} gunViolenceData - { year, stateBreakdown: [{ state, incidents, status }] }
      */
-    processGunViolenceByPolitics(rawData) {
-        const redStates = { incidents: 0, population: 0 };
-        const blueStates = { incidents: 0, population: 0 };
-        const swingStates = { incidents: 0, population: 0 };
+    processGunViolenceByPolitics(gunViolenceData, { year = gunViolenceData.year } = {}) {
+        const populations = this.getStatePopulations(year);
+        const groups = {
+            red: { incidents: 0, population: 0, states: [] },
+            blue: { incidents: 0, population: 0, states: [] },
+            swing: { incidents: 0, population: 0, states: [] }
+        };
+        const coverage = { live: [], estimated: [], missing: [] };
 
-        rawData.stateBreakdown.forEach(stateData => {
+        gunViolenceData.stateBreakdown.forEach(stateData => {
             const state = stateData.state;
             const incidents = stateData.incidents;
-            const population = this.statePopulations[state] || 0;
-
-            if (this.politicalClassifications.red.includes(state)) {
-                redStates.incidents += incidents;
-                redStates.population += population;
-            } else if (this.politicalClassifications.blue.includes(state)) {
-                blueStates.incidents += incidents;
-                blueStates.population += population;
-            } else if (this.politicalClassifications.swing.includes(state)) {
-                swingStates.incidents += incidents;
-                swingStates.population += population;
+            const population = populations[state];
+
+            if (incidents === null || incidents === undefined || !population) {
+                coverage.missing.push(state);
+                return;
+            }
+            coverage[stateData.status || 'live'].push(state);
+
+            const politics = this.getStatePolitics(state, year);
+            if (groups[politics]) {
+                groups[politics].incidents += incidents;
+                groups[politics].population += population;
+                groups[politics].states.push(state);
             }
         });
 
+        const reported = coverage.estimated.length === 0;
+        const withRate = group => ({
+            ...group,
+            rate: group.population > 0 ? this.calculatePerCapita(group.incidents, group.population) : null,
+            ci: reported ? this.calculateRateInterval(group.incidents, group.population) : null
+        });
+
         return {
-            red: {
-                ...redStates,
-                rate: this.calculatePerCapita(redStates.incidents, redStates.population)
+            red: withRate(groups.red),
+            blue: withRate(groups.blue),
+            swing: withRate(groups.swing),
+            comparisons: reported ? this.compareGroups(groups, 'incidents') : null,
+            coverage: {
+                contributingStates: [...coverage.live, ...coverage.estimated],
+                liveStates: coverage.live,
+                estimatedStates: coverage.estimated,
+                missingStates: coverage.missing
             },
-            blue: {
-                ...blueStates,
-                rate: this.calculatePerCapita(blueStates.incidents, blueStates.population)
-            },
-            swing: {
-                ...swingStates,
-                rate: this.calculatePerCapita(swingStates.incidents, swingStates.population)
-            }
+            classification: this.describeClassification(year)
         };
     }
 
     /**
-     * Process mass shooting data by political affiliation
+     * Mass shootings per 100k by state political affiliation. Per-state
+     * counts (byState) are used as given; otherwise the national total is
+     * apportioned by each state's share of all incidents. Apportioned
+     * counts are not observed per state, so they get no intervals or group
+     * tests. With neither, the counts are unknown and every figure is null.
+     * @param {Object} data - { year, byState: [{ state, count }] } or { year, massShootings, stateBreakdown }
      */
-    processMassShootingsByPolitics(massShootingData) {
-        const byPolitics = { red: 0, blue: 0, swing: 0 };
-        const ratesByPolitics = { red: 0, blue: 0, swing: 0 };
-        const populationByPolitics = { red: 0, blue: 0, swing: 0 };
+    processMassShootingsByPolitics(data, { year = data.year } = {}) {
+        const populations = this.getStatePopulations(year);
+        const groups = {
+            red: { massShootings: 0, population: 0 },
+            blue: { massShootings: 0, population: 0 },
+            swing: { massShootings: 0, population: 0 }
+        };
 
-        massShootingData.byState.forEach(stateData => {
-            const state = stateData.state;
-            const count = stateData.count;
-            const population = this.statePopulations[state] || 0;
-
-            if (this.politicalClassifications.red.includes(state)) {
-                byPolitics.red += count;
-                populationByPolitics.red += population;
-            } else if (this.politicalClassifications.blue.includes(state)) {
-                byPolitics.blue += count;
-                populationByPolitics.blue += population;
-            } else if (this.politicalClassifications.swing.includes(state)) {
-                byPolitics.swing += count;
-                populationByPolitics.swing += population;
+        if (!Array.isArray(data.byState) && typeof data.massShootings !== 'number') {
+            const unknown = { massShootings: null, population: null, rate: null, ci: null };
+            return {
+                red: unknown,
+                blue: unknown,
+                swing: unknown,
+                comparisons: null,
+                method: 'unavailable',
+                classification: this.describeClassification(year)
+            };
+        }
+
+        let counts;
+        let method;
+        if (Array.isArray(data.byState)) {
+            counts = data.byState.map(({ state, count }) => ({ state, massShootings: count }));
+            method = 'counted';
+        } else {
+            const reported = data.stateBreakdown.filter(state => state.incidents !== null && state.incidents !== undefined);
+            const totalIncidents = reported.reduce((sum, state) => sum + state.incidents, 0);
+            counts = totalIncidents === 0 ? [] : reported.map(({ state, incidents }) => ({
+                state,
+                massShootings: (incidents / totalIncidents) * data.massShootings
+            }));
+            method = 'apportioned';
+        }
+
+        counts.forEach(({ state, massShootings }) => {
+            const politics = this.getStatePolitics(state, year);
+            if (groups[politics]) {
+                groups[politics].massShootings += massShootings;
+                groups[politics].population += populations[state] || 0;
             }
         });
 
-        // Calculate per capita rates
-        ratesByPolitics.red = this.calculatePerCapita(byPolitics.red, populationByPolitics.red);
-        ratesByPolitics.blue = this.calculatePerCapita(byPolitics.blue, populationByPolitics.blue);
-        ratesByPolitics.swing = this.calculatePerCapita(byPolitics.swing, populationByPolitics.swing);
+        const counted = method === 'counted';
+        const withRate = group => ({
+            massShootings: Math.round(group.massShootings),
+            population: group.population,
+            rate: group.population > 0 ? this.calculatePerCapita(group.massShootings, group.population) : null,
+            ci: counted ? this.calculateRateInterval(group.massShootings, group.population) : null
+        });
 
         return {
-            counts: byPolitics,
-            rates: ratesByPolitics,
-            populations: populationByPolitics
+            red: withRate(groups.red),
+            blue: withRate(groups.blue),
+            swing: withRate(groups.swing),
+            comparisons: counted ? this.compareGroups(groups, 'massShootings') : null,
+            method,
+            classification: this.describeClassification(year)
         };
     }
 
     /**
-     * Process political violence by ideology
+     * Incident counts by perpetrator ideology. The dataset is a curated
+     * selection, so the counts are not shares of all political violence.
      */
     processPoliticalViolenceByIdeology(politicalViolenceData) {
-        const totalIncidents = politicalViolenceData.rightWingExtremism + 
-                              politicalViolenceData.leftWingExtremism + 
-                              politicalViolenceData.islamistExtremism + 
-                              politicalViolenceData.otherIdeology;
+        const categories = [
+            ['rightWingExtremism', 'Right-Wing Extremism'],
+            ['leftWingExtremism', 'Left-Wing Extremism'],
+            ['islamistExtremism', 'Islamist Extremism'],
+            ['otherIdeology', 'Other/Unknown']
+        ];
 
         return {
-            data: [
-                {
-                    category: 'Right-Wing Extremism',
-                    incidents: politicalViolenceData.rightWingExtremism,
-                    percentage: ((politicalViolenceData.rightWingExtremism / totalIncidents) * 100).toFixed(1)
-                },
-                {
-                    category: 'Left-Wing Extremism', 
-                    incidents: politicalViolenceData.leftWingExtremism,
-                    percentage: ((politicalViolenceData.leftWingExtremism / totalIncidents) * 100).toFixed(1)
-                },
-                {
-                    category: 'Islamist Extremism',
-                    incidents: politicalViolenceData.islamistExtremism,
-                    percentage: ((politicalViolenceData.islamistExtremism / totalIncidents) * 100).toFixed(1)
-                },
-                {
-                    category: 'Other/Unknown',
-                    incidents: politicalViolenceData.otherIdeology,
-                    percentage: ((politicalViolenceData.otherIdeology / totalIncidents) * 100).toFixed(1)
+            data: categories.map(([key, category]) => ({ category, incidents: politicalViolenceData[key] })),
+            total: categories.reduce((sum, [key]) => sum + politicalViolenceData[key], 0),
+            timeframe: politicalViolenceData.timeframe,
+            selectionCriteria: politicalViolenceData.selectionCriteria
+        };
+    }
+
+    /**
+     * Hate crimes per 100k by state and by state political affiliation, plus
+     * the national bias-category counts for every year. States without any
+     * reported incident that year are left out of the rates rather than
+     * counted as zero, since that usually means their agencies did not report.
+     * @param {Object} hateCrimeData - { years, categories, national: { year: counts }, states: { ST: { year: counts } } }
+     */
+    processHateCrimes(hateCrimeData, { year = hateCrimeData.years[hateCrimeData.years.length - 1] } = {}) {
+        const populations = this.getStatePopulations(year);
+        const groups = {
+            red: { incidents: 0, population: 0, states: [] },
+            blue: { incidents: 0, population: 0, states: [] },
+            swing: { incidents: 0, population: 0, states: [] }
+        };
+        const byState = [];
+        const missingStates = [];
+
+        Object.keys(populations).sort().forEach(state => {
+            const counts = hateCrimeData.states[state]?.[year];
+            if (!counts) {
+                missingStates.push(state);
+                return;
+            }
+
+            const population = populations[state];
+            const politics = this.getStatePolitics(state, year);
+            byState.push({
+                state,
+                incidents: counts.incidents,
+                victims: counts.victims,
+                population,
+                rate: this.calculatePerCapita(counts.incidents, population),
+                ci: this.calculateRateInterval(counts.incidents, population),
+                politics
+            });
+
+            if (groups[politics]) {
+                groups[politics].incidents += counts.incidents;
+                groups[politics].population += population;
+                groups[politics].states.push(state);
+            }
+        });
+
+        const withRate = group => ({
+            ...group,
+            rate: group.population > 0 ? this.calculatePerCapita(group.incidents, group.population) : null,
+            ci: this.calculateRateInterval(group.incidents, group.population)
+        });
+
+        return {
+            year,
+            categories: hateCrimeData.categories,
+            trend: hateCrimeData.years.map(dataYear => ({ year: dataYear, ...hateCrimeData.national[dataYear] })),
+            byState,
+            byPolitics: {
+                red: withRate(groups.red),
+                blue: withRate(groups.blue),
+                swing: withRate(groups.swing)
+            },
+            comparisons: this.compareGroups(groups, 'incidents'),
+            missingStates,
+            classification: this.describeClassification(year)
+        };
+    }
+
+    /**
+     * Firearm death rates per 100k by intent, for each state, for red, blue
+     * and swing groups, and against gun-law scores. A suppressed count (fewer
+     * than 10 deaths) leaves the state out of that intent's group rate and
+     * correlation, and marks the state's all-intent total as a lower bound.
+     * @param {Object} mortalityData - { years, intents, states: { ST: { year: { intent: { deaths, suppressed, population } } } } }
+     * @param {Object} options - { year, gunLawData }
+     */
+    processFirearmMortality(mortalityData, { year = mortalityData.years[mortalityData.years.length - 1], gunLawData = null } = {}) {
+        const populations = this.getStatePopulations(year);
+        const intentIds = mortalityData.intents.map(intent => intent.id);
+        const lawScores = gunLawData ? this.getGunLawScores(gunLawData, { year }) : {};
+        const emptyGroup = () => Object.fromEntries([...intentIds, 'all'].map(id => [id, { deaths: 0, population: 0, states: [] }]));
+        const groups = { red: emptyGroup(), blue: emptyGroup(), swing: emptyGroup() };
+
+        const byState = Object.keys(mortalityData.states).sort()
+            .filter(state => mortalityData.states[state][year])
+            .map(state => {
+                const counts = mortalityData.states[state][year];
+                // WONDER's own denominator where the export has one
+                const population = Object.values(counts).find(count => count.population)?.population || populations[state] || null;
+                const politics = this.getStatePolitics(state, year);
+                const intents = {};
+                const suppressedIntents = [];
+                let deaths = 0;
+
+                intentIds.forEach(id => {
+                    const count = counts[id];
+                    if (!count) return;
+                    if (count.suppressed) {
+                        suppressedIntents.push(id);
+                        intents[id] = { deaths: null, rate: null, suppressed: true };
+                        return;
+                    }
+                    deaths += count.deaths;
+                    intents[id] = {
+                        deaths: count.deaths,
+                        rate: population ? this.calculatePerCapita(count.deaths, population) : null,
+                        ci: this.calculateRateInterval(count.deaths, population),
+                        suppressed: false
+                    };
+                    if (groups[politics] && population) {
+                        groups[politics][id].deaths += count.deaths;
+                        groups[politics][id].population += population;
+                        groups[politics][id].states.push(state);
+                    }
+                });
+
+                if (groups[politics] && population && suppressedIntents.length === 0) {
+                    groups[politics].all.deaths += deaths;
+                    groups[politics].all.population += population;
+                    groups[politics].all.states.push(state);
                 }
-            ],
-            total: totalIncidents,
-            timeframe: politicalViolenceData.timeframe
+
+                return {
+                    state,
+                    politics,
+                    population,
+                    lawScore: lawScores[state] ?? null,
+                    intents,
+                    all: {
+                        deaths,
+                        rate: population ? this.calculatePerCapita(deaths, population) : null,
+                        lowerBound: suppressedIntents.length > 0
+                    }
+                };
+            });
+
+        const withRates = group => Object.fromEntries(Object.entries(group).map(([id, totals]) => [id, {
+            ...totals,
+            rate: totals.population > 0 ? this.calculatePerCapita(totals.deaths, totals.population) : null,
+            ci: this.calculateRateInterval(totals.deaths, totals.population)
+        }]));
+
+        const lawCorrelation = {};
+        if (gunLawData) {
+            [...intentIds, 'all'].forEach(id => {
+                const points = byState.filter(state => {
+                    const rate = id === 'all' ? (state.all.lowerBound ? null : state.all.rate) : state.intents[id]?.rate;
+                    return state.lawScore !== null && rate !== null && rate !== undefined;
+                });
+                if (points.length < 3) return;
+                const { correlation, interpretation, robust } = this.analyzeCorrelation(
+                    points.map(state => state.lawScore),
+                    points.map(state => (id === 'all' ? state.all.rate : state.intents[id].rate))
+                );
+                lawCorrelation[id] = { correlation, interpretation, robust, states: points.length };
+            });
+        }
+
+        return {
+            year,
+            intents: mortalityData.intents,
+            trend: mortalityData.years.map(dataYear => ({ year: dataYear, ...mortalityData.national[dataYear] })),
+            byState,
+            byPolitics: {
+                red: withRates(groups.red),
+                blue: withRates(groups.blue),
+                swing: withRates(groups.swing)
+            },
+            comparisons: Object.fromEntries([...intentIds, 'all'].map(id => [id, this.compareGroups({
+                red: groups.red[id],
+                blue: groups.blue[id],
+                swing: groups.swing[id]
+            }, 'deaths')])),
+            lawCorrelation,
+            classification: this.describeClassification(year)
         };
     }
 
     /**
-     * Create correlation analysis between gun laws and gun violence
+     * Create correlation analysis between gun laws and gun violence.
+     * Each state point carries its leave-one-out influence.
      */
-    processGunLawCorrelation(gunLawData, gunViolenceData) {
+    processGunLawCorrelation(gunLawData, gunViolenceData, options = {}) {
         const correlationData = [];
+        const year = options.year || gunViolenceData.year;
+        const populations = this.getStatePopulations(year);
+        const lawScores = this.getGunLawScores(gunLawData, { ...options, year });
         
         // Combine gun law scores with violence rates by state
         gunViolenceData.stateBreakdown.forEach(stateData => {
             const state = stateData.state;
-            const lawScore = gunLawData.scores[state];
-            const population = this.statePopulations[state];
+            const lawScore = lawScores[state];
+            const population = populations[state];
             
-            if (lawScore && population) {
+            // A score of 0 (no provisions in force) is a valid data point
+            if (lawScore !== undefined && population && stateData.incidents !== null && stateData.incidents !== undefined) {
                 const violenceRate = this.calculatePerCapita(stateData.incidents, population);
                 correlationData.push({
                     state: state,
                     lawScore: lawScore,
                     violenceRate: violenceRate,
-                    political: this.getStatePolitics(state)
+                    ci: this.calculateRateInterval(stateData.incidents, population),
+                    political: this.getStatePolitics(state, year)
                 });
             }
         });
 
-        // Calculate correlation coefficient
-        const correlation = this.calculatePearsonCorrelation(
+        // Correlation coefficients, their uncertainty and each state's pull on r
+        const { correlation, interpretation, robust, influence } = this.analyzeCorrelation(
             correlationData.map(d => d.lawScore),
             correlationData.map(d => d.violenceRate)
         );
+        influence.forEach(({ index, ...diagnostics }) => {
+            correlationData[index].influence = diagnostics;
+        });
 
         return {
             data: correlationData,
             correlation: correlation,
-            interpretation: this.interpretCorrelation(correlation)
+            interpretation: interpretation,
+            robust: robust
         };
     }
 
     /**
-     * Process monthly trends
+     * Correlate violence rates against the composite and each law category,
+     * using the laws in force in the violence data's year
      */
-    processMonthlyTrends(rawTrendData) {
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                       'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        
+    processGunLawCategoryCorrelations(gunLawData, gunViolenceData, options = {}) {
+        const year = options.year || gunViolenceData.year;
+        // Direction is meaningless for a very weak r, so only the strength is compared there
+        const label = r => {
+            const { strength, direction } = this.interpretCorrelation(r);
+            return strength === 'very weak' ? strength : `${strength} ${direction}`;
+        };
+        const summarize = category => {
+            const { data, correlation, interpretation, robust } = this.processGunLawCorrelation(
+                gunLawData, gunViolenceData, { year, category }
+            );
+            return {
+                correlation,
+                interpretation,
+                robust,
+                states: data.length,
+                // States whose removal alone would change the strength or direction label
+                pivotalStates: data
+                    .filter(d => d.influence.correlationWithout !== null && label(d.influence.correlationWithout) !== label(correlation))
+                    .map(d => d.state)
+            };
+        };
+
+        const categories = {};
+        (gunLawData.categories || []).forEach(({ id }) => {
+            categories[id] = summarize(id);
+        });
+
+        return {
+            year,
+            composite: summarize(null),
+            categories
+        };
+    }
+
+    /**
+     * Gun-law score against gun violence, adjusted for state covariates.
+     * OLS models the rate per 100k; Poisson and negative binomial models
+     * the counts with population as exposure. Each is fitted on the law
+     * score alone and with the covariates. States missing the count, the
+     * score or any covariate are left out of every model. The adjusted
+     * points are the added-variable plot: rate and law score with the
+     * covariates regressed out, so their slope is the adjusted OLS coefficient.
+     * @param {Object} covariateData - { years, covariates, vintages: { year: { ST: { covariate: value } } } }
+     */
+    processGunLawRegression(gunLawData, gunViolenceData, covariateData, options = {}) {
+        const Regression = requireModule('./regression', 'Regression');
+        const year = options.year || gunViolenceData.year;
+        const populations = this.getStatePopulations(year);
+        const lawScores = this.getGunLawScores(gunLawData, { ...options, year });
+
+        // The latest covariate vintage at or before the year, else the earliest
+        const covariateYear = [...covariateData.years].reverse().find(vintage => vintage <= year) ?? covariateData.years[0];
+        const vintage = covariateData.vintages[covariateYear];
+        const covariates = covariateData.covariates.filter(({ id }) =>
+            Object.values(vintage).some(values => values[id] !== undefined));
+
+        const included = [];
+        const excludedStates = [];
+        gunViolenceData.stateBreakdown.forEach(({ state, incidents }) => {
+            const values = vintage[state];
+            if (lawScores[state] === undefined || !populations[state] || incidents === null || incidents === undefined ||
+                !values || covariates.some(({ id }) => values[id] === undefined)) {
+                excludedStates.push(state);
+                return;
+            }
+            included.push({
+                state,
+                incidents,
+                population: populations[state],
+                lawScore: lawScores[state],
+                controls: covariates.map(({ id }) => values[id])
+            });
+        });
+
+        const names = ['lawScore', ...covariates.map(({ id }) => id)];
+        if (included.length < names.length + 3) {
+            throw new Error(`only ${included.length} state(s) have a law score, incident count and every covariate`);
+        }
+
+        const rates = included.map(point => this.calculatePerCapita(point.incidents, point.population));
+        const counts = included.map(point => point.incidents);
+        const exposure = included.map(point => point.population);
+        const fitAll = (rows, rowNames) => {
+            const summary = ({ residuals, fitted, ...fit }) => fit;
+            return {
+                ols: summary(Regression.ols(rows, rates, { names: rowNames })),
+                poisson: summary(Regression.poisson(rows, counts, { exposure, names: rowNames })),
+                negativeBinomial: summary(Regression.negativeBinomial(rows, counts, { exposure, names: rowNames }))
+            };
+        };
+
+        const adjusted = fitAll(included.map(point => [point.lawScore, ...point.controls]), names);
+        const controls = included.map(point => point.controls);
+        const lawResiduals = Regression.residualize(included.map(point => point.lawScore), controls);
+        const rateResiduals = Regression.residualize(rates, controls);
+        const partial = adjusted.ols.partialCorrelations.lawScore;
+
+        return {
+            year,
+            covariateYear,
+            outcome: 'Gun violence incidents per 100,000 residents',
+            covariates,
+            states: included.length,
+            excludedStates,
+            rawCorrelation: this.calculatePearsonCorrelation(included.map(point => point.lawScore), rates),
+            partialCorrelation: partial,
+            // The partial correlation's test is the t test of the adjusted OLS coefficient
+            interpretation: this.interpretCorrelation(partial, {
+                n: included.length,
+                pValue: adjusted.ols.coefficients.find(coefficient => coefficient.name === 'lawScore').pValue
+            }),
+            models: {
+                unadjusted: fitAll(included.map(point => [point.lawScore]), ['lawScore']),
+                adjusted
+            },
+            adjustedPoints: included.map((point, i) => ({
+                state: point.state,
+                political: this.getStatePolitics(point.state, year),
+                lawScore: lawResiduals[i],
+                rate: rateResiduals[i]
+            }))
+        };
+    }
+
+    /**
+     * Law scores by state: the composite, or one category's strength (0-1).
+     * With the provision database present, scores reflect the laws in force
+     * in the requested year rather than the collection snapshot.
+     */
+    getGunLawScores(gunLawData, { year = null, category = null } = {}) {
+        if (gunLawData.database && year) {
+            const GunLawDatabase = requireModule('./gun-laws', 'GunLawDatabase');
+            const database = new GunLawDatabase(gunLawData.database);
+            const states = Object.keys(gunLawData.scores || {});
+
+            return category
+                ? database.categoryScoresFor(states, year)[category] || {}
+                : database.scoresFor(states, year);
+        }
+
+        return category
+            ? gunLawData.categoryScores?.[category] || {}
+            : gunLawData.scores || {};
+    }
+
+    /**
+     * Process monthly trends. With two years of complete months in the
+     * history plus this year, each month also gets its seasonal baseline
+     * (trend plus seasonal component) and year-over-year change, the rest
+     * of the year is forecast with prediction intervals, and the trend
+     * label is read from the de-seasonalized series.
+     * @param {Array} rawTrendData - this year's months: [{ month, year, incidents, partial }]
+     * @param {Object} options - { history } earlier years' months, oldest first
+     */
+    processMonthlyTrends(rawTrendData, { history = [] } = {}) {
+        const TimeSeries = requireModule('./time-series', 'TimeSeries');
+
         // Calculate moving averages and growth rates
         const processed = rawTrendData.map((data, index) => {
             const previousMonth = index > 0 ? rawTrendData[index - 1].incidents : data.incidents;
-            const growthRate = ((data.incidents - previousMonth) / previousMonth * 100).toFixed(1);
+            const growthRate = previousMonth === 0 ? 0 :
+                ((data.incidents - previousMonth) / previousMonth * 100).toFixed(1);
             
             return {
                 ...data,
@@ -213,45 +625,240 @@ class DataProcessor {
             };
         });
 
+        // A partial month would drag averages and the trend down, so leave it out
+        const completeMonths = rawTrendData.filter(month => !month.partial);
+        const totalIncidents = rawTrendData.reduce((sum, month) => sum + month.incidents, 0);
+        const completeTotal = completeMonths.reduce((sum, month) => sum + month.incidents, 0);
+
+        // One value per month from the first month of history, partial months missing
+        const series = [...history, ...rawTrendData];
+        const values = series.map(month => (month.partial ? null : month.incidents));
+        const offset = history.length;
+        const decomposition = TimeSeries.decompose(values);
+        const yearOverYear = TimeSeries.yearOverYear(values);
+
+        processed.forEach((month, index) => {
+            const i = offset + index;
+            month.seasonalBaseline = decomposition ? Math.round(decomposition.trend[i] + decomposition.seasonal[i]) : null;
+            month.yearOverYear = yearOverYear[i].change === null ? null : {
+                previous: yearOverYear[i].previous,
+                change: yearOverYear[i].change,
+                percentChange: yearOverYear[i].percentChange === null ? null : parseFloat(yearOverYear[i].percentChange.toFixed(1))
+            };
+        });
+
+        // Forecast from the last complete month through December
+        const lastComplete = values.reduce((last, value, i) => (value === null ? last : i), -1);
+        const remaining = series.length - 1 - lastComplete + (12 - rawTrendData.length);
+        const holtWinters = remaining > 0 ? TimeSeries.holtWinters(values.slice(0, lastComplete + 1), { horizon: remaining }) : null;
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const forecast = (holtWinters ? holtWinters.forecasts : [])
+            // Steps still in last year only bridge a gap; the chart shows this year
+            .filter(({ step }) => lastComplete + step >= offset)
+            .map(({ step, forecast: expected, lower, upper }) => ({
+                month: monthNames[lastComplete + step - offset],
+                forecast: Math.round(Math.max(0, expected)),
+                lower: Math.round(Math.max(0, lower)),
+                upper: Math.round(upper)
+            }));
+
+        const deseasonalizedTrend = decomposition ? TimeSeries.trendDirection(decomposition.deseasonalized) : null;
+
         return {
             data: processed,
-            totalIncidents: rawTrendData.reduce((sum, month) => sum + month.incidents, 0),
-            averageMonthly: Math.round(rawTrendData.reduce((sum, month) => sum + month.incidents, 0) / rawTrendData.length),
-            trend: this.analyzeTrend(rawTrendData.map(d => d.incidents))
+            totalIncidents: totalIncidents,
+            averageMonthly: completeMonths.length ? Math.round(completeTotal / completeMonths.length) : 0,
+            trend: deseasonalizedTrend ? deseasonalizedTrend.direction : this.analyzeTrend(completeMonths.map(d => d.incidents)),
+            trendBasis: deseasonalizedTrend ? 'deseasonalized' : 'raw',
+            trendChange: deseasonalizedTrend && deseasonalizedTrend.percentChange !== null ?
+                parseFloat(deseasonalizedTrend.percentChange.toFixed(1)) : null,
+            forecast,
+            forecastModel: holtWinters ? {
+                method: 'Holt-Winters (additive)',
+                alpha: holtWinters.alpha,
+                beta: holtWinters.beta,
+                gamma: holtWinters.gamma,
+                confidence: holtWinters.confidence
+            } : null,
+            historyMonths: history.length
+        };
+    }
+
+    /**
+     * Aggregate incident records into per-month totals for one year
+     * Incidents need a date plus killed/injured counts
+     */
+    aggregateMonthlyIncidents(incidents, year, asOf = new Date()) {
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
+                       'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const lastMonth = asOf.getUTCFullYear() > year ? 11 : asOf.getUTCMonth();
+
+        const monthly = months.slice(0, lastMonth + 1).map((month, index) => ({
+            month,
+            year,
+            incidents: 0,
+            deaths: 0,
+            injuries: 0,
+            partial: asOf.getUTCFullYear() === year && index === asOf.getUTCMonth()
+        }));
+
+        incidents.forEach(incident => {
+            const date = incident.date instanceof Date ? incident.date : new Date(incident.date);
+            if (isNaN(date.getTime()) || date.getUTCFullYear() !== year) return;
+
+            const entry = monthly[date.getUTCMonth()];
+            if (!entry) return;
+
+            entry.incidents++;
+            entry.deaths += incident.killed || 0;
+            entry.injuries += incident.injured || 0;
+        });
+
+        return monthly;
+    }
+
+    /**
+     * Flag states whose daily or weekly incident count over the recent
+     * window is far above its seasonal baseline (see AnomalyDetection).
+     * Weeks run backwards from the last covered day, so every week is whole.
+     * Flags are held to the false discovery rate across every state and
+     * period tested together.
+     * @param {Object} activity - { days: { ST: { 'YYYY-MM-DD': count } }, coverage: [{ start, end }], incidents }
+     * @param {Object} options - { days, weeks } periods to check, counted back from the last covered day; falseDiscoveryRate
+     */
+    processIncidentAnomalies(activity, { days = 14, weeks = 8, falseDiscoveryRate = 0.05 } = {}) {
+        const AnomalyDetection = requireModule('./anomaly-detection', 'AnomalyDetection');
+        const { US_STATES } = requireModule('./states', 'USStates');
+        const dayMs = 24 * 60 * 60 * 1000;
+        const isoDay = time => new Date(time).toISOString().split('T')[0];
+
+        const ranges = (activity.coverage || []).map(range => ({
+            start: Date.parse(`${range.start}T00:00:00Z`),
+            end: Date.parse(`${range.end}T00:00:00Z`)
+        }));
+        if (ranges.length === 0) {
+            throw new Error('No incident coverage to check for anomalies');
+        }
+        const first = Math.min(...ranges.map(range => range.start));
+        const last = Math.max(...ranges.map(range => range.end));
+        const dates = [];
+        for (let time = first; time <= last; time += dayMs) {
+            dates.push({ date: isoDay(time), covered: ranges.some(range => time >= range.start && time <= range.end) });
+        }
+        const weekCount = Math.floor(dates.length / 7);
+        // Week 0 is the oldest whole week; the last one ends on the last covered day
+        const weekStart = week => dates.length - (weekCount - week) * 7;
+
+        const year = new Date(last).getUTCFullYear();
+        const tested = [];
+
+        Object.entries(activity.days || {}).forEach(([state, counts]) => {
+            const daily = dates.map(day => (day.covered ? counts[day.date] || 0 : null));
+            const weekly = Array.from({ length: weekCount }, (_, week) => {
+                const values = daily.slice(weekStart(week), weekStart(week) + 7);
+                return values.includes(null) ? null : values.reduce((sum, value) => sum + value, 0);
+            });
+
+            const checks = [
+                {
+                    period: 'day',
+                    results: AnomalyDetection.scan(daily, { granularity: 'day', start: dates.length - days }),
+                    span: index => [dates[index], dates[index]]
+                },
+                {
+                    period: 'week',
+                    results: AnomalyDetection.scan(weekly, { granularity: 'week', start: weekCount - weeks }),
+                    span: index => [dates[weekStart(index)], dates[weekStart(index) + 6]]
+                }
+            ];
+
+            checks.forEach(({ period, results, span }) => {
+                results.forEach(result => tested.push({ state, period, span, result }));
+            });
+        });
+
+        const adjusted = AnomalyDetection.controlFalseDiscoveries(tested.map(({ result }) => result), { rate: falseDiscoveryRate });
+        const anomalies = [];
+        tested.forEach(({ state, period, span }, i) => {
+            const result = adjusted[i];
+            if (!result.flagged) return;
+            const [start, end] = span(result.index).map(day => day.date);
+            const incidents = (activity.incidents || [])
+                .filter(incident => incident.state === state && incident.date >= start && incident.date <= end);
+            anomalies.push({
+                state,
+                stateName: US_STATES[state] || state,
+                politics: this.getStatePolitics(state, year),
+                period,
+                start,
+                end,
+                observed: result.observed,
+                expected: parseFloat(result.expected.toFixed(1)),
+                baselineMedian: result.median,
+                baselineMethod: result.baselineMethod,
+                baselinePeriods: result.baselinePeriods,
+                ratio: parseFloat(result.ratio.toFixed(1)),
+                zScore: parseFloat(result.zScore.toFixed(2)),
+                pValue: result.pValue,
+                qValue: result.qValue,
+                severity: result.severity,
+                killed: incidents.reduce((sum, incident) => sum + (incident.killed || 0), 0),
+                injured: incidents.reduce((sum, incident) => sum + (incident.injured || 0), 0),
+                incidents
+            });
+        });
+
+        return {
+            asOf: isoDay(last),
+            coverage: { start: isoDay(first), end: isoDay(last) },
+            window: { days, weeks },
+            statesMonitored: Object.keys(activity.days || {}).length,
+            periodsTested: tested.length,
+            falseDiscoveryRate,
+            anomalies: anomalies.sort(AnomalyDetection.compare)
         };
     }
 
     /**
      * Get state political classification
      */
-    getStatePolitics(state) {
-        if (this.politicalClassifications.red.includes(state)) return 'red';
-        if (this.politicalClassifications.blue.includes(state)) return 'blue';
-        if (this.politicalClassifications.swing.includes(state)) return 'swing';
-        return 'unknown';
+    getStatePolitics(state, year) {
+        return this.getClassification(year).byState[state] || 'unknown';
     }
 
     /**
      * Calculate Pearson correlation coefficient
      */
     calculatePearsonCorrelation(x, y) {
-        const n = x.length;
-        const sumX = x.reduce((a, b) => a + b, 0);
-        const sumY = y.reduce((a, b) => a + b, 0);
-        const sumXY = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
-        const sumX2 = x.reduce((sum, xi) => sum + xi * xi, 0);
-        const sumY2 = y.reduce((sum, yi) => sum + yi * yi, 0);
-
-        const numerator = n * sumXY - sumX * sumY;
-        const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
+        const Correlation = requireModule('./correlation', 'Correlation');
+        return Correlation.pearson(x, y);
+    }
 
-        return denominator === 0 ? 0 : numerator / denominator;
+    /**
+     * Pearson's r with Spearman and Kendall coefficients, bootstrap
+     * intervals, a permutation p-value and leave-one-out influence per
+     * point. The interpretation is judged on the permutation p-value.
+     * @returns {Object} { correlation, interpretation, robust: { n, pearson, spearman, kendall }, influence }
+     */
+    analyzeCorrelation(x, y) {
+        const Correlation = requireModule('./correlation', 'Correlation');
+        const { influence, ...robust } = Correlation.analyze(x, y);
+        const correlation = robust.pearson.coefficient;
+        const pValue = robust.pearson.permutation ? robust.pearson.permutation.pValue : robust.pearson.pValue;
+        return {
+            correlation,
+            interpretation: this.interpretCorrelation(correlation, { n: robust.n, pValue }),
+            robust,
+            influence
+        };
     }
 
     /**
-     * Interpret correlation coefficient
+     * Interpret correlation coefficient. With a p-value, or a sample size
+     * to test r against zero, an r that is not significant at alpha is
+     * described as such however large it is.
      */
-    interpretCorrelation(r) {
+    interpretCorrelation(r, { n = null, pValue = null, alpha = 0.05 } = {}) {
         const absR = Math.abs(r);
         let strength;
         let direction = r < 0 ? 'negative' : 'positive';
@@ -261,11 +868,25 @@ class DataProcessor {
         else if (absR >= 0.2) strength = 'weak';
         else strength = 'very weak';
 
+        const Correlation = requireModule('./correlation', 'Correlation');
+        const p = pValue ?? (n ? Correlation.pValue(r, n) : null);
+        const significant = p === null ? null : p < alpha;
+        const sample = n ? `, n = ${n}` : '';
+        let description = `${strength} ${direction} correlation`;
+        if (significant === false) {
+            description += `, not statistically significant (p = ${p.toFixed(2)}${sample})`;
+        } else if (significant) {
+            description += ` (p ${p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`}${sample})`;
+        }
+
         return {
             value: r.toFixed(3),
             strength: strength,
             direction: direction,
-            description: `${strength} ${direction} correlation`
+            pValue: p,
+            significant,
+            n,
+            description
         };
     }
 
@@ -291,6 +912,7 @@ class DataProcessor {
         
         const firstAvg = firstHalf.reduce((sum, val) => sum + val, 0) / firstHalf.length;
         const secondAvg = secondHalf.reduce((sum, val) => sum + val, 0) / secondHalf.length;
+        if (firstAvg === 0) return 'insufficient data';
         
         const percentChange = ((secondAvg - firstAvg) / firstAvg) * 100;
         
@@ -314,12 +936,10 @@ class DataProcessor {
             keyFindings: [
                 `Gun violence rate in red states: ${redStateStats.red.rate.toFixed(1)} per 100k residents`,
                 `Gun violence rate in blue states: ${redStateStats.blue.rate.toFixed(1)} per 100k residents`,
-                `${politicalStats.data[0].percentage}% of political violence is right-wing extremism`,
-                `${politicalStats.data[1].percentage}% of political violence is left-wing extremism`,
+                `Curated political violence sample: ${politicalStats.data.map(({ category, incidents }) => `${incidents} ${category}`).join(', ')} (${politicalStats.timeframe})`,
                 `Total mass shootings in 2024: ${massShootings.totalEvents}`
             ],
             redVsBlueRatio: (redStateStats.red.rate / redStateStats.blue.rate).toFixed(2),
-            politicalViolenceSkew: (politicalViolence.rightWingExtremism / politicalViolence.leftWingExtremism).toFixed(1),
             lastUpdated: new Date().toISOString()
         };
     }
@@ -357,50 +977,18 @@ class DataProcessor {
     }
 
     /**
-     * Process GVA data
+     * Statistics for GVA incidents, as imported from CSV exports by
+     * scripts/lib/gva-csv-importer.js
      */
-    async processGVAData(csvData) {
-        const incidents = csvData.split('\n')
-            .slice(1) // Skip header row
-            .filter(line => line.trim())
-            .map(line => {
-                const [
-                    id, date, _, timestamp, state, city, address, venue,
-                    lat, lon, killed, injured, numKilled, numInjured,
-                    numChildrenKilled, numTeensKilled, numChildrenInjured,
-                    characteristics, sources, incidentDate, year
-                ] = this.parseCSVLine(line);
-
-                return {
-                    id,
-                    date: new Date(incidentDate),
-                    state,
-                    city,
-                    address,
-                    venue: venue === 'N/A' ? null : venue,
-                    location: {
-                        lat: parseFloat(lat),
-                        lon: parseFloat(lon)
-                    },
-                    casualties: {
-                        killed: parseInt(numKilled) || 0,
-                        injured: parseInt(numInjured) || 0,
-                        childrenKilled: parseInt(numChildrenKilled) || 0,
-                        teensKilled: parseInt(numTeensKilled) || 0,
-                        childrenInjured: parseInt(numChildrenInjured) || 0
-                    },
-                    characteristics: characteristics.split(',').map(c => c.trim()),
-                    sources: this.parseSources(sources),
-                    year: parseInt(year)
-                };
-            });
-
+    async processGVAData(incidents) {
         // Process incidents into useful statistics
         const stats = {
             total: incidents.length,
             byState: {},
             byYear: {},
+            byStateYear: {},
             byCharacteristic: {},
+            byReportType: {},
             totalCasualties: {
                 killed: 0,
                 injured: 0,
@@ -436,6 +1024,19 @@ class DataProcessor {
             stats.byYear[incident.year].killed += incident.casualties.killed;
             stats.byYear[incident.year].injured += incident.casualties.injured;
 
+            // State-by-year stats
+            const byState = stats.byStateYear[incident.state] = stats.byStateYear[incident.state] || {};
+            if (!byState[incident.year]) {
+                byState[incident.year] = {
+                    incidents: 0,
+                    killed: 0,
+                    injured: 0
+                };
+            }
+            byState[incident.year].incidents++;
+            byState[incident.year].killed += incident.casualties.killed;
+            byState[incident.year].injured += incident.casualties.injured;
+
             // Characteristics stats
             incident.characteristics.forEach(char => {
                 if (!stats.byCharacteristic[char]) {
@@ -444,6 +1045,11 @@ class DataProcessor {
                 stats.byCharacteristic[char]++;
             });
 
+            // Export reports the incident appeared in
+            (incident.reportTypes || []).forEach(type => {
+                stats.byReportType[type] = (stats.byReportType[type] || 0) + 1;
+            });
+
             // Total casualties
             stats.totalCasualties.killed += incident.casualties.killed;
             stats.totalCasualties.injured += incident.casualties.injured;
@@ -452,6 +1058,21 @@ class DataProcessor {
             stats.totalCasualties.childrenInjured += incident.casualties.childrenInjured;
         });
 
+        // Per-capita rates use the population of each incident's own year
+        const { getStateCode } = requireModule('./states', 'USStates');
+        Object.entries(stats.byYear).forEach(([year, totals]) => {
+            const populations = this.getStatePopulations(parseInt(year));
+            const population = Object.values(populations).reduce((sum, value) => sum + value, 0);
+            Object.assign(totals, this.ratesFor(totals, population));
+        });
+        Object.entries(stats.byStateYear).forEach(([state, years]) => {
+            const code = getStateCode(state);
+            Object.entries(years).forEach(([year, totals]) => {
+                const population = code ? this.getStatePopulations(parseInt(year))[code] : null;
+                Object.assign(totals, this.ratesFor(totals, population));
+            });
+        });
+
         return {
             incidents,
             statistics: stats,
@@ -460,37 +1081,27 @@ class DataProcessor {
         };
     }
 
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.replace(/^"|"$/g, ''));
-                current = '';
-            } else {
-                current += char;
+    /**
+     * Population and per-100k rates, with confidence intervals, for a block of incident totals
+     */
+    ratesFor(totals, population) {
+        return {
+            population: population || null,
+            incidentsPer100k: population ? this.calculatePerCapita(totals.incidents, population) : null,
+            killedPer100k: population ? this.calculatePerCapita(totals.killed, population) : null,
+            injuredPer100k: population ? this.calculatePerCapita(totals.injured, population) : null,
+            intervals: {
+                incidents: this.calculateRateInterval(totals.incidents, population),
+                killed: this.calculateRateInterval(totals.killed, population),
+                injured: this.calculateRateInterval(totals.injured, population)
             }
-        }
-        values.push(current.replace(/^"|"$/g, ''));
-        
-        return values;
-    }
-
-    parseSources(sources) {
-        if (!sources) return [];
-        return sources
-            .replace(/^c\("/, '')
-            .replace(/"\)$/, '')
-            .split('", "')
-            .filter(url => url && url !== 'N/A');
+        };
     }
 }
 
-// Export for use in other modules
-window.DataProcessor = DataProcessor;
\ No newline at end of file
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataProcessor;
+} else {
+    window.DataProcessor = DataProcessor;
+}
\ No newline at end of file
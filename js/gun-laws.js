@@ -0,0 +1,139 @@
+/**
+ * Gun Law Database for Clearly Politics
+ * Per-state provisions by category, each with an effective date and citation.
+ * Scores are computed from the provisions in force on a given date, so the
+ * same database answers "how strict were a state's laws in year Y".
+ */
+
+class GunLawDatabase {
+    /**
+     * @param {Object} doc - data/sources/gun-laws.json layout
+     */
+    constructor(doc) {
+        this.categories = doc?.categories || {};
+        this.laws = doc?.laws || [];
+        this.scale = doc?.scoring?.scale || 100;
+        this.lastReviewed = doc?.lastReviewed || null;
+    }
+
+    categoryIds() {
+        return Object.keys(this.categories);
+    }
+
+    /**
+     * Category weights, which add up to the score scale
+     */
+    weights() {
+        const weights = {};
+        this.categoryIds().forEach(id => {
+            weights[id] = this.categories[id].weight;
+        });
+        return weights;
+    }
+
+    /**
+     * Normalize a year or date to an ISO date string. Years resolve to
+     * July 1 so a law counts for the year it was in force for most of.
+     */
+    static asDate(when) {
+        if (when === undefined || when === null) {
+            return new Date().toISOString().split('T')[0];
+        }
+        if (typeof when === 'number') {
+            return `${when}-07-01`;
+        }
+        return String(when).split('T')[0];
+    }
+
+    /**
+     * Provisions in force in a state on a date
+     */
+    lawsInForce(state, when) {
+        const date = GunLawDatabase.asDate(when);
+        return this.laws.filter(law =>
+            law.state === state &&
+            law.effective <= date &&
+            (!law.repealed || law.repealed > date)
+        );
+    }
+
+    /**
+     * Strength (0-1) of each category in a state: its strongest provision in force
+     */
+    categoryScores(state, when) {
+        const inForce = this.lawsInForce(state, when);
+        const scores = {};
+
+        this.categoryIds().forEach(id => {
+            const strengths = this.categories[id].provisions || {};
+            scores[id] = inForce
+                .filter(law => law.category === id)
+                .reduce((best, law) => Math.max(best, strengths[law.provision] || 0), 0);
+        });
+
+        return scores;
+    }
+
+    /**
+     * Weighted composite: sum of category weight x category strength
+     */
+    compositeScore(state, when) {
+        const scores = this.categoryScores(state, when);
+        const composite = this.categoryIds().reduce((sum, id) =>
+            sum + (this.categories[id].weight || 0) * scores[id], 0);
+        return Math.round(composite * 10) / 10;
+    }
+
+    /**
+     * Composite scores for every state on a date
+     */
+    scoresFor(states, when) {
+        const scores = {};
+        states.forEach(state => {
+            scores[state] = this.compositeScore(state, when);
+        });
+        return scores;
+    }
+
+    /**
+     * Category strengths for every state on a date, keyed category -> state
+     */
+    categoryScoresFor(states, when) {
+        const byCategory = {};
+        this.categoryIds().forEach(id => {
+            byCategory[id] = {};
+        });
+
+        states.forEach(state => {
+            const scores = this.categoryScores(state, when);
+            this.categoryIds().forEach(id => {
+                byCategory[id][state] = scores[id];
+            });
+        });
+
+        return byCategory;
+    }
+
+    /**
+     * Provisions in force for every state on a date, for display and audit
+     */
+    provisionsFor(states, when) {
+        const provisions = {};
+        states.forEach(state => {
+            provisions[state] = this.lawsInForce(state, when).map(law => ({
+                category: law.category,
+                provision: law.provision,
+                effective: law.effective,
+                citation: law.citation
+            }));
+        });
+        return provisions;
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GunLawDatabase;
+} else {
+    window.GunLawDatabase = GunLawDatabase;
+}
@@ -0,0 +1,288 @@
+/**
+ * Statistical Inference for Clearly Politics
+ * Confidence intervals for per-capita rates and tests comparing two rates.
+ * Counts are treated as Poisson: intervals are exact (Garwood) up to
+ * EXACT_POISSON_LIMIT events and use Byar's approximation above it. Real
+ * incident counts are often overdispersed, so the intervals are a lower
+ * bound on the true uncertainty, not a guarantee.
+ */
+
+const EXACT_POISSON_LIMIT = 1000;
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+class Inference {
+    /**
+     * Natural log of the gamma function
+     */
+    static logGamma(x) {
+        if (x < 0.5) {
+            // Reflection formula
+            return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - Inference.logGamma(1 - x);
+        }
+        const z = x - 1;
+        let sum = LANCZOS[0];
+        for (let i = 1; i < LANCZOS.length; i++) {
+            sum += LANCZOS[i] / (z + i);
+        }
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+    /**
+     * Regularized lower incomplete gamma P(a, x): series below a + 1,
+     * continued fraction above
+     */
+    static regularizedGammaP(a, x) {
+        if (x <= 0) return 0;
+        if (x < a + 1) {
+            return Inference.gammaSeries(a, x);
+        }
+        return 1 - Inference.gammaContinuedFraction(a, x);
+    }
+
+    /**
+     * Regularized upper incomplete gamma Q(a, x) = 1 - P(a, x), accurate in the far tail
+     */
+    static regularizedGammaQ(a, x) {
+        if (x <= 0) return 1;
+        if (x < a + 1) {
+            return 1 - Inference.gammaSeries(a, x);
+        }
+        return Inference.gammaContinuedFraction(a, x);
+    }
+
+    static gammaSeries(a, x) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 10000; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+        }
+        return sum * Math.exp(-x + a * Math.log(x) - Inference.logGamma(a));
+    }
+
+    static gammaContinuedFraction(a, x) {
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 10000; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return Math.exp(-x + a * Math.log(x) - Inference.logGamma(a)) * h;
+    }
+
+    /**
+     * x such that P(a, x) = p, by bisection
+     */
+    static gammaQuantile(p, a) {
+        if (p <= 0) return 0;
+        let low = 0;
+        let high = Math.max(1, a);
+        while (Inference.regularizedGammaP(a, high) < p) {
+            low = high;
+            high *= 2;
+        }
+        for (let i = 0; i < 200 && high - low > 1e-12 * Math.max(1, high); i++) {
+            const mid = (low + high) / 2;
+            if (Inference.regularizedGammaP(a, mid) < p) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Standard normal cumulative distribution, via erfc = Q(1/2, x^2)
+     */
+    static normalCdf(z) {
+        const tail = 0.5 * Inference.regularizedGammaQ(0.5, z * z / 2);
+        return z >= 0 ? 1 - tail : tail;
+    }
+
+    /**
+     * Standard normal quantile (Acklam's approximation plus one Newton step)
+     */
+    static normalQuantile(p) {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+        const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+        const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+
+        let x;
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        } else if (p <= 1 - low) {
+            const q = p - 0.5;
+            const r = q * q;
+            x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+                (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+        } else {
+            const q = Math.sqrt(-2 * Math.log(1 - p));
+            x = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+
+        const error = Inference.normalCdf(x) - p;
+        return x - error * Math.sqrt(2 * Math.PI) * Math.exp(x * x / 2);
+    }
+
+    /**
+     * Two-sided p-value for a standard normal test statistic, erfc(|z| / sqrt 2)
+     * = Q(1/2, z^2 / 2) computed as a tail rather than 1 minus the CDF, which
+     * rounds to 0 beyond |z| of about 8. Past |z| of about 38 even the tail is
+     * below the smallest double, so it is held there instead of reaching 0.
+     */
+    static twoSidedP(z) {
+        return Math.max(Number.MIN_VALUE, Math.min(1, Inference.regularizedGammaQ(0.5, z * z / 2)));
+    }
+
+    /**
+     * Regularized incomplete beta I_x(a, b), by Lentz's continued fraction
+     */
+    static regularizedBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        // The continued fraction converges fastest below the mean
+        if (x > (a + 1) / (a + b + 2)) {
+            return 1 - Inference.regularizedBeta(1 - x, b, a);
+        }
+
+        const tiny = 1e-300;
+        const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) -
+            (Inference.logGamma(a) + Inference.logGamma(b) - Inference.logGamma(a + b))) / a;
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        let h = d;
+        for (let m = 1; m < 10000; m++) {
+            for (const numerator of [
+                m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+                -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+            ]) {
+                d = 1 + numerator * d;
+                if (Math.abs(d) < tiny) d = tiny;
+                c = 1 + numerator / c;
+                if (Math.abs(c) < tiny) c = tiny;
+                d = 1 / d;
+                h *= d * c;
+            }
+            if (Math.abs(d * c - 1) < 1e-15) break;
+        }
+        return front * h;
+    }
+
+    /**
+     * Two-sided p-value for a Student t statistic with df degrees of freedom
+     */
+    static twoSidedTP(t, df) {
+        if (!(df > 0)) return null;
+        return Inference.regularizedBeta(df / (df + t * t), df / 2, 0.5);
+    }
+
+    /**
+     * Confidence interval for a Poisson count
+     * @returns {Object} { lower, upper, method } with method 'exact' or 'approximate'
+     */
+    static poissonInterval(count, { confidence = 0.95 } = {}) {
+        const alpha = 1 - confidence;
+
+        if (count <= EXACT_POISSON_LIMIT) {
+            return {
+                lower: count > 0 ? Inference.gammaQuantile(alpha / 2, count) : 0,
+                upper: Inference.gammaQuantile(1 - alpha / 2, count + 1),
+                method: 'exact'
+            };
+        }
+
+        // Byar's approximation, within a fraction of a percent at these counts
+        const z = Inference.normalQuantile(1 - alpha / 2);
+        const next = count + 1;
+        return {
+            lower: count * Math.pow(1 - 1 / (9 * count) - z / (3 * Math.sqrt(count)), 3),
+            upper: next * Math.pow(1 - 1 / (9 * next) + z / (3 * Math.sqrt(next)), 3),
+            method: 'approximate'
+        };
+    }
+
+    /**
+     * A per-capita rate with its confidence interval
+     * @returns {Object} { rate, lower, upper, confidence, method }; nulls without a population
+     */
+    static rateInterval(count, population, { confidence = 0.95, multiplier = 100000 } = {}) {
+        if (!population || population <= 0 || count === null || count === undefined) {
+            return { rate: null, lower: null, upper: null, confidence, method: null };
+        }
+
+        const interval = Inference.poissonInterval(count, { confidence });
+        const scale = multiplier / population;
+        return {
+            rate: count * scale,
+            lower: interval.lower * scale,
+            upper: interval.upper * scale,
+            confidence,
+            method: interval.method
+        };
+    }
+
+    /**
+     * Ratio of two rates with a log-normal confidence interval and a
+     * two-sided Wald test of equal rates. Undefined when either count is zero.
+     * @param {Object} a - { count, population }
+     * @param {Object} b - { count, population }
+     * @returns {Object} { ratio, lower, upper, pValue, confidence, method }
+     */
+    static rateRatio(a, b, { confidence = 0.95 } = {}) {
+        if (!(a.count > 0) || !(b.count > 0) || !(a.population > 0) || !(b.population > 0)) {
+            return { ratio: null, lower: null, upper: null, pValue: null, confidence, method: null };
+        }
+
+        const ratio = (a.count / a.population) / (b.count / b.population);
+        const standardError = Math.sqrt(1 / a.count + 1 / b.count);
+        const z = Inference.normalQuantile(1 - (1 - confidence) / 2);
+
+        return {
+            ratio,
+            lower: ratio * Math.exp(-z * standardError),
+            upper: ratio * Math.exp(z * standardError),
+            pValue: Inference.twoSidedP(Math.log(ratio) / standardError),
+            confidence,
+            method: 'log-normal'
+        };
+    }
+}
+
+Inference.EXACT_POISSON_LIMIT = EXACT_POISSON_LIMIT;
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Inference;
+} else {
+    window.Inference = Inference;
+}
@@ -0,0 +1,18 @@
+/**
+ * Module Loader for Clearly Politics
+ * The js/ modules are CommonJS in Node and plain scripts in the browser.
+ * requireModule() loads a sibling module in Node, or reads the global its
+ * script defined in the browser; this script must load before the others.
+ * Modules pick it up with `var requireModule = requireModule || require('./module-loader');`
+ */
+
+function requireModule(nodePath, globalName) {
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        return require(nodePath);
+    }
+    return window[globalName];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = requireModule;
+}
@@ -1,8 +1,14 @@
 const axios = require('axios');
 
 class MultiNewsService {
-    constructor(apiKeys) {
+    /**
+     * @param {Object} apiKeys - keys for each news API
+     * @param {Object} options.http - axios-compatible client; the collector passes its
+     * throttled HttpClient, otherwise requests go straight through axios
+     */
+    constructor(apiKeys, { http } = {}) {
         this.apiKeys = apiKeys;
+        this.http = http || axios;
         this.requestCounts = {
             mediastack: 0,
             gnews: 0,
@@ -46,7 +52,8 @@ class MultiNewsService {
         }
         
         this.requestCounts.mediastack++;
-        const response = await axios.get('http://api.mediastack.com/v1/news', {
+        const response = await this.http.get('http://api.mediastack.com/v1/news', {
+            profile: 'json',
             params: {
                 access_key: this.apiKeys.MEDIASTACK_API_KEY,
                 keywords: searchQuery,
@@ -73,7 +80,8 @@ class MultiNewsService {
             return null;
         }
 
-        const response = await axios.get('https://gnews.io/api/v4/search', {
+        const response = await this.http.get('https://gnews.io/api/v4/search', {
+            profile: 'json',
             params: {
                 q: searchQuery,
                 lang: 'en',
@@ -100,7 +108,8 @@ class MultiNewsService {
             return null;
         }
 
-        const response = await axios.get('https://newsdata.io/api/1/news', {
+        const response = await this.http.get('https://newsdata.io/api/1/news', {
+            profile: 'json',
             params: {
                 apikey: this.apiKeys.NEWSDATA_API_KEY,
                 q: searchQuery,
@@ -128,7 +137,8 @@ class MultiNewsService {
 
         // Try Top Stories first
         try {
-            const response = await axios.get('https://api.nytimes.com/svc/search/v2/articlesearch.json', {
+            const response = await this.http.get('https://api.nytimes.com/svc/search/v2/articlesearch.json', {
+                profile: 'json',
                 params: {
                     'api-key': this.apiKeys.NYT_API_KEY,
                     'q': searchQuery,
@@ -148,7 +158,8 @@ class MultiNewsService {
             }));
         } catch (error) {
             // If article search fails, try Most Popular API
-            const response = await axios.get('https://api.nytimes.com/svc/mostpopular/v2/viewed/1.json', {
+            const response = await this.http.get('https://api.nytimes.com/svc/mostpopular/v2/viewed/1.json', {
+                profile: 'json',
                 params: {
                     'api-key': this.apiKeys.NYT_API_KEY
                 }
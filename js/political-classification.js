@@ -0,0 +1,205 @@
+/**
+ * Political Classification for Clearly Politics
+ * Sorts states into red/blue/swing groups from election results
+ * (data/sources/elections.json) using one of several named schemes,
+ * always tied to the elections on or before the year being analyzed.
+ */
+
+const CLASSIFICATION_SCHEMES = {
+    presidentialWinner: {
+        label: 'Presidential winner',
+        description: 'Party that carried the state in the most recent presidential election',
+        elections: 1
+    },
+    trifecta: {
+        label: 'Trifecta control',
+        description: 'Party holding the governorship and both legislative chambers; anything else is swing'
+    },
+    swingBand: {
+        label: 'Margin swing band',
+        description: 'Average presidential margin over the last two elections; within the threshold is swing',
+        elections: 2,
+        threshold: 3
+    },
+    partisanLean: {
+        label: 'Partisan lean',
+        description: 'State margin minus national margin, weighted 3:1 toward the latest election; within the threshold is swing',
+        elections: 2,
+        threshold: 5
+    }
+};
+
+const DEFAULT_SCHEME = 'swingBand';
+
+class PoliticalClassifier {
+    /**
+     * @param {Object} doc - data/sources/elections.json layout
+     */
+    constructor(doc) {
+        this.presidential = doc?.presidential || {};
+        this.stateControl = doc?.stateControl || {};
+    }
+
+    static get schemes() {
+        return CLASSIFICATION_SCHEMES;
+    }
+
+    static get defaultScheme() {
+        return DEFAULT_SCHEME;
+    }
+
+    /**
+     * Presidential election years on or before a year, latest first
+     */
+    electionYears(year, count = 1) {
+        return Object.keys(this.presidential)
+            .map(Number)
+            .filter(electionYear => electionYear <= year)
+            .sort((a, b) => b - a)
+            .slice(0, count);
+    }
+
+    /**
+     * Classify every state for an analysis year
+     * @returns {Object} { scheme, label, year, electionYear, elections, groups, byState, ... }
+     */
+    classify({ scheme = DEFAULT_SCHEME, year = new Date().getFullYear(), threshold } = {}) {
+        const definition = CLASSIFICATION_SCHEMES[scheme];
+        if (!definition) {
+            throw new Error(`Unknown classification scheme "${scheme}" (expected one of ${Object.keys(CLASSIFICATION_SCHEMES).join(', ')})`);
+        }
+
+        const band = threshold ?? definition.threshold ?? null;
+        const result = scheme === 'trifecta'
+            ? this.classifyByControl(year)
+            : this.classifyByMargin(scheme, year, definition.elections, band);
+
+        const groups = { red: [], blue: [], swing: [] };
+        Object.entries(result.byState).forEach(([state, group]) => {
+            groups[group].push(state);
+        });
+
+        return {
+            scheme,
+            label: definition.label,
+            description: definition.description,
+            year,
+            threshold: band,
+            ...result,
+            groups
+        };
+    }
+
+    classifyByMargin(scheme, year, count, threshold) {
+        const elections = this.electionYears(year, count);
+        if (elections.length === 0) {
+            throw new Error(`No presidential results on or before ${year}`);
+        }
+
+        const scores = scheme === 'partisanLean'
+            ? this.partisanLean(elections)
+            : this.averageMargins(elections);
+
+        const byState = {};
+        Object.entries(scores).forEach(([state, score]) => {
+            if (scheme === 'presidentialWinner') {
+                byState[state] = score > 0 ? 'blue' : 'red';
+            } else if (Math.abs(score) < threshold) {
+                byState[state] = 'swing';
+            } else {
+                byState[state] = score > 0 ? 'blue' : 'red';
+            }
+        });
+
+        const result = { electionYear: elections[0], elections, byState };
+        if (scheme === 'partisanLean') {
+            result.lean = scores;
+        }
+        return result;
+    }
+
+    classifyByControl(year) {
+        const years = Object.keys(this.stateControl).map(Number).sort((a, b) => a - b);
+        if (years.length === 0) {
+            throw new Error('No state government control data available');
+        }
+
+        // Latest session on or before the year; earlier years use the first recorded session
+        const controlYear = years.filter(session => session <= year).pop() || years[0];
+        const { governor = {}, legislature = {} } = this.stateControl[controlYear];
+
+        const byState = {};
+        Object.keys(governor).forEach(state => {
+            const party = governor[state];
+            if (party === legislature[state] && party === 'R') {
+                byState[state] = 'red';
+            } else if (party === legislature[state] && party === 'D') {
+                byState[state] = 'blue';
+            } else {
+                byState[state] = 'swing';
+            }
+        });
+
+        return { electionYear: controlYear, elections: [controlYear], controlYear, byState };
+    }
+
+    /**
+     * Mean D-R margin per state across the given elections
+     */
+    averageMargins(elections) {
+        const averages = {};
+        Object.keys(this.presidential[elections[0]].margins).forEach(state => {
+            const margins = elections
+                .map(year => this.presidential[year].margins[state])
+                .filter(margin => margin !== undefined);
+            averages[state] = margins.reduce((sum, margin) => sum + margin, 0) / margins.length;
+        });
+        return averages;
+    }
+
+    /**
+     * Margin relative to the nation, 3:1 weighted toward the latest election
+     */
+    partisanLean(elections) {
+        const weights = elections.map((_, index) => (index === 0 ? 3 : 1));
+        const lean = {};
+
+        Object.keys(this.presidential[elections[0]].margins).forEach(state => {
+            let weighted = 0;
+            let totalWeight = 0;
+            elections.forEach((year, index) => {
+                const { margins, national = 0 } = this.presidential[year];
+                if (margins[state] !== undefined) {
+                    weighted += (margins[state] - national) * weights[index];
+                    totalWeight += weights[index];
+                }
+            });
+            lean[state] = Math.round((weighted / totalWeight) * 100) / 100;
+        });
+
+        return lean;
+    }
+
+    /**
+     * The part of a classification every processed output records
+     */
+    static describe(classification) {
+        const { scheme, label, year, electionYear, elections, threshold, controlYear } = classification;
+        return {
+            scheme,
+            label,
+            year,
+            electionYear,
+            elections,
+            threshold,
+            ...(controlYear ? { controlYear } : {})
+        };
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PoliticalClassifier;
+} else {
+    window.PoliticalClassifier = PoliticalClassifier;
+}
@@ -0,0 +1,158 @@
+/**
+ * Political Violence Dataset for Clearly Politics
+ * Curated incidents, each with an ideology category and subcategory, target,
+ * casualties, citations and the basis for its classification. Every total is
+ * counted from the incidents in a timeframe, so the category figures and the
+ * subcategory breakdown always add up to the same number.
+ */
+
+class PoliticalViolenceDataset {
+    /**
+     * @param {Object} doc - data/sources/political-violence.json layout
+     */
+    constructor(doc) {
+        this.categories = doc?.categories || {};
+        this.classificationBases = doc?.classificationBases || {};
+        this.incidents = (doc?.incidents || []).slice()
+            .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+        this.lastReviewed = doc?.lastReviewed || null;
+    }
+
+    categoryIds() {
+        return Object.keys(this.categories);
+    }
+
+    /**
+     * Subcategory id -> category id; subcategory ids are unique across categories
+     */
+    subcategoryIds() {
+        const ids = {};
+        this.categoryIds().forEach(category => {
+            Object.keys(this.categories[category].subcategories || {}).forEach(subcategory => {
+                ids[subcategory] = category;
+            });
+        });
+        return ids;
+    }
+
+    /**
+     * Records that would not be counted correctly
+     * @returns {Array} [{ id, message }]
+     */
+    problems() {
+        const subcategories = this.subcategoryIds();
+        const seen = new Set();
+        const problems = [];
+
+        this.incidents.forEach(incident => {
+            const report = message => problems.push({ id: incident.id || null, message });
+
+            if (!incident.id) report('incident has no id');
+            if (seen.has(incident.id)) report('duplicate incident id');
+            seen.add(incident.id);
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(incident.date || '')) report(`date is "${incident.date}", expected YYYY-MM-DD`);
+            if (!this.categories[incident.category]) report(`unknown category "${incident.category}"`);
+            if (subcategories[incident.subcategory] !== incident.category) {
+                report(`subcategory "${incident.subcategory}" is not part of ${incident.category}`);
+            }
+            if (!this.classificationBases[incident.classificationBasis]) {
+                report(`unknown classification basis "${incident.classificationBasis}"`);
+            }
+            if (!Number.isInteger(incident.casualties?.killed) || !Number.isInteger(incident.casualties?.injured)) {
+                report('casualties need whole-number killed and injured counts');
+            }
+            if (!Array.isArray(incident.citations) || incident.citations.length === 0) report('incident has no citations');
+        });
+
+        return problems;
+    }
+
+    /**
+     * Normalize a timeframe bound to an ISO date. Years cover the whole year.
+     */
+    static asDate(when, end = false) {
+        if (when === undefined || when === null) {
+            return null;
+        }
+        if (typeof when === 'number') {
+            return end ? `${when}-12-31` : `${when}-01-01`;
+        }
+        return String(when).split('T')[0];
+    }
+
+    /**
+     * Incidents between two dates or years, both inclusive; open ends are unbounded
+     */
+    incidentsBetween(from, to) {
+        const start = PoliticalViolenceDataset.asDate(from);
+        const end = PoliticalViolenceDataset.asDate(to, true);
+        return this.incidents.filter(incident =>
+            (!start || incident.date >= start) &&
+            (!end || incident.date <= end)
+        );
+    }
+
+    /**
+     * Category totals, subcategory breakdown and casualties for a timeframe.
+     * Defaults to the whole dataset, from its first incident to its last review.
+     */
+    aggregate({ from, to } = {}) {
+        const incidents = this.incidentsBetween(from, to);
+        const start = PoliticalViolenceDataset.asDate(from) || this.incidents[0]?.date || null;
+        const end = PoliticalViolenceDataset.asDate(to, true) || this.lastReviewed || this.incidents[this.incidents.length - 1]?.date || null;
+
+        const totals = {};
+        const byCategory = {};
+        const breakdown = {};
+        const byYear = {};
+        const casualties = { killed: 0, injured: 0 };
+
+        this.categoryIds().forEach(category => {
+            totals[category] = 0;
+            byCategory[category] = { label: this.categories[category].label, incidents: 0, killed: 0, injured: 0, subcategories: {} };
+            Object.keys(this.categories[category].subcategories || {}).forEach(subcategory => {
+                breakdown[subcategory] = 0;
+                byCategory[category].subcategories[subcategory] = 0;
+            });
+        });
+
+        incidents.forEach(incident => {
+            const group = byCategory[incident.category];
+            const year = incident.date.slice(0, 4);
+
+            totals[incident.category]++;
+            breakdown[incident.subcategory]++;
+            group.incidents++;
+            group.subcategories[incident.subcategory]++;
+            group.killed += incident.casualties.killed;
+            group.injured += incident.casualties.injured;
+            casualties.killed += incident.casualties.killed;
+            casualties.injured += incident.casualties.injured;
+
+            if (!byYear[year]) {
+                byYear[year] = Object.fromEntries(this.categoryIds().map(category => [category, 0]));
+            }
+            byYear[year][incident.category]++;
+        });
+
+        return {
+            ...totals,
+            total: incidents.length,
+            breakdown,
+            byCategory,
+            byYear,
+            casualties,
+            from: start,
+            to: end,
+            timeframe: `${start} to ${end}`
+        };
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PoliticalViolenceDataset;
+} else {
+    window.PoliticalViolenceDataset = PoliticalViolenceDataset;
+}
@@ -0,0 +1,189 @@
+/**
+ * Population Time Series for Clearly Politics
+ * Holds populations for many years (one vintage per published figure) and
+ * answers "population of X in year Y", interpolating between vintages and
+ * extrapolating past either end.
+ */
+
+class PopulationSeries {
+    constructor() {
+        // year -> { source, populations: { area: count } }
+        this.vintages = new Map();
+    }
+
+    /**
+     * Build a series from the data/sources/population.json layout.
+     * Pass 'counties' as the section to read county populations instead.
+     */
+    static fromJSON(doc, section = null) {
+        const series = new PopulationSeries();
+        const vintages = section ? doc?.[section]?.vintages : doc?.vintages;
+        Object.entries(vintages || {}).forEach(([year, vintage]) => {
+            series.addVintage(parseInt(year), vintage.populations, vintage.source);
+        });
+        return series;
+    }
+
+    /**
+     * Build a series from CSV text with area, year and population columns
+     */
+    static fromCSV(text, source = 'Imported CSV') {
+        const series = new PopulationSeries();
+        series.importCSV(text, source);
+        return series;
+    }
+
+    addVintage(year, populations, source = null) {
+        const existing = this.vintages.get(year);
+        this.vintages.set(year, {
+            source: source || existing?.source || null,
+            populations: { ...(existing?.populations || {}), ...populations }
+        });
+        return this;
+    }
+
+    importCSV(text, source = 'Imported CSV') {
+        const [header, ...rows] = text.trim().split(/\r?\n/);
+        const columns = header.split(',').map(column => column.trim().toLowerCase());
+        const areaIndex = columns.findIndex(column => ['state', 'area', 'fips', 'county'].includes(column));
+        const yearIndex = columns.indexOf('year');
+        const populationIndex = columns.indexOf('population');
+
+        if (areaIndex === -1 || yearIndex === -1 || populationIndex === -1) {
+            throw new Error('Population CSV needs state (or area/fips), year and population columns');
+        }
+
+        const byYear = {};
+        rows.forEach(row => {
+            const values = row.split(',').map(value => value.trim());
+            const year = parseInt(values[yearIndex]);
+            const population = parseInt(values[populationIndex]);
+            if (!values[areaIndex] || isNaN(year) || isNaN(population)) return;
+            byYear[year] = byYear[year] || {};
+            byYear[year][values[areaIndex]] = population;
+        });
+
+        Object.entries(byYear).forEach(([year, populations]) => {
+            this.addVintage(parseInt(year), populations, source);
+        });
+        return this;
+    }
+
+    /**
+     * Merge every vintage from another series into this one
+     */
+    merge(other) {
+        other.vintages.forEach((vintage, year) => this.addVintage(year, vintage.populations, vintage.source));
+        return this;
+    }
+
+    years() {
+        return Array.from(this.vintages.keys()).sort((a, b) => a - b);
+    }
+
+    areas() {
+        const areas = new Set();
+        this.vintages.forEach(vintage => Object.keys(vintage.populations).forEach(area => areas.add(area)));
+        return Array.from(areas);
+    }
+
+    /**
+     * Population of one area in one year, with how it was derived
+     */
+    estimate(area, year) {
+        const points = this.years()
+            .map(vintageYear => ({ year: vintageYear, population: this.vintages.get(vintageYear).populations[area] }))
+            .filter(point => Number.isFinite(point.population));
+
+        if (points.length === 0) {
+            return { population: null, method: 'missing', vintages: [] };
+        }
+
+        const exact = points.find(point => point.year === year);
+        if (exact) {
+            return { population: exact.population, method: 'vintage', vintages: [year] };
+        }
+
+        if (points.length === 1) {
+            return { population: points[0].population, method: 'carried', vintages: [points[0].year] };
+        }
+
+        const after = points.findIndex(point => point.year > year);
+        let lower;
+        let upper;
+        let method;
+        if (after === -1) {
+            [lower, upper] = points.slice(-2);
+            method = 'extrapolated';
+        } else if (after === 0) {
+            [lower, upper] = points.slice(0, 2);
+            method = 'extrapolated';
+        } else {
+            lower = points[after - 1];
+            upper = points[after];
+            method = 'interpolated';
+        }
+
+        // Linear between vintages, compound growth beyond them
+        const span = upper.year - lower.year;
+        let population;
+        if (method === 'interpolated') {
+            population = lower.population + (upper.population - lower.population) * (year - lower.year) / span;
+        } else {
+            const annualGrowth = Math.pow(upper.population / lower.population, 1 / span);
+            const anchor = after === 0 ? lower : upper;
+            population = anchor.population * Math.pow(annualGrowth, year - anchor.year);
+        }
+
+        return { population: Math.round(population), method, vintages: [lower.year, upper.year] };
+    }
+
+    getPopulation(area, year) {
+        return this.estimate(area, year).population;
+    }
+
+    /**
+     * Populations of every area for one year
+     */
+    forYear(year) {
+        const populations = {};
+        const methods = {};
+
+        this.areas().forEach(area => {
+            const { population, method } = this.estimate(area, year);
+            if (population !== null) {
+                populations[area] = population;
+                methods[method] = (methods[method] || 0) + 1;
+            }
+        });
+
+        return {
+            year,
+            populations,
+            methods,
+            vintages: this.years()
+        };
+    }
+
+    /**
+     * Sum of all areas for one year
+     */
+    total(year) {
+        return Object.values(this.forYear(year).populations).reduce((sum, population) => sum + population, 0);
+    }
+
+    toJSON() {
+        const vintages = {};
+        this.years().forEach(year => {
+            vintages[year] = this.vintages.get(year);
+        });
+        return { vintages };
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopulationSeries;
+} else {
+    window.PopulationSeries = PopulationSeries;
+}
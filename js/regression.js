@@ -0,0 +1,335 @@
+/**
+ * Regression Models for Clearly Politics
+ * Ordinary least squares for rates, and Poisson and negative binomial
+ * regression (log link, population offset) for counts. Predictors are
+ * centred and scaled before fitting and coefficients are reported on the
+ * original scale, so income in dollars and shares in percent can share a model.
+ */
+
+// The shared loader; a global in the browser (js/module-loader.js)
+var requireModule = requireModule || require('./module-loader');
+
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-10;
+
+class Regression {
+    /**
+     * Ordinary least squares of y on an intercept plus predictors
+     * @param {Array} rows - one array of predictor values per observation
+     * @param {Array} y - outcome per observation
+     * @param {Object} options - { names } predictor names in column order
+     * @returns {Object} { model, n, df, coefficients, rSquared, adjustedRSquared, residualStandardError, partialCorrelations, residuals }
+     */
+    static ols(rows, y, { names = [] } = {}) {
+        const design = Regression.standardize(rows);
+        const { matrix } = design;
+        const n = y.length;
+        const k = matrix[0].length;
+        const df = n - k;
+        if (df < 1) {
+            throw new Error(`OLS needs more observations (${n}) than parameters (${k})`);
+        }
+
+        const inverse = Regression.invert(Regression.crossProduct(matrix, matrix, new Array(n).fill(1)));
+        const scaled = Regression.multiply(inverse, Regression.crossVector(matrix, y, new Array(n).fill(1)));
+        const fitted = matrix.map(row => Regression.dot(row, scaled));
+        const residuals = y.map((value, i) => value - fitted[i]);
+
+        const mean = y.reduce((sum, value) => sum + value, 0) / n;
+        const sse = residuals.reduce((sum, value) => sum + value * value, 0);
+        const sst = y.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+        const variance = sse / df;
+
+        const { estimates, covariance } = design.unscale(scaled, inverse.map(row => row.map(value => value * variance)));
+        const Inference = requireModule('./inference', 'Inference');
+        const coefficients = Regression.describe(estimates, covariance, names, statistic => Inference.twoSidedTP(statistic, df));
+
+        return {
+            model: 'ols',
+            n,
+            df,
+            coefficients,
+            rSquared: sst > 0 ? 1 - sse / sst : null,
+            adjustedRSquared: sst > 0 ? 1 - (sse / df) / (sst / (n - 1)) : null,
+            residualStandardError: Math.sqrt(variance),
+            // Each predictor against y with the others held fixed: t / sqrt(t^2 + df)
+            partialCorrelations: Object.fromEntries(coefficients.slice(1).map(coefficient => [
+                coefficient.name,
+                coefficient.statistic / Math.sqrt(coefficient.statistic ** 2 + df)
+            ])),
+            residuals
+        };
+    }
+
+    /**
+     * Poisson regression of counts with log(exposure) as offset
+     * @param {Object} options - { exposure, names }
+     * @returns {Object} { model, n, df, coefficients, deviance, nullDeviance, devianceExplained, dispersion, converged, iterations }
+     */
+    static poisson(rows, counts, { exposure, names = [] } = {}) {
+        return Regression.countModel(rows, counts, { exposure, names, alpha: 0 });
+    }
+
+    /**
+     * Negative binomial (NB2) regression: variance mu + alpha * mu^2. alpha
+     * is estimated by the method of moments, alternating with the
+     * coefficients, and treated as known for the standard errors.
+     * @param {Object} options - { exposure, names }
+     */
+    static negativeBinomial(rows, counts, { exposure, names = [] } = {}) {
+        const n = counts.length;
+        const k = rows[0].length + 1;
+        let fit = Regression.countModel(rows, counts, { exposure, names, alpha: 0 });
+        let alpha = 0;
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const next = Regression.momentAlpha(counts, fit.fitted, n - k);
+            fit = Regression.countModel(rows, counts, { exposure, names, alpha: next });
+            const change = Math.abs(next - alpha);
+            alpha = next;
+            if (change < 1e-8 * Math.max(1, alpha)) break;
+        }
+
+        return { ...fit, model: 'negativeBinomial', alpha };
+    }
+
+    /**
+     * Residuals of y after regressing it on an intercept plus predictors
+     */
+    static residualize(y, rows) {
+        if (rows[0].length === 0) {
+            const mean = y.reduce((sum, value) => sum + value, 0) / y.length;
+            return y.map(value => value - mean);
+        }
+        return Regression.ols(rows, y).residuals;
+    }
+
+    /**
+     * IRLS fit of a log-link count model; alpha = 0 is Poisson
+     */
+    static countModel(rows, counts, { exposure, names, alpha }) {
+        const design = Regression.standardize(rows);
+        const { matrix } = design;
+        const n = counts.length;
+        const k = matrix[0].length;
+        if (n <= k) {
+            throw new Error(`Count regression needs more observations (${n}) than parameters (${k})`);
+        }
+
+        const offset = exposure.map(value => Math.log(value));
+        const fit = Regression.irls(matrix, counts, offset, alpha);
+
+        // Null model: intercept and offset only, same alpha
+        const nullFit = Regression.irls(counts.map(() => [1]), counts, offset, alpha);
+
+        const { estimates, covariance } = design.unscale(fit.coefficients, fit.covariance);
+        const Inference = requireModule('./inference', 'Inference');
+        const coefficients = Regression.describe(estimates, covariance, names, statistic => Inference.twoSidedP(statistic))
+            .map((coefficient, index) => ({ ...coefficient, rateRatio: index === 0 ? null : Math.exp(coefficient.estimate) }));
+
+        const pearson = counts.reduce((sum, y, i) => sum + (y - fit.mu[i]) ** 2 / (fit.mu[i] * (1 + alpha * fit.mu[i])), 0);
+
+        return {
+            model: 'poisson',
+            n,
+            df: n - k,
+            coefficients,
+            deviance: fit.deviance,
+            nullDeviance: nullFit.deviance,
+            devianceExplained: nullFit.deviance > 0 ? 1 - fit.deviance / nullFit.deviance : null,
+            // Pearson chi-square per degree of freedom; well above 1 means overdispersion
+            dispersion: pearson / (n - k),
+            converged: fit.converged,
+            iterations: fit.iterations,
+            fitted: fit.mu
+        };
+    }
+
+    static irls(matrix, counts, offset, alpha) {
+        let mu = counts.map(y => y + 0.1);
+        let eta = mu.map(value => Math.log(value));
+        let deviance = Regression.countDeviance(counts, mu, alpha);
+        let coefficients = null;
+        let covariance = null;
+        let converged = false;
+        let iterations = 0;
+
+        while (iterations < MAX_ITERATIONS) {
+            iterations++;
+            const weights = mu.map(value => value / (1 + alpha * value));
+            const working = counts.map((y, i) => eta[i] - offset[i] + (y - mu[i]) / mu[i]);
+            covariance = Regression.invert(Regression.crossProduct(matrix, matrix, weights));
+            coefficients = Regression.multiply(covariance, Regression.crossVector(matrix, working, weights));
+
+            eta = matrix.map((row, i) => Regression.dot(row, coefficients) + offset[i]);
+            mu = eta.map(value => Math.exp(value));
+            const next = Regression.countDeviance(counts, mu, alpha);
+            const change = Math.abs(next - deviance) / (Math.abs(next) + 0.1);
+            deviance = next;
+            if (change < TOLERANCE) {
+                converged = true;
+                break;
+            }
+        }
+
+        // Covariance at the final estimates
+        const weights = mu.map(value => value / (1 + alpha * value));
+        covariance = Regression.invert(Regression.crossProduct(matrix, matrix, weights));
+
+        return { coefficients, covariance, mu, deviance, converged, iterations };
+    }
+
+    static countDeviance(counts, mu, alpha) {
+        return 2 * counts.reduce((sum, y, i) => {
+            const logRatio = y > 0 ? y * Math.log(y / mu[i]) : 0;
+            if (alpha === 0) {
+                return sum + logRatio - (y - mu[i]);
+            }
+            return sum + logRatio - (y + 1 / alpha) * Math.log((1 + alpha * y) / (1 + alpha * mu[i]));
+        }, 0);
+    }
+
+    /**
+     * alpha at which the Pearson statistic equals its degrees of freedom
+     */
+    static momentAlpha(counts, mu, df) {
+        const pearson = alpha => counts.reduce((sum, y, i) => sum + (y - mu[i]) ** 2 / (mu[i] * (1 + alpha * mu[i])), 0);
+        if (pearson(0) <= df) return 0;
+
+        let low = 0;
+        let high = 1;
+        while (pearson(high) > df) {
+            low = high;
+            high *= 2;
+        }
+        for (let i = 0; i < 200 && high - low > 1e-12 * high; i++) {
+            const mid = (low + high) / 2;
+            if (pearson(mid) > df) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Coefficient table rows; the first row is the intercept
+     */
+    static describe(estimates, covariance, names, pValue) {
+        return estimates.map((estimate, index) => {
+            const standardError = Math.sqrt(covariance[index][index]);
+            const statistic = estimate / standardError;
+            return {
+                name: index === 0 ? 'intercept' : names[index - 1] || `x${index}`,
+                estimate,
+                standardError,
+                statistic,
+                pValue: pValue(statistic)
+            };
+        });
+    }
+
+    /**
+     * Design matrix with an intercept and centred, scaled predictors, plus
+     * the map from coefficients on that scale back to the original one
+     */
+    static standardize(rows) {
+        const columns = rows[0].length;
+        const means = [];
+        const scales = [];
+        for (let j = 0; j < columns; j++) {
+            const values = rows.map(row => row[j]);
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const spread = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+            if (!(spread > 0)) {
+                throw new Error(`Predictor ${j + 1} has no variation`);
+            }
+            means.push(mean);
+            scales.push(spread);
+        }
+
+        // original = T * scaled: slopes divide by the scale, the intercept absorbs the centring
+        const transform = Array.from({ length: columns + 1 }, (_, i) => Array.from({ length: columns + 1 }, (_, j) => {
+            if (i === 0) return j === 0 ? 1 : -means[j - 1] / scales[j - 1];
+            return i === j ? 1 / scales[i - 1] : 0;
+        }));
+
+        return {
+            matrix: rows.map(row => [1, ...row.map((value, j) => (value - means[j]) / scales[j])]),
+            unscale: (coefficients, covariance) => ({
+                estimates: Regression.multiply(transform, coefficients),
+                // T C T'
+                covariance: transform.map(row => transform.map(other =>
+                    row.reduce((sum, value, m) => sum + value * Regression.dot(covariance[m], other), 0)))
+            })
+        };
+    }
+
+    /**
+     * X' W Z for a diagonal weight vector W
+     */
+    static crossProduct(x, z, weights) {
+        const p = x[0].length;
+        const q = z[0].length;
+        const result = Array.from({ length: p }, () => new Array(q).fill(0));
+        x.forEach((row, i) => {
+            for (let a = 0; a < p; a++) {
+                for (let b = 0; b < q; b++) {
+                    result[a][b] += row[a] * weights[i] * z[i][b];
+                }
+            }
+        });
+        return result;
+    }
+
+    static crossVector(x, y, weights) {
+        return Regression.crossProduct(x, y.map(value => [value]), weights).map(row => row[0]);
+    }
+
+    static multiply(matrix, vector) {
+        return matrix.map(row => Regression.dot(row, vector));
+    }
+
+    static dot(a, b) {
+        return a.reduce((sum, value, i) => sum + value * b[i], 0);
+    }
+
+    /**
+     * Gauss-Jordan inverse with partial pivoting
+     */
+    static invert(matrix) {
+        const size = matrix.length;
+        const work = matrix.map((row, i) => [...row, ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))]);
+
+        for (let column = 0; column < size; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < size; row++) {
+                if (Math.abs(work[row][column]) > Math.abs(work[pivot][column])) pivot = row;
+            }
+            if (Math.abs(work[pivot][column]) < 1e-12) {
+                throw new Error('Predictors are collinear; the model cannot be fitted');
+            }
+            [work[column], work[pivot]] = [work[pivot], work[column]];
+
+            const divisor = work[column][column];
+            work[column] = work[column].map(value => value / divisor);
+            for (let row = 0; row < size; row++) {
+                if (row === column) continue;
+                const factor = work[row][column];
+                if (factor !== 0) {
+                    work[row] = work[row].map((value, j) => value - factor * work[column][j]);
+                }
+            }
+        }
+
+        return work.map(row => row.slice(size));
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Regression;
+} else {
+    window.Regression = Regression;
+}
@@ -0,0 +1,47 @@
+/**
+ * US State Reference for Clearly Politics
+ * The 50 states plus DC, shared by the collector and the dashboard
+ */
+
+const US_STATES = {
+    'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas',
+    'CA': 'California', 'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware',
+    'DC': 'District of Columbia', 'FL': 'Florida', 'GA': 'Georgia', 'HI': 'Hawaii',
+    'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
+    'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine',
+    'MD': 'Maryland', 'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota',
+    'MS': 'Mississippi', 'MO': 'Missouri', 'MT': 'Montana', 'NE': 'Nebraska',
+    'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey', 'NM': 'New Mexico',
+    'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
+    'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island',
+    'SC': 'South Carolina', 'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas',
+    'UT': 'Utah', 'VT': 'Vermont', 'VA': 'Virginia', 'WA': 'Washington',
+    'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming'
+};
+
+const STATE_CODES = Object.keys(US_STATES);
+
+const STATE_NAME_LOOKUP = Object.entries(US_STATES).reduce((lookup, [code, name]) => {
+    lookup[name.toLowerCase()] = code;
+    return lookup;
+}, { 'washington dc': 'DC', 'washington, d.c.': 'DC', 'd.c.': 'DC' });
+
+/**
+ * Resolve a state name or postal code to its postal code
+ */
+function getStateCode(value) {
+    if (!value) return undefined;
+    const text = String(value).trim();
+    const upper = text.toUpperCase();
+    if (US_STATES[upper]) return upper;
+    return STATE_NAME_LOOKUP[text.toLowerCase()];
+}
+
+const USStates = { US_STATES, STATE_CODES, getStateCode };
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = USStates;
+} else {
+    window.USStates = USStates;
+}
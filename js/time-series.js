@@ -0,0 +1,244 @@
+/**
+ * Time Series Analysis for Clearly Politics
+ * Seasonal decomposition (STL-style: loess on each month's subseries and
+ * on the trend, without STL's robustness passes), year-over-year
+ * comparison and additive Holt-Winters forecasting with prediction
+ * intervals. Series are arrays of numbers with null for missing or
+ * partial periods, oldest first.
+ */
+
+// The shared loader; a global in the browser (js/module-loader.js)
+var requireModule = requireModule || require('./module-loader');
+
+const SEASONAL_SPAN = 7;
+const INNER_ITERATIONS = 2;
+const SMOOTHING_GRID = [0.05, 0.15, 0.25, 0.35, 0.45, 0.55, 0.65, 0.75, 0.85, 0.95];
+
+class TimeSeries {
+    /**
+     * Split a series into trend, seasonal and remainder components.
+     * Needs two full cycles of observations.
+     * @returns {Object|null} { trend, seasonal, remainder, deseasonalized, period } or null with too little data
+     */
+    static decompose(values, { period = 12 } = {}) {
+        if (TimeSeries.observed(values).length < 2 * period) return null;
+
+        const n = values.length;
+        const trendSpan = TimeSeries.odd(Math.ceil(1.5 * period / (1 - 1.5 / SEASONAL_SPAN)));
+        let trend = new Array(n).fill(0);
+        let seasonal = new Array(n).fill(0);
+
+        for (let iteration = 0; iteration < INNER_ITERATIONS; iteration++) {
+            // Smooth each month's values across years, extended one cycle
+            // past each end so the low-pass filter below has full windows
+            const detrended = values.map((value, i) => (value === null ? null : value - trend[i]));
+            const cycle = new Array(n + 2 * period);
+            for (let position = 0; position < period; position++) {
+                const indices = [];
+                for (let i = position; i < n; i += period) indices.push(i);
+                const smoothed = TimeSeries.loess([null, ...indices.map(i => detrended[i]), null], SEASONAL_SPAN);
+                cycle[position] = smoothed[0];
+                indices.forEach((i, k) => {
+                    cycle[i + period] = smoothed[k + 1];
+                });
+                cycle[indices[indices.length - 1] + 2 * period] = smoothed[smoothed.length - 1];
+            }
+
+            // Remove what the subseries smoothing let through of the trend,
+            // with STL's period, period, 3 moving averages
+            const lowPass = TimeSeries.movingAverage(TimeSeries.movingAverage(TimeSeries.movingAverage(cycle, period), period), 3);
+            seasonal = lowPass.map((value, i) => cycle[i + period] - value);
+
+            const adjusted = values.map((value, i) => (value === null ? null : value - seasonal[i]));
+            trend = TimeSeries.loess(adjusted, trendSpan);
+        }
+
+        return {
+            period,
+            trend,
+            seasonal,
+            remainder: values.map((value, i) => (value === null ? null : value - trend[i] - seasonal[i])),
+            deseasonalized: values.map((value, i) => (value === null ? null : value - seasonal[i]))
+        };
+    }
+
+    /**
+     * Each value against the value one period earlier
+     * @returns {Array} [{ value, previous, change, percentChange }], nulls where either is missing
+     */
+    static yearOverYear(values, { period = 12 } = {}) {
+        return values.map((value, i) => {
+            const previous = i >= period ? values[i - period] : null;
+            if (value === null || previous === null) {
+                return { value, previous, change: null, percentChange: null };
+            }
+            return {
+                value,
+                previous,
+                change: value - previous,
+                percentChange: previous === 0 ? null : (value - previous) / previous * 100
+            };
+        });
+    }
+
+    /**
+     * Additive Holt-Winters forecast. Smoothing parameters are chosen on a
+     * grid by one-step-ahead squared error; missing values are replaced by
+     * their one-step forecast. Intervals follow the ETS(A,A,A) forecast
+     * variance, so they assume normal, uncorrelated errors.
+     * @returns {Object|null} { forecasts: [{ step, forecast, lower, upper }], alpha, beta, gamma, sigma, confidence } or null with too little data
+     */
+    static holtWinters(values, { period = 12, horizon = period, confidence = 0.95 } = {}) {
+        if (values.length < 2 * period || TimeSeries.observed(values).length < 2 * period) return null;
+
+        let best = null;
+        SMOOTHING_GRID.forEach(alpha => {
+            SMOOTHING_GRID.forEach(beta => {
+                SMOOTHING_GRID.forEach(gamma => {
+                    const fit = TimeSeries.holtWintersFit(values, period, alpha, beta, gamma);
+                    if (fit && (!best || fit.sse < best.sse)) {
+                        best = { ...fit, alpha, beta, gamma };
+                    }
+                });
+            });
+        });
+        if (!best) return null;
+
+        const { alpha, beta, gamma, level, slope, seasonals } = best;
+        const sigma = Math.sqrt(best.sse / best.errors);
+        const z = requireModule('./inference', 'Inference').normalQuantile(1 - (1 - confidence) / 2);
+        const forecasts = [];
+        let variance = 0;
+        for (let step = 1; step <= horizon; step++) {
+            const coefficient = step === 1 ? 0 : alpha * (1 + (step - 1) * beta) + ((step - 1) % period === 0 ? gamma * (1 - alpha) : 0);
+            variance += coefficient * coefficient;
+            const forecast = level + step * slope + seasonals[seasonals.length - period + (step - 1) % period];
+            const spread = z * sigma * Math.sqrt(1 + variance);
+            forecasts.push({ step, forecast, lower: forecast - spread, upper: forecast + spread });
+        }
+
+        return { forecasts, alpha, beta, gamma, sigma, confidence };
+    }
+
+    /**
+     * One pass of the Holt-Winters recursions from a two-cycle start
+     */
+    static holtWintersFit(values, period, alpha, beta, gamma) {
+        const cycleMean = cycle => {
+            const observed = TimeSeries.observed(values.slice(cycle * period, (cycle + 1) * period));
+            return observed.length ? observed.reduce((sum, value) => sum + value, 0) / observed.length : null;
+        };
+        const first = cycleMean(0);
+        const second = cycleMean(1);
+        if (first === null || second === null) return null;
+
+        let level = first;
+        let slope = (second - first) / period;
+        const seasonals = values.slice(0, period).map(value => (value === null ? 0 : value - first));
+        let sse = 0;
+        let errors = 0;
+
+        for (let t = period; t < values.length; t++) {
+            const season = seasonals[t - period];
+            const forecast = level + slope + season;
+            const value = values[t] === null ? forecast : values[t];
+            if (values[t] !== null) {
+                sse += (value - forecast) ** 2;
+                errors++;
+            }
+            const previousLevel = level;
+            level = alpha * (value - season) + (1 - alpha) * (level + slope);
+            slope = beta * (level - previousLevel) + (1 - beta) * slope;
+            seasonals.push(gamma * (value - level) + (1 - gamma) * season);
+        }
+
+        return errors > 0 ? { sse, errors, level, slope, seasonals } : null;
+    }
+
+    /**
+     * Direction of a (de-seasonalized) series over its latest observations:
+     * the change along a least-squares line, as a percent of where it starts
+     * @returns {Object} { direction, percentChange } with direction 'increasing', 'decreasing', 'stable' or 'insufficient data'
+     */
+    static trendDirection(values, { window = 12, threshold = 5 } = {}) {
+        const points = values
+            .map((value, index) => ({ index, value }))
+            .filter(point => point.value !== null)
+            .slice(-window);
+        if (points.length < 3) return { direction: 'insufficient data', percentChange: null };
+
+        const meanX = points.reduce((sum, point) => sum + point.index, 0) / points.length;
+        const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+        const sxx = points.reduce((sum, point) => sum + (point.index - meanX) ** 2, 0);
+        const slope = points.reduce((sum, point) => sum + (point.index - meanX) * (point.value - meanY), 0) / sxx;
+        const start = meanY + slope * (points[0].index - meanX);
+        const end = meanY + slope * (points[points.length - 1].index - meanX);
+        if (start <= 0) return { direction: 'insufficient data', percentChange: null };
+
+        const percentChange = (end - start) / start * 100;
+        const direction = percentChange > threshold ? 'increasing' : percentChange < -threshold ? 'decreasing' : 'stable';
+        return { direction, percentChange };
+    }
+
+    /**
+     * Local linear regression with tricube weights over the span nearest
+     * observations; fitted at every position, missing ones included
+     */
+    static loess(values, span) {
+        const points = values.map((value, index) => ({ index, value })).filter(point => point.value !== null);
+        if (points.length === 0) return values.map(() => 0);
+        if (points.length === 1) return values.map(() => points[0].value);
+
+        const q = Math.min(span, points.length);
+        return values.map((_, x) => {
+            const distances = points.map(point => Math.abs(point.index - x)).sort((a, b) => a - b);
+            // Past the data the window widens in proportion, as in STL
+            const reach = Math.max(distances[q - 1] * Math.max(1, span / points.length), 1e-9) * 1.000001;
+            let sw = 0;
+            let swx = 0;
+            let swy = 0;
+            let swxx = 0;
+            let swxy = 0;
+            points.forEach(point => {
+                const u = Math.abs(point.index - x) / reach;
+                if (u >= 1) return;
+                const w = (1 - u ** 3) ** 3;
+                sw += w;
+                swx += w * point.index;
+                swy += w * point.value;
+                swxx += w * point.index * point.index;
+                swxy += w * point.index * point.value;
+            });
+            const meanX = swx / sw;
+            const meanY = swy / sw;
+            const spread = swxx / sw - meanX * meanX;
+            return spread > 1e-12 ? meanY + (swxy / sw - meanX * meanY) / spread * (x - meanX) : meanY;
+        });
+    }
+
+    /**
+     * Moving average over full windows only, so window - 1 values shorter
+     */
+    static movingAverage(values, window) {
+        const averages = [];
+        for (let i = 0; i + window <= values.length; i++) {
+            averages.push(values.slice(i, i + window).reduce((sum, value) => sum + value, 0) / window);
+        }
+        return averages;
+    }
+
+    static observed(values) {
+        return values.filter(value => value !== null && value !== undefined);
+    }
+
+    static odd(value) {
+        return value % 2 === 0 ? value + 1 : value;
+    }
+}
+
+// Export for use in other modules (browser global or Node require)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeSeries;
+} else {
+    window.TimeSeries = TimeSeries;
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Snapshot Archive Script for Clearly Politics
+ * Indexes, compacts and reads the processed snapshot archive
+ */
+
+const path = require('path');
+const SnapshotArchive = require('./lib/snapshot-archive');
+const { parseArgs, formatUsage, UsageError } = require('./lib/cli-args');
+
+const CLI_OPTIONS = {
+    index: { type: 'boolean', description: 'Add daily files written before the archive to manifest.json' },
+    compact: { type: 'boolean', description: 'Bundle snapshots past the retention window' },
+    list: { type: 'boolean', description: 'List snapshot dates with their hash and storage' },
+    get: { type: 'date', placeholder: 'YYYY-MM-DD', description: 'Print the snapshot for a date' },
+    'keep-daily-days': { type: 'number', placeholder: 'days', description: 'Days kept as plain files (saved to manifest)' },
+    'keep-months': { type: 'number', placeholder: 'months', description: 'Months kept at all (saved to manifest; default forever)' },
+    dir: { type: 'string', placeholder: 'dir', description: 'Archive directory (default: data/processed)' },
+    help: { type: 'boolean', description: 'Show this help' }
+};
+
+// CLI execution
+if (require.main === module) {
+    (async () => {
+        try {
+            const options = parseArgs(process.argv.slice(2), CLI_OPTIONS);
+            if (options.help || !(options.index || options.compact || options.list || options.get)) {
+                console.log(formatUsage('node scripts/archive-data.js', CLI_OPTIONS));
+                process.exit(0);
+            }
+
+            const retention = {};
+            if (options.keepDailyDays !== undefined) retention.keepDailyDays = options.keepDailyDays;
+            if (options.keepMonths !== undefined) retention.keepMonths = options.keepMonths;
+
+            const dir = options.dir ? path.resolve(options.dir) : path.join(__dirname, '../data/processed');
+            const archive = new SnapshotArchive(dir, {
+                retention: Object.keys(retention).length > 0 ? retention : null
+            });
+
+            if (options.get) {
+                const snapshot = await archive.read(options.get);
+                if (!snapshot) {
+                    throw new Error(`No snapshot for ${options.get}`);
+                }
+                process.stdout.write(JSON.stringify(snapshot, null, 2) + '\n');
+                process.exit(0);
+            }
+
+            if (options.index) {
+                const indexed = await archive.indexLegacyFiles();
+                console.log(`🗂️ Indexed ${indexed} daily file(s)`);
+            }
+
+            if (options.compact) {
+                const { bundled, prunedSnapshots } = await archive.compact();
+                console.log(`🗜️ Bundled ${bundled} snapshot(s), removed ${prunedSnapshots} past retention`);
+            }
+
+            if (options.list) {
+                const manifest = await archive.load();
+                for (const date of await archive.list()) {
+                    const entry = manifest.snapshots[date];
+                    const blob = entry && manifest.blobs[entry.hash];
+                    const storage = !entry ? 'unindexed' : blob.bundle ? blob.bundle : blob.file;
+                    console.log(`${date}  ${entry ? entry.hash.slice(0, 12) : '-'.padEnd(12)}  ${storage}`);
+                }
+            }
+
+            process.exit(0);
+        } catch (error) {
+            if (error instanceof UsageError) {
+                console.error(`${error.message}\n\n${formatUsage('node scripts/archive-data.js', CLI_OPTIONS)}`);
+                process.exit(2);
+            }
+            console.error('\n💥 Archive command failed:', error.message);
+            process.exit(1);
+        }
+    })();
+}
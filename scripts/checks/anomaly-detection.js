@@ -0,0 +1,85 @@
+/**
+ * Incident spikes against seasonal baselines (js/anomaly-detection.js,
+ * DataProcessor.processIncidentAnomalies, scripts/sources/incident-activity.js)
+ */
+
+const assert = require('assert');
+const AnomalyDetection = require('../../js/anomaly-detection');
+const DataProcessor = require('../../js/data-processor');
+const IncidentStore = require('../lib/incident-store');
+const IncidentActivitySource = require('../sources/incident-activity');
+
+const STATES = ['AL', 'AZ', 'CA', 'CO', 'FL', 'GA', 'IL', 'MA', 'MI', 'NY', 'OH', 'TX'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDay = time => new Date(time).toISOString().split('T')[0];
+
+/**
+ * Twelve weeks of daily counts between 2 and 4 in every state, fully covered
+ */
+function activity(spikes = {}) {
+    const start = Date.parse('2025-01-01T00:00:00Z');
+    const dates = Array.from({ length: 84 }, (_, i) => isoDay(start + i * DAY_MS));
+    const days = {};
+    STATES.forEach((state, s) => {
+        days[state] = {};
+        dates.forEach((date, d) => {
+            days[state][date] = spikes[state]?.[date] ?? 2 + (d + s) % 3;
+        });
+    });
+    return { days, coverage: [{ start: dates[0], end: dates[dates.length - 1] }], incidents: [] };
+}
+
+module.exports = {
+    'flags a synthetic spike and nothing else': async () => {
+        const margins = Object.fromEntries(STATES.map((state, i) => [state, i % 2 ? 10 : -10]));
+        const processor = new DataProcessor({ elections: { presidential: { 2024: { margins } } } });
+        const quiet = processor.processIncidentAnomalies(activity());
+        assert.strictEqual(quiet.periodsTested, STATES.length * (14 + 8));
+        assert.deepStrictEqual(quiet.anomalies, []);
+
+        const result = processor.processIncidentAnomalies(activity({ CA: { '2025-03-20': 20 } }));
+        assert.strictEqual(result.periodsTested, quiet.periodsTested);
+        assert.ok(result.anomalies.length > 0);
+        assert.ok(result.anomalies.every(anomaly => anomaly.state === 'CA'));
+
+        const day = result.anomalies.find(anomaly => anomaly.period === 'day');
+        assert.strictEqual(day.start, '2025-03-20');
+        assert.strictEqual(day.observed, 20);
+        assert.ok(day.qValue < result.falseDiscoveryRate && day.qValue >= day.pValue);
+    },
+
+    'adjusts p-values across every test (Benjamini-Hochberg)': async () => {
+        const results = [0.01, 0.04, 0.03, 0.005].map(pValue => ({ pValue, flagged: true, severity: 'elevated' }));
+        const adjusted = AnomalyDetection.controlFalseDiscoveries(results);
+        adjusted.map(result => result.qValue).forEach((qValue, i) =>
+            assert.ok(Math.abs(qValue - [0.02, 0.04, 0.04, 0.02][i]) < 1e-12, `q[${i}] = ${qValue}`));
+        assert.deepStrictEqual(AnomalyDetection.controlFalseDiscoveries(results, { rate: 0.03 }).map(result => result.flagged),
+            [true, false, false, true]);
+
+        // Significant alone, but not as one test among a hundred
+        const many = [{ pValue: 0.0009, flagged: true, severity: 'elevated' },
+            ...Array.from({ length: 99 }, () => ({ pValue: 0.5, flagged: false, severity: null }))];
+        const [lone] = AnomalyDetection.controlFalseDiscoveries(many);
+        assert.strictEqual(lone.flagged, false);
+        assert.strictEqual(lone.severity, null);
+    },
+
+    'counts only scraped incidents over the scrape stretches': async () => {
+        const store = new IncidentStore('/nonexistent/incidents.jsonl');
+        store.merge([
+            { id: 1, date: 'January 5, 2025', state: 'Texas', city: 'Austin', killed: 0, injured: 1 },
+            { id: 2, date: 'January 5, 2025', state: 'Texas', city: 'Dallas', killed: 1, injured: 0 },
+            { id: 3, date: 'January 21, 2025', state: 'Ohio', city: 'Akron', killed: 0, injured: 2 }
+        ], { seenAt: '2025-01-22T06:00:00Z' });
+        ['2025-01-02T06:00:00Z', '2025-01-04T06:00:00Z', '2025-01-06T06:00:00Z', '2025-01-20T06:00:00Z', '2025-01-22T06:00:00Z']
+            .forEach(at => store.recordScrape({ at }));
+
+        // No exports are read: the collector has nothing but the store
+        const source = new IncidentActivitySource();
+        const data = await source.normalize(await source.collect({ collector: { incidentStore: store } }));
+
+        assert.deepStrictEqual(data.coverage.map(({ start, end }) => [start, end]),
+            [['2024-12-30', '2025-01-05'], ['2025-01-17', '2025-01-21']]);
+        assert.deepStrictEqual(data.days, { TX: { '2025-01-05': 2 }, OH: { '2025-01-21': 1 } });
+    }
+};
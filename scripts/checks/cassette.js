@@ -0,0 +1,74 @@
+/**
+ * Cassette record and replay (scripts/lib/cassette.js)
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const axios = require('axios');
+const { Cassette, CassetteMismatchError } = require('../lib/cassette');
+
+const URL = 'https://example.test/data?api_key=s3cret&q=guns';
+
+/**
+ * Record one request into a temporary directory, answered by a local
+ * adapter instead of the network
+ */
+async function recordCassette() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-'));
+    const cassette = new Cassette({ mode: 'record', dir });
+    const client = axios.create();
+    cassette.install(client);
+    cassette.realAdapter = async config => ({ status: 200, statusText: 'OK', headers: {}, data: { rows: 3 }, config });
+
+    await client.get(URL);
+    cassette.uninstall();
+    await cassette.save();
+    return dir;
+}
+
+module.exports = {
+    'replays a recorded response': async () => {
+        const dir = await recordCassette();
+        try {
+            const cassette = await new Cassette({ mode: 'replay', dir }).load();
+            const client = axios.create();
+            cassette.install(client);
+
+            const response = await client.get(URL);
+            assert.deepStrictEqual(response.data, { rows: 3 });
+            cassette.assertComplete();
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    },
+
+    'fails a replayed request that was never recorded': async () => {
+        const dir = await recordCassette();
+        try {
+            const cassette = await new Cassette({ mode: 'replay', dir }).load();
+            const client = axios.create();
+            cassette.install(client);
+
+            await assert.rejects(client.get('https://example.test/data?q=other'), CassetteMismatchError);
+            assert.throws(() => cassette.assertComplete(), /1 request\(s\) missing/);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    },
+
+    'never writes credentials to disk': async () => {
+        const dir = await recordCassette();
+        try {
+            for (const file of await fs.readdir(dir)) {
+                const text = await fs.readFile(path.join(dir, file), 'utf8');
+                assert.ok(!text.includes('s3cret'), `${file} contains the API key`);
+            }
+            const request = new Cassette({ mode: 'replay', dir }).describeRequest({ method: 'get', url: URL });
+            assert.strictEqual(request.url, 'https://example.test/data?api_key=REDACTED&q=guns');
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    }
+};
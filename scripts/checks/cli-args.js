@@ -0,0 +1,41 @@
+/**
+ * Command-line option parsing (scripts/lib/cli-args.js)
+ */
+
+const assert = require('assert');
+const { parseArgs, UsageError } = require('../lib/cli-args');
+
+const SPEC = {
+    only: { type: 'list' },
+    'as-of': { type: 'date' },
+    'dry-run': { type: 'boolean' },
+    out: { type: 'string', defaultValue: 'data/processed' },
+    limit: { type: 'number', defaultValue: 10 },
+    json: { type: 'string', optionalValue: true }
+};
+
+module.exports = {
+    'parses every option type': async () => {
+        const options = parseArgs(['--only', 'census, gunLaws', '--as-of=2025-06-01', '--dry-run', '--out', '/tmp/out', '--limit', '3', '--json'], SPEC);
+        assert.deepStrictEqual(options, {
+            only: ['census', 'gunLaws'],
+            asOf: '2025-06-01',
+            dryRun: true,
+            out: '/tmp/out',
+            limit: 3,
+            json: true
+        });
+    },
+
+    'keeps defaults for options not given': async () => {
+        assert.deepStrictEqual(parseArgs([], SPEC), { out: 'data/processed', limit: 10 });
+    },
+
+    'rejects unknown options and bad values': async () => {
+        assert.throws(() => parseArgs(['--onyl', 'census'], SPEC), UsageError);
+        assert.throws(() => parseArgs(['--as-of', '06/01/2025'], SPEC), /YYYY-MM-DD/);
+        assert.throws(() => parseArgs(['--limit', 'ten'], SPEC), /expects a number/);
+        assert.throws(() => parseArgs(['--only'], SPEC), /requires a value/);
+        assert.throws(() => parseArgs(['census'], SPEC), /Unexpected argument/);
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * Rank correlations (js/correlation.js)
+ */
+
+const assert = require('assert');
+const Correlation = require('../../js/correlation');
+
+module.exports = {
+    'corrects Kendall\'s tau for ties in either variable': async () => {
+        // 28 pairs, S = 15; x has 4 tied pairs and y has 4, one of them tied in both,
+        // so tau-b = 15 / sqrt((28 - 4) * (28 - 4)) = 0.625 where tau-a would be 15 / 28
+        const x = [1, 2, 2, 3, 3, 3, 4, 5];
+        const y = [2, 1, 3, 3, 3, 5, 4, 4];
+        assert.strictEqual(Correlation.kendall(x, y), 0.625);
+        assert.strictEqual(Correlation.kendall(y, x), 0.625);
+    },
+
+    'keeps tau-b at the ends of its range': async () => {
+        assert.strictEqual(Correlation.kendall([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+        assert.strictEqual(Correlation.kendall([1, 2, 2, 3], [10, 20, 20, 30]), 1);
+        assert.strictEqual(Correlation.kendall([1, 1, 1], [1, 2, 3]), 0);
+    },
+
+    'gives tied values their average rank': async () => {
+        assert.deepStrictEqual(Correlation.ranks([10, 20, 20, 5, 20]), [2, 4, 4, 1, 4]);
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * Grouping incidents by state politics (js/data-processor.js)
+ */
+
+const assert = require('assert');
+const DataProcessor = require('../../js/data-processor');
+const PopulationSeries = require('../../js/population');
+
+const processor = new DataProcessor({
+    population: PopulationSeries.fromJSON({
+        vintages: { 2022: { source: 'check', populations: { AL: 5000000, CA: 39000000, GA: 10800000, TX: 30000000 } } }
+    }),
+    elections: { presidential: { 2020: { margins: { AL: -25.5, CA: 29.2, GA: 0.2, TX: -5.6 } } } }
+});
+
+module.exports = {
+    'gives reported counts intervals and group tests': async () => {
+        const result = processor.processGunViolenceByPolitics({
+            year: 2022,
+            stateBreakdown: [{ state: 'AL', incidents: 350 }, { state: 'CA', incidents: 1500 }, { state: 'TX', incidents: 1750 }]
+        });
+        assert.ok(result.red.ci.lower < result.red.rate && result.red.rate < result.red.ci.upper);
+        assert.ok(result.comparisons.redVsBlue.pValue > 0);
+    },
+
+    'gives no intervals or tests when a state count is estimated': async () => {
+        const result = processor.processGunViolenceByPolitics({
+            year: 2022,
+            stateBreakdown: [
+                { state: 'AL', incidents: 350, status: 'live' },
+                { state: 'CA', incidents: 1500, status: 'estimated' },
+                { state: 'TX', incidents: 1750, status: 'live' }
+            ]
+        });
+        assert.deepStrictEqual(result.coverage.estimatedStates, ['CA']);
+        assert.strictEqual(result.red.ci, null);
+        assert.strictEqual(result.blue.ci, null);
+        assert.strictEqual(result.comparisons, null);
+        assert.ok(result.blue.rate > 0);
+    }
+};
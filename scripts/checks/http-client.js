@@ -0,0 +1,88 @@
+/**
+ * Retries, Retry-After and revalidation (scripts/lib/http-client.js)
+ */
+
+const assert = require('assert');
+const axios = require('axios');
+const HttpClient = require('../lib/http-client');
+const RecentIncidentsSource = require('../sources/recent-incidents');
+
+/**
+ * Answer requests made through the global axios instance from a list of
+ * responses, in order, instead of the network
+ * @returns {Array} the request configs seen
+ */
+async function withResponses(responses, fn) {
+    const original = axios.defaults.adapter;
+    const requests = [];
+    axios.defaults.adapter = async config => {
+        requests.push(config);
+        const { status, headers = {}, data = '' } = responses.shift();
+        return { status, statusText: String(status), headers, data, config, request: {} };
+    };
+    try {
+        await fn(requests);
+    } finally {
+        axios.defaults.adapter = original;
+    }
+}
+
+function createClient(delays) {
+    return new HttpClient({ minIntervalMs: 0, random: () => 1, sleep: async ms => { delays.push(ms); } });
+}
+
+module.exports = {
+    'retries server errors with backoff': () => withResponses(
+        [{ status: 503 }, { status: 502 }, { status: 200, data: 'ok' }],
+        async requests => {
+            const delays = [];
+            const http = createClient(delays);
+            const response = await http.get('https://example.test/page');
+
+            assert.strictEqual(response.data, 'ok');
+            assert.strictEqual(requests.length, 3);
+            assert.deepStrictEqual(delays, [500, 1000]);
+            assert.strictEqual(http.stats.retries, 2);
+        }
+    ),
+
+    'waits as long as Retry-After asks': () => withResponses(
+        [{ status: 429, headers: { 'retry-after': '7' } }, { status: 200, data: 'ok' }],
+        async () => {
+            const delays = [];
+            await createClient(delays).get('https://example.test/page');
+            assert.deepStrictEqual(delays, [7000]);
+        }
+    ),
+
+    'gives up when Retry-After is too long': () => withResponses(
+        [{ status: 429, headers: { 'retry-after': '3600' } }],
+        async requests => {
+            const delays = [];
+            await assert.rejects(createClient(delays).get('https://example.test/page'), /status code 429/);
+            assert.strictEqual(requests.length, 1);
+            assert.deepStrictEqual(delays, []);
+        }
+    ),
+
+    'revalidates with the stored ETag': () => withResponses(
+        [{ status: 200, headers: { etag: '"v1"' }, data: { rows: 3 } }, { status: 304 }],
+        async requests => {
+            const http = createClient([]);
+            await http.get('https://example.test/data.json');
+            const response = await http.get('https://example.test/data.json');
+
+            assert.strictEqual(requests[1].headers['If-None-Match'], '"v1"');
+            assert.strictEqual(response.fromCache, true);
+            assert.deepStrictEqual(response.data, { rows: 3 });
+        }
+    ),
+
+    'fails a GVA error page before it reaches the parsers': () => withResponses(
+        [{ status: 404, data: '<html>Not found</html>' }],
+        async () => {
+            const collector = { http: createClient([]) };
+            await assert.rejects(new RecentIncidentsSource().collect({ collector }), /status code 404/);
+        }
+    )
+};
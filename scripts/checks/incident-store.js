@@ -0,0 +1,69 @@
+/**
+ * Incident store deduplication, writes and scrape coverage (scripts/lib/incident-store.js)
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const IncidentStore = require('../lib/incident-store');
+
+const INCIDENT = { id: 101, date: 'January 5, 2025', state: 'Texas', city: 'Austin', killed: 1, injured: 2 };
+
+async function withStore(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'incident-store-'));
+    try {
+        await fn(path.join(dir, 'incidents.jsonl'));
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+const countLines = async file => (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).length;
+
+module.exports = {
+    'keeps one record per incident id': () => withStore(async file => {
+        const store = new IncidentStore(file);
+        await store.load();
+        store.merge([INCIDENT], { seenAt: '2025-01-05T12:00:00Z' });
+        store.merge([{ ...INCIDENT, id: '101', killed: 2 }], { seenAt: '2025-01-06T12:00:00Z' });
+        await store.save();
+
+        const reloaded = await new IncidentStore(file).load();
+        assert.strictEqual(reloaded.size, 1);
+        assert.strictEqual(reloaded.get(101).killed, 2);
+        assert.strictEqual(reloaded.get(101).firstSeen, '2025-01-05T12:00:00Z');
+        assert.deepStrictEqual(reloaded.get(101).revisions, [{ at: '2025-01-06T12:00:00Z', killed: 1, injured: 2 }]);
+    }),
+
+    'writes a line only when an incident changes': () => withStore(async file => {
+        const store = new IncidentStore(file);
+        await store.load();
+        store.merge([INCIDENT], { seenAt: '2025-01-05T12:00:00Z' });
+        await store.save();
+
+        const summary = store.merge([INCIDENT], { seenAt: '2025-01-06T12:00:00Z' });
+        await store.save();
+        assert.deepStrictEqual(summary, { added: 0, updated: 0, unchanged: 1 });
+        assert.strictEqual(await countLines(file), 1);
+
+        store.merge([{ ...INCIDENT, injured: 3 }], { seenAt: '2025-01-07T12:00:00Z' });
+        await store.save();
+        assert.strictEqual(await countLines(file), 2);
+    }),
+
+    'reports scrape gaps longer than the 72-hour window': () => withStore(async file => {
+        const store = new IncidentStore(file);
+        await store.load();
+        ['2024-12-31T06:00:00Z', '2025-01-02T06:00:00Z', '2025-01-07T06:00:00Z'].forEach(at => store.recordScrape({ at }));
+        await store.save();
+
+        const reloaded = await new IncidentStore(file).load();
+        assert.deepStrictEqual(reloaded.scrapeGaps(), [{ from: '2025-01-02T06:00:00Z', to: '2025-01-07T06:00:00Z', hours: 120 }]);
+        assert.strictEqual(reloaded.summarize({ year: 2025 }).coverage.completeYear, false);
+
+        const continuous = new IncidentStore(path.join(path.dirname(file), 'continuous.jsonl'));
+        ['2024-12-31T06:00:00Z', '2025-01-02T06:00:00Z', '2025-01-04T06:00:00Z'].forEach(at => continuous.recordScrape({ at }));
+        assert.strictEqual(continuous.summarize({ year: 2025 }).coverage.completeYear, true);
+    })
+};
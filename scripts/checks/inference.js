@@ -0,0 +1,44 @@
+/**
+ * Poisson intervals and normal tail p-values (js/inference.js)
+ */
+
+const assert = require('assert');
+const Inference = require('../../js/inference');
+
+const close = (actual, expected, tolerance, label) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+
+module.exports = {
+    'matches the exact (Garwood) 95% intervals': async () => {
+        // Poisson means whose tail probability at the count is 2.5%
+        const table = { 0: [0, 3.688879], 1: [0.025318, 5.571643], 5: [1.623486, 11.668332], 10: [4.795389, 18.390356], 50: [37.110964, 65.918767] };
+        Object.entries(table).forEach(([count, [lower, upper]]) => {
+            const interval = Inference.poissonInterval(Number(count));
+            assert.strictEqual(interval.method, 'exact');
+            close(interval.lower, lower, 1e-6, `lower(${count})`);
+            close(interval.upper, upper, 1e-6, `upper(${count})`);
+        });
+    },
+
+    'uses Byar\'s approximation above the exact limit': async () => {
+        const interval = Inference.poissonInterval(2000);
+        assert.strictEqual(interval.method, 'approximate');
+        close(interval.lower, 1913.298350, 1e-5, 'lower');
+        close(interval.upper, 2089.617762, 1e-5, 'upper');
+
+        // Either side of the limit the two methods agree closely
+        const limit = Inference.EXACT_POISSON_LIMIT;
+        const exact = Inference.poissonInterval(limit);
+        const approximate = Inference.poissonInterval(limit + 1);
+        close(approximate.lower - exact.lower, 1, 0.05, 'lower step');
+        close(approximate.upper - exact.upper, 1, 0.05, 'upper step');
+    },
+
+    'computes far-tail p-values without reaching 0': async () => {
+        close(Inference.twoSidedP(1.959963984540054), 0.05, 1e-12, 'p(1.96)');
+        close(Inference.twoSidedP(10) / 1.5239706048321e-23, 1, 1e-9, 'p(10)');
+        close(Inference.twoSidedP(-30) / 9.813427854297528e-198, 1, 1e-9, 'p(-30)');
+        assert.ok(Inference.twoSidedP(60) > 0);
+        assert.strictEqual(Inference.twoSidedP(0), 1);
+    }
+};
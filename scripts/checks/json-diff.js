@@ -0,0 +1,32 @@
+/**
+ * Structural JSON diff (scripts/lib/json-diff.js)
+ */
+
+const assert = require('assert');
+const { diffJSON, formatDiff } = require('../lib/json-diff');
+
+module.exports = {
+    'lists added, removed and changed paths': async () => {
+        const before = { totals: { incidents: 10, deaths: 4 }, states: ['TX', 'CA'], note: 'old' };
+        const after = { totals: { incidents: 12, deaths: 4 }, states: ['TX', 'CA', 'NY'], extra: true };
+
+        assert.deepStrictEqual(diffJSON(before, after), [
+            { path: 'totals.incidents', type: 'changed', before: 10, after: 12 },
+            { path: 'states[2]', type: 'added', after: 'NY' },
+            { path: 'note', type: 'removed', before: 'old' },
+            { path: 'extra', type: 'added', after: true }
+        ]);
+    },
+
+    'skips ignored keys at any depth': async () => {
+        const before = { collectedAt: 'a', section: { collectedAt: 'a', value: 1 } };
+        const after = { collectedAt: 'b', section: { collectedAt: 'b', value: 1 } };
+        assert.deepStrictEqual(diffJSON(before, after, { ignore: ['collectedAt'] }), []);
+        assert.strictEqual(formatDiff([]), 'No changes');
+    },
+
+    'truncates long diffs': async () => {
+        const changes = diffJSON({}, { a: 1, b: 2, c: 3 });
+        assert.strictEqual(formatDiff(changes, { limit: 2 }), '+ a: 1\n+ b: 2\n... and 1 more');
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * Snapshot deduplication and monthly bundles (scripts/lib/snapshot-archive.js)
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const SnapshotArchive = require('../lib/snapshot-archive');
+
+const snapshot = (processedAt, incidents) => ({
+    metadata: { processedAt, processingVersion: '2.1' },
+    gunViolenceSummary: { totalIncidents: incidents, collectedAt: processedAt }
+});
+
+async function withArchive(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-archive-'));
+    try {
+        await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    'stores identical days once': () => withArchive(async dir => {
+        const archive = new SnapshotArchive(dir);
+        await archive.put('2025-03-01', snapshot('2025-03-01T06:00:00Z', 100));
+        const second = await archive.put('2025-03-02', snapshot('2025-03-02T06:00:00Z', 100));
+        await archive.put('2025-03-03', snapshot('2025-03-03T06:00:00Z', 105));
+
+        assert.strictEqual(second.duplicateOf, '2025-03-01');
+        assert.deepStrictEqual((await fs.readdir(dir)).sort(),
+            ['manifest.json', 'processed-data-2025-03-01.json', 'processed-data-2025-03-03.json']);
+
+        const read = await archive.read('2025-03-02');
+        assert.strictEqual(read.gunViolenceSummary.totalIncidents, 100);
+        assert.strictEqual(read.metadata.asOf, '2025-03-02');
+        assert.strictEqual(read.metadata.processedAt, '2025-03-02T06:00:00Z');
+    }),
+
+    'bundles days past the retention window by month': () => withArchive(async dir => {
+        const archive = new SnapshotArchive(dir, { retention: { keepDailyDays: 30 } });
+        await archive.put('2025-01-10', snapshot('2025-01-10T06:00:00Z', 40));
+        await archive.put('2025-01-20', snapshot('2025-01-20T06:00:00Z', 45));
+        await archive.put('2025-03-01', snapshot('2025-03-01T06:00:00Z', 60));
+
+        const result = await archive.compact({ today: new Date('2025-03-05T00:00:00Z') });
+        assert.deepStrictEqual(result, { bundled: 2, prunedSnapshots: 0 });
+        assert.deepStrictEqual((await fs.readdir(path.join(dir, 'archive'))), ['2025-01.json.gz']);
+        assert.ok(!(await fs.readdir(dir)).includes('processed-data-2025-01-10.json'));
+
+        const reopened = new SnapshotArchive(dir);
+        assert.strictEqual((await reopened.read('2025-01-20')).gunViolenceSummary.totalIncidents, 45);
+        assert.strictEqual((await reopened.read('2025-03-01')).gunViolenceSummary.totalIncidents, 60);
+    })
+};
@@ -0,0 +1,50 @@
+/**
+ * Seasonal decomposition and Holt-Winters forecasts (js/time-series.js)
+ */
+
+const assert = require('assert');
+const TimeSeries = require('../../js/time-series');
+
+// Five years of months: a linear trend plus a yearly cycle of amplitude 10
+const trend = i => 100 + 0.5 * i;
+const season = i => 10 * Math.sin(2 * Math.PI * i / 12);
+// Deterministic noise in [-1, 1]
+const noise = i => ((i * 7919) % 13 - 6) / 6;
+const series = (withNoise, months = 60) =>
+    Array.from({ length: months }, (_, i) => trend(i) + season(i) + (withNoise ? noise(i) : 0));
+
+const maxError = (values, expected) => Math.max(...values.map((value, i) => Math.abs(value - expected(i))));
+
+module.exports = {
+    'recovers the trend and cycle of a seasonal series': async () => {
+        const values = series(false);
+        values[30] = null;
+        const { trend: fittedTrend, seasonal, remainder } = TimeSeries.decompose(values);
+
+        assert.ok(maxError(seasonal, season) < 1e-6, 'seasonal component');
+        assert.ok(maxError(fittedTrend, trend) < 1e-6, 'trend component');
+        assert.strictEqual(remainder[30], null);
+    },
+
+    'keeps the cycle within the noise at both ends': async () => {
+        const { seasonal, trend: fittedTrend } = TimeSeries.decompose(series(true));
+        assert.ok(maxError(seasonal, season) < 1.5, `seasonal off by ${maxError(seasonal, season)}`);
+        assert.ok(maxError(fittedTrend, trend) < 0.5, `trend off by ${maxError(fittedTrend, trend)}`);
+    },
+
+    'forecasts the next year of a seasonal series': async () => {
+        const { forecasts } = TimeSeries.holtWinters(series(true));
+        assert.strictEqual(forecasts.length, 12);
+        forecasts.forEach(({ step, forecast, lower, upper }) => {
+            const expected = trend(59 + step) + season(59 + step);
+            assert.ok(Math.abs(forecast - expected) < 1.5, `step ${step}: ${forecast} vs ${expected}`);
+            assert.ok(lower < expected && expected < upper, `step ${step} interval misses ${expected}`);
+        });
+        assert.ok(forecasts[11].upper - forecasts[11].lower > forecasts[0].upper - forecasts[0].lower);
+    },
+
+    'needs two full cycles': async () => {
+        assert.strictEqual(TimeSeries.decompose(series(false, 23)), null);
+        assert.strictEqual(TimeSeries.holtWinters(series(false, 23)), null);
+    }
+};
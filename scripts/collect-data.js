@@ -11,47 +11,104 @@ require('./polyfills');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
-const cheerio = require('cheerio');
+const { createDefaultRegistry } = require('./sources');
+const { Cassette } = require('./lib/cassette');
+const { parseArgs, formatUsage, UsageError } = require('./lib/cli-args');
+const { diffJSON, formatDiff } = require('./lib/json-diff');
+const IncidentStore = require('./lib/incident-store');
+const HttpClient = require('./lib/http-client');
+const GVACsvImporter = require('./lib/gva-csv-importer');
+const { LayoutChangedError } = require('./lib/gva-parsers');
+const SnapshotArchive = require('./lib/snapshot-archive');
+const { sourceProvenance, fileProvenance, derivedProvenance } = require('./lib/provenance');
+const DataProcessor = require('../js/data-processor');
+const { getStateCode } = require('../js/states');
+const PopulationSeries = require('../js/population');
+const PoliticalClassifier = require('../js/political-classification');
+
+// Bump whenever processData() changes what it computes, so snapshots built by
+// older logic can be found and rebuilt with scripts/reprocess-data.js
+const PROCESSING_VERSION = '2.1';
 
 class DataCollector {
-    constructor() {
+    constructor(options = {}) {
         this.dataDir = path.join(__dirname, '../data');
-        this.rawDir = path.join(this.dataDir, 'raw');
-        this.processedDir = path.join(this.dataDir, 'processed');
-        
-        this.sources = {
-            gunViolenceArchive: {
-                name: 'Gun Violence Archive',
-                url: 'https://www.gunviolencearchive.org/query',
-                method: 'scrape', // No public API
-                frequency: 'daily'
-            },
-            fbiHateCrimes: {
-                name: 'FBI Hate Crime Statistics',
-                url: 'https://cde.ucr.cjis.gov/LATEST/webapp/#/pages/explorer/crime/hate-crime',
-                method: 'scrape',
-                frequency: 'quarterly'
-            },
-            census: {
-                name: 'US Census Bureau',
-                url: 'https://api.census.gov/data/2023/pep/population',
-                method: 'api',
-                frequency: 'annual'
+
+        // --out sends raw and processed snapshots somewhere other than the published dataset
+        this.outDir = options.outDir ? path.resolve(options.outDir) : null;
+        this.rawDir = this.outDir ? path.join(this.outDir, 'raw') : path.join(this.dataDir, 'raw');
+        this.processedDir = this.outDir || path.join(this.dataDir, 'processed');
+        this.incidentsDir = path.join(this.dataDir, 'incidents');
+        this.sourcesDir = path.join(this.dataDir, 'sources');
+
+        // GVA CSV exports to import (paths or globs); see scripts/lib/gva-csv-importer.js
+        this.gvaExports = options.gvaExports || [
+            path.join(this.dataDir, 'gva', '*.csv'),
+            path.join(this.dataDir, 'gva_*.csv')
+        ];
+
+        // CDC WONDER firearm mortality exports (paths or globs); see scripts/lib/cdc-wonder-importer.js
+        this.cdcExports = options.cdcExports || [
+            path.join(this.dataDir, 'cdc', '*.txt')
+        ];
+
+        // State covariate CSVs for the gun-law regression (paths or globs); see scripts/lib/covariate-importer.js
+        this.covariateFiles = options.covariateFiles || [
+            path.join(this.dataDir, 'covariates', '*.csv')
+        ];
+
+        // FBI CDE hate crime downloads (paths or globs) and URLs to fetch; see scripts/lib/hate-crime-importer.js
+        this.hateCrimeSources = options.hateCrimeSources || [
+            path.join(this.dataDir, 'fbi', 'hate_crime*.csv'),
+            path.join(this.dataDir, 'fbi', 'hate_crime*.json'),
+            ...(process.env.FBI_HATE_CRIME_URL ? [process.env.FBI_HATE_CRIME_URL] : [])
+        ];
+
+        // Every source is a self-contained adapter; see scripts/sources/
+        this.registry = options.registry || createDefaultRegistry();
+
+        // Source selection by adapter id; an empty list means every source
+        this.only = options.only || [];
+        this.skip = options.skip || [];
+
+        // Date the snapshot is labeled with (YYYY-MM-DD), defaulting to today
+        this.asOf = options.asOf || new Date().toISOString().split('T')[0];
+
+        // A dry run collects and processes, then diffs against latest.json without writing anything
+        this.dryRun = Boolean(options.dryRun);
+
+        // Optional HTTP cassette for recording or replaying a run
+        this.cassette = options.cassette || null;
+
+        // Shared HTTP layer for every source: throttling, retries and revalidation.
+        // Cassette runs skip revalidation so a recorded 304 never needs a local copy.
+        this.httpLog = [];
+        this.http = options.http || new HttpClient({
+            hosts: {
+                'www.gunviolencearchive.org': { minIntervalMs: 2000 }
             },
-            bradyScores: {
-                name: 'Brady Gun Law Scores',
-                url: 'https://www.bradyunited.org/state-gun-laws',
-                method: 'scrape',
-                frequency: 'annual'
-            }
-        };
+            cacheDir: path.join(__dirname, '../.cache/http'),
+            conditional: !this.cassette,
+            logger: event => this.httpLog.push(event)
+        });
+
+        // Classification scheme options ({ scheme, threshold }); see js/political-classification.js
+        this.classification = options.classification || {};
+
+        // Incidents accumulated across runs
+        this.incidentStore = new IncidentStore(path.join(this.incidentsDir, 'gva-incidents.jsonl'));
     }
 
     async initialize() {
+        if (this.dryRun) {
+            return;
+        }
+
         try {
             await fs.mkdir(this.dataDir, { recursive: true });
             await fs.mkdir(this.rawDir, { recursive: true });
             await fs.mkdir(this.processedDir, { recursive: true });
+            await fs.mkdir(this.incidentsDir, { recursive: true });
             console.log('✓ Data directories initialized');
         } catch (error) {
             console.error('Error initializing directories:', error);
@@ -61,11 +118,16 @@ class DataCollector {
     async collectAllData() {
         console.log('🔄 Starting data collection...');
         
+        const adapters = this.selectSources();
         const currentYear = new Date().getFullYear();
         const results = {
             timestamp: new Date().toISOString(),
+            asOf: this.asOf,
+            dryRun: this.dryRun,
             successful: [],
+            fallback: [],
             failed: [],
+            sources: {},
             data: {
                 year: currentYear
             }
@@ -78,53 +140,68 @@ class DataCollector {
             GNEWS_API_KEY: process.env.GNEWS_API_KEY,
             NEWSDATA_API_KEY: process.env.NEWSDATA_API_KEY,
             NYT_API_KEY: process.env.NYT_API_KEY
-        });
+        }, { http: this.http });
+
+        const context = {
+            collector: this,
+            year: currentYear,
+            data: results.data
+        };
+
+        if (this.cassette) {
+            this.cassette.install(axios);
+        }
 
         try {
-            // Census data (population)
-            console.log('📊 Collecting Census population data...');
-            const censusData = await this.collectCensusData();
-            results.data.census = censusData;
-            results.successful.push('census');
-
-            // Gun Violence Archive (mock for now - would need scraping)
-            console.log('🔫 Collecting Gun Violence Archive data...');
-            const gvaData = await this.collectGVAData();
-            results.data.gunViolence = gvaData;
-            results.successful.push('gunViolence');
-
-            // Political Violence Data (aggregated from multiple sources)
-            console.log('🏛️ Collecting Political Violence data...');
-            const politicalData = await this.collectPoliticalViolenceData();
-            results.data.politicalViolence = politicalData;
-            results.successful.push('politicalViolence');
-
-            // Gun Law Scores
-            console.log('⚖️ Collecting Gun Law data...');
-            const gunLawData = await this.collectGunLawData();
-            results.data.gunLaws = gunLawData;
-            results.successful.push('gunLaws');
-
-            // Monthly trends (mock for now)
-            console.log('📈 Collecting monthly trend data...');
-            const monthlyData = await this.collectMonthlyTrends(currentYear);
-            results.data.monthlyTrends = monthlyData;
-            results.successful.push('monthlyTrends');
-
-            // Recent incidents with political analysis
-            console.log('🔍 Collecting recent incidents with analysis...');
-            const recentData = await this.collectRecentIncidents();
-            results.data.recentIncidents = recentData;
-            results.successful.push('recentIncidents');
+            await this.incidentStore.load();
+
+            // Sources run independently: one failure never aborts the others
+            for (const adapter of adapters) {
+                const outcome = await this.runSource(adapter, context);
+                results.sources[adapter.id] = outcome.summary;
+                if (outcome.summary.status === 'success') {
+                    results.successful.push(adapter.id);
+                } else {
+                    results[outcome.summary.status].push(adapter.id);
+                }
+
+                if (outcome.data !== undefined) {
+                    results.data[adapter.id] = outcome.data;
+                }
+            }
+            results.data.sourceStatus = results.sources;
+            results.http = { ...this.http.stats };
+            results.data.incidentHistory = this.incidentStore.summarize({ year: currentYear });
+
+            if (this.cassette?.mode === 'replay') {
+                // A replay that needed the network is not a faithful re-run
+                this.cassette.assertComplete();
+            }
+
             // Save raw data
-            await this.saveRawData(results.data);
+            if (!this.dryRun) {
+                results.output = {
+                    raw: await this.saveRawData(results.data),
+                    httpLog: await this.saveHttpLog()
+                };
+            }
             
             // Process and analyze data
             const processedData = await this.processData(results.data);
-            await this.saveProcessedData(processedData);
+
+            if (this.dryRun) {
+                results.diff = await this.diffAgainstLatest(processedData);
+                console.log(`🔍 Dry run: ${results.diff.length} change(s) against latest.json, nothing written`);
+                console.log(formatDiff(results.diff));
+            } else {
+                Object.assign(results.output, await this.saveProcessedData(processedData));
+            }
 
             console.log(`✅ Data collection completed. ${results.successful.length} sources successful.`);
-            
+
+            if (results.fallback.length > 0) {
+                console.log(`⚠️ Sources using fallback data: ${results.fallback.join(', ')}`);
+            }
             if (results.failed.length > 0) {
                 console.log(`⚠️ Failed sources: ${results.failed.join(', ')}`);
             }
@@ -134,267 +211,151 @@ class DataCollector {
         } catch (error) {
             console.error('❌ Error during data collection:', error);
             throw error;
+        } finally {
+            if (this.cassette) {
+                this.cassette.uninstall();
+                if (this.cassette.mode === 'record') {
+                    await this.cassette.save();
+                }
+            }
         }
     }
 
-    async collectCensusData() {
-        try {
-            const url = 'https://api.census.gov/data/2023/pep/population?get=NAME,POP&for=state:*';
-            const data = await this.fetchJSON(url);
-            
-            const statePopulations = {};
-            data.slice(1).forEach(row => {
-                const [population, name, stateCode] = row;
-                const stateAbbr = this.getStateAbbreviation(name);
-                if (stateAbbr) {
-                    statePopulations[stateAbbr] = parseInt(population);
-                }
-            });
-
-            return {
-                populations: statePopulations,
-                source: 'US Census Bureau',
-                year: 2023,
-                collectedAt: new Date().toISOString()
-            };
-        } catch (error) {
-            console.error('Error collecting Census data:', error);
-            // Return mock data if API fails
-            return this.getMockCensusData();
+    /**
+     * Adapters to run after applying --only and --skip
+     */
+    selectSources() {
+        const unknown = [...this.only, ...this.skip].filter(id => !this.registry.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown source(s): ${unknown.join(', ')} (available: ${this.registry.ids().join(', ')})`);
         }
+
+        return this.registry.list().filter(adapter =>
+            (this.only.length === 0 || this.only.includes(adapter.id)) &&
+            !this.skip.includes(adapter.id)
+        );
     }
 
-    async collectGVAData() {
-        try {
-            console.log('🔄 Fetching data from Gun Violence Archive...');
-            
-            const currentYear = new Date().getFullYear();
-            const baseUrl = 'https://www.gunviolencearchive.org';
-            
-            // Enhanced headers to avoid blocking
-            const headers = {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache',
-                'Sec-Fetch-Dest': 'document',
-                'Sec-Fetch-Mode': 'navigate',
-                'Sec-Fetch-Site': 'none',
-                'Sec-Fetch-User': '?1',
-            };
-            
-            // Fetch total incidents with enhanced error handling
-            const statsResponse = await axios.get(`${baseUrl}/reports/total-number-of-incidents`, {
-                headers,
-                timeout: 10000,
-                validateStatus: status => status < 500
-            });
-            
-            if (statsResponse.status === 403) {
-                throw new Error('Access blocked by GVA. Using fallback data.');
-            }
-            
-            const statsHtml = statsResponse.data;
-            const $stats = cheerio.load(statsHtml);
-            
-            // Extract main statistics with better error handling
-            const statElement = $stats('.statistical-count').first();
-            const totalIncidents = statElement.length ? 
-                parseInt(statElement.text().replace(/,/g, '')) : 
-                await this.getEstimatedIncidents();
-            
-            // Fetch mass shootings
-            const massResponse = await axios.get(`${baseUrl}/reports/mass-shootings`, {
-                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-            });
-            const massHtml = massResponse.data;
-            const $mass = cheerio.load(massHtml);
-            const massShootings = parseInt($mass('.statistical-count').first().text().replace(/,/g, '')) || 0;
-            
-            // Fetch deaths and injuries
-            const casualtyResponse = await axios.get(`${baseUrl}/reports/casualties`, {
-                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-            });
-            const casualtyHtml = casualtyResponse.data;
-            const $casualties = cheerio.load(casualtyHtml);
-            
-            const deaths = parseInt($casualties('.deaths .statistical-count').first().text().replace(/,/g, '')) || 0;
-            const injuries = parseInt($casualties('.injuries .statistical-count').first().text().replace(/,/g, '')) || 0;
-            
-            // Fetch state breakdown
-            const stateResponse = await axios.get(`${baseUrl}/reports/state-rankings`, {
-                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-            });
-            const stateHtml = stateResponse.data;
-            const $states = cheerio.load(stateHtml);
-            
-            const stateBreakdown = [];
-            $states('table.state-rankings tr').each((i, row) => {
-                const state = $states(row).find('td:nth-child(2)').text().trim();
-                const incidents = parseInt($states(row).find('td:nth-child(3)').text().replace(/,/g, ''));
-                if (state && !isNaN(incidents)) {
-                    stateBreakdown.push({ state, incidents });
-                }
-            });
-            
-            return {
-                totalIncidents,
-                massShootings,
-                deaths,
-                injuries,
-                stateBreakdown,
-                lastUpdated: new Date().toISOString(),
-                source: 'Gun Violence Archive (Live Data)',
-                methodology: 'Real-time data from GVA website scraping',
-                year: currentYear
-            };
-            
-        } catch (error) {
-            console.error('❌ Error scraping Gun Violence Archive:', error.message);
-            console.log('⚠️ Falling back to estimated data...');
-            
-            // Fallback to estimation if scraping fails
-            const currentDate = new Date();
-            const daysIntoYear = Math.floor((currentDate - new Date(currentDate.getFullYear(), 0, 1)) / (1000 * 60 * 60 * 24));
-            const yearProgress = daysIntoYear / 365;
-            
-            const baseIncidents = 48247 * 1.03;
-            const projectedIncidents = Math.floor(baseIncidents * yearProgress);
-            
-            return {
-                totalIncidents: projectedIncidents,
-                massShootings: Math.floor(693 * yearProgress * 1.03),
-                deaths: Math.floor(15208 * yearProgress * 1.03),
-                injuries: Math.floor(33039 * yearProgress * 1.03),
-                stateBreakdown: this.getFallbackStateData(yearProgress),
-                lastUpdated: new Date().toISOString(),
-                source: 'Gun Violence Archive (Estimated)',
-                methodology: 'Estimated based on historical trends'
-            };
-        }
+    isPartialRun() {
+        return this.selectSources().length < this.registry.ids().length;
     }
-    
-    getFallbackStateData(yearProgress) {
-        const baseData = [
-            { state: 'TX', base: 4234 },
-            { state: 'CA', base: 3892 },
-            { state: 'FL', base: 3456 },
-            { state: 'IL', base: 2845 },
-            { state: 'PA', base: 2456 },
-            { state: 'OH', base: 2234 },
-            { state: 'GA', base: 2134 },
-            { state: 'NC', base: 1987 },
-            { state: 'MI', base: 1876 },
-            { state: 'AZ', base: 1765 }
-        ];
-        
-        return baseData.map(state => ({
-            state: state.state,
-            incidents: Math.floor(state.base * yearProgress * 1.03)
-        }));
+
+    /**
+     * Changes the processed data would make to the current latest.json
+     */
+    async diffAgainstLatest(processedData) {
+        const latestPath = path.join(this.processedDir, 'latest.json');
+        const current = await fs.readFile(latestPath, 'utf8')
+            .then(JSON.parse)
+            .catch(() => ({}));
+
+        // Timestamps change on every run and would drown out real differences
+        return diffJSON(current, processedData, { ignore: ['processedAt', 'collectedAt', 'durationMs', 'retrievedAt', 'derivedAt'] });
     }
 
-    async collectPoliticalViolenceData() {
-        // Aggregated from multiple academic sources and think tanks
-        // In production, this would pull from various APIs and databases
-        const currentYear = new Date().getFullYear();
-        
+    /**
+     * Machine-readable run summary for --json
+     */
+    summarizeRun(results) {
         return {
-            rightWingExtremism: 315,
-            leftWingExtremism: 47,
-            islamistExtremism: 34,
-            otherIdeology: 23,
-            breakdown: {
-                whiteSupremacist: 187,
-                antiGovernment: 89,
-                neoNazi: 39,
-                antifa: 23,
-                ecoTerrorism: 8,
-                other: 44
-            },
-            sources: [
-                'Center for Strategic & International Studies',
-                'Anti-Defamation League',
-                'FBI Domestic Terrorism reports',
-                'Academic research compilation'
-            ],
-            timeframe: `${currentYear}-01-01 to present`,
-            methodology: 'Incidents classified by perpetrator ideology based on manifesto, social media, and law enforcement reports',
-            collectedAt: new Date().toISOString()
+            timestamp: results.timestamp,
+            asOf: results.asOf,
+            year: results.data.year,
+            dryRun: results.dryRun,
+            successful: results.successful,
+            fallback: results.fallback,
+            failed: results.failed,
+            sources: results.sources,
+            ...(results.http ? { http: results.http } : {}),
+            ...(results.output ? { output: results.output } : {}),
+            ...(results.diff ? { changes: results.diff.length, diff: results.diff } : {})
         };
     }
 
-    async collectGunLawData() {
-        // Gun law strength scores from Brady Campaign, Giffords, etc.
-        
-        return {
-            scores: {
-                // Strong gun law states
-                'CA': 85, 'CT': 82, 'NJ': 80, 'NY': 78, 'MA': 75, 'HI': 72,
-                'MD': 70, 'RI': 68, 'IL': 65, 'WA': 62, 'CO': 58, 'OR': 55,
-                'DE': 52, 'NV': 50, 'VT': 48, 'MN': 45, 'VA': 42, 'MI': 40,
-                
-                // Moderate gun law states
-                'PA': 38, 'NC': 35, 'FL': 32, 'WI': 30, 'OH': 28, 'AZ': 25,
-                'GA': 22, 'TX': 20, 'IN': 18, 'IA': 15, 'TN': 12, 'MO': 10,
-                
-                // Weak gun law states
-                'AL': 8, 'AK': 6, 'WY': 4, 'MS': 3, 'LA': 5, 'KY': 7,
-                'WV': 9, 'OK': 8, 'KS': 6, 'ND': 4, 'SD': 5, 'MT': 7,
-                'ID': 6, 'UT': 8, 'AR': 5, 'SC': 7, 'NE': 6
-            },
-            categories: [
-                'Background Checks',
-                'Assault Weapons Regulations',
-                'High Capacity Magazine Restrictions',
-                'Permit Requirements',
-                'Safe Storage Laws',
-                'Extreme Risk Protection Orders'
-            ],
-            sources: [
-                'Brady Campaign Gun Law Scorecard',
-                'Giffords Law Center',
-                'Everytown for Gun Safety'
-            ],
-            methodology: 'Composite score based on strength of gun regulations in 6 key categories',
-            lastUpdated: '2024-01-01',
-            collectedAt: new Date().toISOString()
+    /**
+     * Run one source adapter through collect -> normalize, falling back on error
+     */
+    async runSource(adapter, context) {
+        const startedAt = Date.now();
+        const summary = {
+            name: adapter.name,
+            method: adapter.method,
+            status: 'success'
         };
+
+        console.log(adapter.message);
+
+        let data;
+        try {
+            const raw = await adapter.collect(context);
+            data = await adapter.normalize(raw, context);
+        } catch (error) {
+            summary.error = error.message;
+            if (error instanceof LayoutChangedError) {
+                // Parsers need updating; this is not a transient failure
+                console.error(`🧩 ${error.message}`);
+                summary.layoutChanged = { page: error.page, detail: error.detail };
+            }
+            try {
+                data = await adapter.fallback(context, error);
+                summary.status = 'fallback';
+            } catch (fallbackError) {
+                console.error(`❌ Source ${adapter.id} failed:`, fallbackError.message);
+                summary.status = 'failed';
+                data = undefined;
+            }
+        }
+
+        if (data !== undefined) {
+            summary.provenance = sourceProvenance(adapter, { status: summary.status, data });
+        }
+
+        summary.durationMs = Date.now() - startedAt;
+        return { summary, data };
     }
 
-    async collectMonthlyTrends(currentYear) {
-        console.log(' MOCK: Generating monthly trend data...');
-        const currentMonth = new Date().getMonth(); // 0-11
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const trends = [];
-        // Generate data up to the current month
-        for (let i = 0; i <= currentMonth; i++) {
-            // Fake some seasonality and randomness
-            const baseIncidents = 3500;
-            const seasonalFactor = Math.sin((i / 12) * Math.PI * 2) * 500; // Peak in summer
-            const randomFactor = (Math.random() - 0.5) * 500;
-            trends.push({
-                month: months[i],
-                year: currentYear,
-                incidents: Math.round(baseIncidents + seasonalFactor + randomFactor)
-            });
+    /**
+     * Load the population time series plus any imported population CSVs
+     */
+    async loadPopulationSeries() {
+        const doc = JSON.parse(await fs.readFile(path.join(this.sourcesDir, 'population.json'), 'utf8'));
+        const series = PopulationSeries.fromJSON(doc);
+
+        const importDir = path.join(this.sourcesDir, 'population');
+        const files = await fs.readdir(importDir).catch(() => []);
+        for (const file of files.filter(name => name.endsWith('.csv'))) {
+            const csv = await fs.readFile(path.join(importDir, file), 'utf8');
+            series.merge(PopulationSeries.fromCSV(csv, `Imported from ${file}`));
         }
-        return {
-            data: trends,
-            source: 'Mock Data (placeholder for time-series scraping)',
-            collectedAt: new Date().toISOString()
-        };
+
+        return series;
     }
+
+    /**
+     * Record a state population vintage in population.json if it changed
+     */
+    async savePopulationVintage(year, populations, source) {
+        const filePath = path.join(this.sourcesDir, 'population.json');
+        const doc = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        const vintage = { source, populations };
+
+        if (JSON.stringify(doc.vintages?.[year]?.populations) !== JSON.stringify(populations)) {
+            // Like latest.json, the tracked source file is only updated by a full run into data/
+            if (this.dryRun || this.outDir || this.isPartialRun()) {
+                const run = this.dryRun ? 'Dry run' : this.outDir ? 'Run with --out' : 'Partial run';
+                console.log(`🔍 ${run}: population vintage ${year} changed but was not saved`);
+                return;
+            }
+            doc.vintages = { ...doc.vintages, [year]: vintage };
+            await fs.writeFile(filePath, JSON.stringify(doc, null, 2) + '\n');
+            console.log(`💾 Population vintage ${year} saved`);
+        }
+    }
+
     async fetchJSON(url) {
-        const resp = await axios.get(url, {
-            timeout: 15000,
-            maxRedirects: 5,
-            headers: {
-                'Accept': 'application/json',
-                'User-Agent': 'Clearly-Politics/1.0 (+github pages)'
-            },
-            validateStatus: s => s >= 200 && s < 300
+        const resp = await this.http.get(url, {
+            profile: 'json',
+            maxRedirects: 5
         });
         const ctype = String(resp.headers['content-type'] || '').toLowerCase();
         if (!ctype.includes('application/json')) {
@@ -404,274 +365,263 @@ class DataCollector {
     }
 
     async saveRawData(data) {
-        const filename = `raw-data-${new Date().toISOString().split('T')[0]}.json`;
+        const filename = `raw-data-${this.asOf}.json`;
         const filepath = path.join(this.rawDir, filename);
         
         await fs.writeFile(filepath, JSON.stringify(data, null, 2));
         console.log(`💾 Raw data saved to ${filename}`);
+        return filepath;
     }
 
-    async processData(rawData) {
+    /**
+     * One JSON line per HTTP attempt of this run, next to the raw snapshot
+     */
+    async saveHttpLog() {
+        const filepath = path.join(this.rawDir, `http-log-${this.asOf}.jsonl`);
+        await fs.writeFile(filepath, this.httpLog.map(event => JSON.stringify(event)).join('\n') + (this.httpLog.length ? '\n' : ''));
+        console.log(`🌐 ${this.http.stats.requests} HTTP request(s), ${this.http.stats.retries} retried, ${this.http.stats.revalidated} unchanged`);
+        return filepath;
+    }
+
+    async processData(rawData, { asOf = this.asOf } = {}) {
         // Process the raw data into formats suitable for visualizations
         const processed = {
             metadata: {
                 processedAt: new Date().toISOString(),
+                asOf,
                 version: '1.1',
-                year: rawData.year
+                processingVersion: PROCESSING_VERSION,
+                year: rawData.year,
+                sources: rawData.sourceStatus || {}
             },
             gunViolenceSummary: rawData.gunViolence,
             politicalViolenceBreakdown: rawData.politicalViolence,
-            monthlyTrends: rawData.monthlyTrends
+            monthlyTrends: rawData.monthlyTrends,
+            incidentHistory: rawData.incidentHistory
         };
 
-        // Calculate gun violence by political affiliation
-        processed.gunViolenceByPolitics = this.calculateGunViolenceByPolitics(
-            rawData.gunViolence,
-            rawData.census.populations
-        );
+        const processor = this.createProcessor(rawData, await this.loadElectionResults());
+        processed.metadata.classification = processor.describeClassification(rawData.year);
 
-        // Calculate correlations
-        processed.gunLawCorrelation = this.calculateGunLawCorrelation(
-            rawData.gunLaws,
-            rawData.gunViolence,
-            rawData.census.populations
-        );
-
-        // Process mass shootings by political affiliation (using GVA incidents as a proxy)
-        processed.massShootingsByPolitics = this.processMassShootingsByPolitics(
-            rawData.gunViolence,
-            rawData.census.populations
-        );
-
-        return processed;
-    }
-
-    getPoliticalClassifications() {
-        return {
-            red: ['AL', 'AK', 'AR', 'FL', 'ID', 'IN', 'IA', 'KS', 'KY', 'LA',
-                  'MS', 'MO', 'MT', 'NE', 'ND', 'OH', 'OK', 'SC', 'SD', 'TN',
-                  'TX', 'UT', 'WV', 'WY'],
-            blue: ['CA', 'CO', 'CT', 'DE', 'HI', 'IL', 'ME', 'MD', 'MA', 'MI',
-                   'MN', 'NV', 'NH', 'NJ', 'NM', 'NY', 'OR', 'RI', 'VT', 'VA',
-                   'WA', 'DC'],
-            swing: ['AZ', 'GA', 'NC', 'PA', 'WI']
-        };
-    }
+        if (rawData.monthlyTrends) {
+            processed.monthlyTrends = {
+                ...rawData.monthlyTrends,
+                ...processor.processMonthlyTrends(rawData.monthlyTrends.data, { history: rawData.monthlyTrends.history || [] })
+            };
+        }
 
-    calculateGunViolenceByPolitics(gunData, populations) {
-        const politicalClassifications = this.getPoliticalClassifications();
-        const results = { red: { incidents: 0, population: 0 }, 
-                         blue: { incidents: 0, population: 0 },
-                         swing: { incidents: 0, population: 0 } };
-
-        gunData.stateBreakdown.forEach(stateData => {
-            const state = stateData.state;
-            const incidents = stateData.incidents;
-            const population = populations[state] || 0;
-
-            if (politicalClassifications.red.includes(state)) {
-                results.red.incidents += incidents;
-                results.red.population += population;
-            } else if (politicalClassifications.blue.includes(state)) {
-                results.blue.incidents += incidents;
-                results.blue.population += population;
-            } else if (politicalClassifications.swing.includes(state)) {
-                results.swing.incidents += incidents;
-                results.swing.population += population;
-            }
-        });
+        // Derived figures are skipped when a source they depend on failed.
+        // Every aggregation is DataProcessor's, the same code the dashboard runs.
+        const year = rawData.year;
+        const hasPopulations = Object.keys(processor.getStatePopulations(year)).length > 0;
 
-        // Calculate per capita rates
-        results.red.rate = (results.red.incidents / results.red.population) * 100000;
-        results.blue.rate = (results.blue.incidents / results.blue.population) * 100000;
-        results.swing.rate = (results.swing.incidents / results.swing.population) * 100000;
+        if (rawData.gunViolence && hasPopulations) {
+            processed.gunViolenceByPolitics = processor.processGunViolenceByPolitics(rawData.gunViolence, { year });
 
-        return results;
-    }
+            // GVA publishes no per-state mass shooting counts, so the national total is apportioned
+            processed.massShootingsByPolitics = processor.processMassShootingsByPolitics(rawData.gunViolence, { year });
+        }
 
-    processMassShootingsByPolitics(gunData, populations) {
-        const politicalClassifications = this.getPoliticalClassifications();
-        const results = {
-            red: { incidents: 0, population: 0, massShootings: 0 },
-            blue: { incidents: 0, population: 0, massShootings: 0 },
-            swing: { incidents: 0, population: 0, massShootings: 0 }
-        };
+        if (rawData.gunLaws && rawData.gunViolence && hasPopulations) {
+            // The dashboard plots the state points; r and its reading are in gunLawCategoryCorrelation.composite
+            processed.gunLawCorrelation = processor.processGunLawCorrelation(rawData.gunLaws, rawData.gunViolence, { year }).data;
 
-        const totalIncidents = gunData.stateBreakdown.reduce((sum, state) => sum + state.incidents, 0);
-        if (totalIncidents === 0) {
-            console.warn('Total gun violence incidents is zero, cannot apportion mass shootings.');
-            return results;
+            // Composite and per-category correlations against the laws in force that year
+            processed.gunLawCategoryCorrelation = processor.processGunLawCategoryCorrelations(
+                rawData.gunLaws,
+                rawData.gunViolence,
+                { year }
+            );
         }
 
-        gunData.stateBreakdown.forEach(stateData => {
-            const state = stateData.state;
-            const incidents = stateData.incidents;
-            const population = populations[state] || 0;
-
-            // Apportion mass shootings based on each state's proportion of total incidents
-            const massShootingShare = (incidents / totalIncidents) * gunData.massShootings;
-
-            if (politicalClassifications.red.includes(state)) {
-                results.red.population += population;
-                results.red.massShootings += massShootingShare;
-            } else if (politicalClassifications.blue.includes(state)) {
-                results.blue.population += population;
-                results.blue.massShootings += massShootingShare;
-            } else if (politicalClassifications.swing.includes(state)) {
-                results.swing.population += population;
-                results.swing.massShootings += massShootingShare;
+        if (processed.gunLawCorrelation && rawData.stateCovariates?.years?.length > 0) {
+            try {
+                const { source, methodology } = rawData.stateCovariates;
+                processed.gunLawRegression = {
+                    ...processor.processGunLawRegression(rawData.gunLaws, rawData.gunViolence, rawData.stateCovariates, { year }),
+                    covariateSource: source,
+                    covariateMethodology: methodology
+                };
+            } catch (error) {
+                console.warn(`⚠️ Gun-law regression skipped: ${error.message}`);
             }
-        });
+        }
 
-        results.red.massShootings = Math.round(results.red.massShootings);
-        results.blue.massShootings = Math.round(results.blue.massShootings);
-        results.swing.massShootings = Math.round(results.swing.massShootings);
-        return results;
-    }
+        if (rawData.incidentActivity?.coverage?.length > 0) {
+            try {
+                const { source, methodology } = rawData.incidentActivity;
+                processed.incidentAnomalies = {
+                    ...processor.processIncidentAnomalies(rawData.incidentActivity),
+                    source,
+                    methodology: `${methodology} Each state's daily count is compared with the same weekday over the previous eight weeks, and its weekly count with the same weeks of earlier years (the previous eight weeks until a year of history exists). A period is flagged when a Poisson exceedance test gives p < 0.001, its robust z-score is at least 3, and it holds at a 5% false discovery rate (Benjamini-Hochberg) across every state and period tested.`
+                };
+            } catch (error) {
+                console.warn(`⚠️ Anomaly detection skipped: ${error.message}`);
+            }
+        }
 
-    calculateGunLawCorrelation(gunLawData, gunViolenceData, populations) {
-        const correlationData = [];
+        if (rawData.hateCrimes?.years?.length > 0) {
+            const { source, methodology, imports } = rawData.hateCrimes;
+            processed.hateCrimes = {
+                ...processor.processHateCrimes(rawData.hateCrimes),
+                source,
+                methodology,
+                imports
+            };
+        }
 
-        gunViolenceData.stateBreakdown.forEach(stateData => {
-            const state = stateData.state;
-            const lawScore = gunLawData.scores[state];
-            const population = populations[state];
+        if (rawData.firearmMortality?.years?.length > 0) {
+            const { source, methodology, imports } = rawData.firearmMortality;
+            processed.firearmMortality = {
+                ...processor.processFirearmMortality(rawData.firearmMortality, { gunLawData: rawData.gunLaws || null }),
+                source,
+                methodology,
+                imports
+            };
+        }
 
-            if (lawScore && population) {
-                const violenceRate = (stateData.incidents / population) * 100000;
-                correlationData.push({
-                    state,
-                    lawScore,
-                    violenceRate
-                });
-            }
-        });
+        processed.provenance = this.describeProvenance(rawData, processed);
 
-        return correlationData;
+        return processed;
     }
 
-    async saveProcessedData(data) {
-        const filename = `processed-data-${new Date().toISOString().split('T')[0]}.json`;
-        const filepath = path.join(this.processedDir, filename);
-        
-        await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-        console.log(`📈 Processed data saved to ${filename}`);
+    /**
+     * Provenance record for every section of the processed output.
+     * Derived sections take the weakest method among their inputs.
+     */
+    describeProvenance(rawData, processed) {
+        const sources = rawData.sourceStatus || {};
+        const record = id => sources[id]?.provenance;
+        const provenance = {};
+        const add = (section, value) => {
+            if (processed[section] !== undefined && value) {
+                provenance[section] = value;
+            }
+        };
 
-        // Also save as latest.json for the dashboard to use
-        const latestPath = path.join(this.processedDir, 'latest.json');
-        await fs.writeFile(latestPath, JSON.stringify(data, null, 2));
-        console.log('📍 Latest data updated');
-    }
+        add('gunViolenceSummary', record('gunViolence'));
+        add('politicalViolenceBreakdown', record('politicalViolence'));
+        add('monthlyTrends', record('monthlyTrends'));
+        add('incidentAnomalies', record('incidentActivity'));
+        add('incidentHistory', this.describeIncidentHistory(rawData.incidentHistory?.coverage, sources.recentIncidents?.status));
 
-    getStateAbbreviation(fullName) {
-        const states = {
-            'Alabama': 'AL', 'Alaska': 'AK', 'Arizona': 'AZ', 'Arkansas': 'AR',
-            'California': 'CA', 'Colorado': 'CO', 'Connecticut': 'CT', 'Delaware': 'DE',
-            'Florida': 'FL', 'Georgia': 'GA', 'Hawaii': 'HI', 'Idaho': 'ID',
-            'Illinois': 'IL', 'Indiana': 'IN', 'Iowa': 'IA', 'Kansas': 'KS',
-            'Kentucky': 'KY', 'Louisiana': 'LA', 'Maine': 'ME', 'Maryland': 'MD',
-            'Massachusetts': 'MA', 'Michigan': 'MI', 'Minnesota': 'MN', 'Mississippi': 'MS',
-            'Missouri': 'MO', 'Montana': 'MT', 'Nebraska': 'NE', 'Nevada': 'NV',
-            'New Hampshire': 'NH', 'New Jersey': 'NJ', 'New Mexico': 'NM', 'New York': 'NY',
-            'North Carolina': 'NC', 'North Dakota': 'ND', 'Ohio': 'OH', 'Oklahoma': 'OK',
-            'Oregon': 'OR', 'Pennsylvania': 'PA', 'Rhode Island': 'RI', 'South Carolina': 'SC',
-            'South Dakota': 'SD', 'Tennessee': 'TN', 'Texas': 'TX', 'Utah': 'UT',
-            'Vermont': 'VT', 'Virginia': 'VA', 'Washington': 'WA', 'West Virginia': 'WV',
-            'Wisconsin': 'WI', 'Wyoming': 'WY'
-        };
-        return states[fullName];
+        const stateRates = [
+            { id: 'gunViolence', record: record('gunViolence'), field: 'stateBreakdown' },
+            { id: 'census', record: record('census') },
+            { id: 'elections', record: fileProvenance('elections', 'data/sources/elections.json', { name: 'Election results' }) }
+        ];
+        add('gunViolenceByPolitics', derivedProvenance(stateRates));
+        add('massShootingsByPolitics', derivedProvenance([
+            ...stateRates,
+            { id: 'gunViolence', record: record('gunViolence'), field: 'massShootings' }
+        ]));
+
+        const lawInputs = [
+            { id: 'gunLaws', record: record('gunLaws') },
+            { id: 'gunViolence', record: record('gunViolence'), field: 'stateBreakdown' },
+            { id: 'census', record: record('census') }
+        ];
+        add('hateCrimes', derivedProvenance([
+            { id: 'hateCrimes', record: record('hateCrimes') },
+            { id: 'census', record: record('census') },
+            { id: 'elections', record: fileProvenance('elections', 'data/sources/elections.json', { name: 'Election results' }) }
+        ]));
+        add('firearmMortality', derivedProvenance([
+            { id: 'firearmMortality', record: record('firearmMortality') },
+            { id: 'elections', record: fileProvenance('elections', 'data/sources/elections.json', { name: 'Election results' }) },
+            { id: 'gunLaws', record: record('gunLaws') }
+        ]));
+        add('gunLawCorrelation', derivedProvenance(lawInputs));
+        add('gunLawCategoryCorrelation', derivedProvenance(lawInputs));
+        add('gunLawRegression', derivedProvenance([
+            ...lawInputs,
+            { id: 'stateCovariates', record: record('stateCovariates') }
+        ]));
+
+        return provenance;
     }
 
-    getMockCensusData() {
+    /**
+     * Provenance of the incident store: scraped when it holds incidents,
+     * and a fallback when this run's scrape did not add to it
+     * @param {string} scrapeStatus - the recentIncidents source's status, if it ran
+     */
+    describeIncidentHistory(coverage = {}, scrapeStatus) {
+        const stored = coverage.storedIncidents > 0;
+        let status = 'success';
+        let notes;
+        if (!stored) {
+            status = 'failed';
+            notes = 'No incidents stored yet';
+        } else if (scrapeStatus !== 'success') {
+            status = 'fallback';
+            notes = scrapeStatus ? 'Scrape failed this run; incidents from earlier scrapes' : 'Not scraped this run; incidents from earlier scrapes';
+        }
+
         return {
-            populations: {
-                'AL': 5108468, 'AK': 733406, 'AZ': 7359197, 'AR': 3045637,
-                'CA': 38965193, 'CO': 5895630, 'CT': 3626205, 'DE': 1003384,
-                'FL': 22610726, 'GA': 10912876, 'HI': 1440196, 'ID': 1964726,
-                'IL': 12620571, 'IN': 6833037, 'IA': 3207004, 'KS': 2940865,
-                'KY': 4512310, 'LA': 4590241, 'ME': 1395722, 'MD': 6164660,
-                'MA': 7001399, 'MI': 10037261, 'MN': 5737915, 'MS': 2940057,
-                'MO': 6196994, 'MT': 1122069, 'NE': 1986765, 'NV': 3194176,
-                'NH': 1402054, 'NJ': 9261699, 'NM': 2113344, 'NY': 19469232,
-                'NC': 10835491, 'ND': 783926, 'OH': 11785935, 'OK': 4019800,
-                'OR': 4233358, 'PA': 12972008, 'RI': 1095962, 'SC': 5282634,
-                'SD': 909824, 'TN': 7126489, 'TX': 30503301, 'UT': 3380800,
-                'VT': 647464, 'VA': 8715698, 'WA': 7812880, 'WV': 1775156,
-                'WI': 5892539, 'WY': 581381
-            },
-            source: 'Mock Census Data',
-            year: 2023,
-            collectedAt: new Date().toISOString()
+            source: 'incidentStore',
+            name: 'GVA incident store',
+            method: stored ? 'scraped' : null,
+            status,
+            retrievedAt: coverage.lastSeen || null,
+            url: 'https://www.gunviolencearchive.org/last-72-hours',
+            file: 'data/incidents/gva-incidents.jsonl',
+            ...(notes ? { notes } : {})
         };
     }
 
-    async collectRecentIncidents() {
-        try {
-            console.log('🔄 Fetching recent incidents from Gun Violence Archive...');
-            
-            const baseUrl = 'https://www.gunviolencearchive.org';
-            const headers = {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Cache-Control': 'no-cache'
-            };
-
-            const response = await axios.get(`${baseUrl}/last-72-hours`, {
-                headers,
-                timeout: 10000,
-                validateStatus: status => status < 500
-            });
-
-            if (response.status === 403) {
-                throw new Error('Access blocked by GVA');
-            }
+    /**
+     * Presidential margins and state government control for classification
+     */
+    async loadElectionResults() {
+        return JSON.parse(await fs.readFile(path.join(this.sourcesDir, 'elections.json'), 'utf8'));
+    }
 
-            const $ = cheerio.load(response.data);
-            const incidents = [];
+    /**
+     * DataProcessor using this run's population series and classification scheme
+     */
+    createProcessor(rawData, elections) {
+        const options = { elections, classification: this.classification };
+        if (rawData.census?.series) {
+            options.population = PopulationSeries.fromJSON(rawData.census.series);
+        } else if (rawData.census?.populations) {
+            // Raw snapshots from before the census series was recorded
+            options.population = new PopulationSeries()
+                .addVintage(rawData.census.year || rawData.year, rawData.census.populations, rawData.census.source);
+        }
+        return new DataProcessor(options);
+    }
 
-            // Parse the incident table
-            $('.responsive tr').each((i, row) => {
-                if (i === 0) return; // Skip header row
-                
-                const $row = $(row);
-                const incident = {
-                    id: $row.find('td:nth-child(1)').text().trim(),
-                    date: $row.find('td:nth-child(2)').text().trim(),
-                    state: $row.find('td:nth-child(3)').text().trim(),
-                    city: $row.find('td:nth-child(4)').text().trim(),
-                    killed: parseInt($row.find('td:nth-child(5)').text()) || 0,
-                    injured: parseInt($row.find('td:nth-child(6)').text()) || 0,
-                    source: $row.find('td:nth-child(1) a').attr('href'),
-                    sourceUrl: `${baseUrl}${$row.find('td:nth-child(1) a').attr('href')}`
-                };
+    async saveProcessedData(data) {
+        // A run over some of the sources must not replace the published dataset
+        if (this.isPartialRun() && !this.outDir) {
+            console.log('⚠️ Partial run: processed snapshot and latest.json left unchanged (use --out to keep the output)');
+            return {};
+        }
 
-                // Only add if we have valid data
-                if (incident.id && incident.date) {
-                    incidents.push(incident);
-                }
-            });
+        // Dated snapshots go through the archive, which dedupes identical days and bundles old ones
+        const archive = new SnapshotArchive(this.processedDir);
+        const stored = await archive.put(this.asOf, data);
+        if (stored.duplicateOf) {
+            console.log(`📈 Processed data for ${this.asOf} matches ${stored.duplicateOf}; recorded in manifest`);
+        } else {
+            console.log(`📈 Processed data saved to ${stored.file}`);
+        }
 
-            // Analyze incidents for potential political motivation
-            const analyzedIncidents = await this.analyzeIncidents(incidents);
+        const compacted = await archive.compact();
+        if (compacted.bundled > 0 || compacted.prunedSnapshots > 0) {
+            console.log(`🗜️ Archive compacted: ${compacted.bundled} snapshot(s) bundled, ${compacted.prunedSnapshots} past retention removed`);
+        }
 
-            return {
-                incidents: analyzedIncidents,
-                lastUpdated: new Date().toISOString(),
-                source: 'Gun Violence Archive',
-                timeframe: '72 hours'
-            };
+        // Also save as latest.json for the dashboard to use
+        const latestPath = path.join(this.processedDir, 'latest.json');
+        await fs.writeFile(latestPath, JSON.stringify(data, null, 2));
+        console.log('📍 Latest data updated');
+        return { processed: path.join(this.processedDir, stored.file), latest: latestPath };
+    }
 
-        } catch (error) {
-            console.error('❌ Error fetching recent incidents:', error.message);
-            return {
-                incidents: [],
-                lastUpdated: new Date().toISOString(),
-                source: 'Gun Violence Archive',
-                timeframe: '72 hours',
-                error: error.message
-            };
-        }
+    getStateAbbreviation(fullName) {
+        return getStateCode(fullName);
     }
 
     async analyzeIncidents(incidents) {
@@ -698,7 +648,7 @@ class DataCollector {
                 // Analyze articles for political motivation
                 const analysis = await claude.batchAnalyzeArticles(newsArticles);
                 incident.analysis = {
-                    type: analysis.classification,
+                    type: analysis.type,
                     confidence: analysis.confidence
                 };
                 analyzedIncidents.push(incident);
@@ -728,12 +678,30 @@ class DataCollector {
         }
     }
 
-    async loadGVAHistoricalData() {
+    /**
+     * Import every GVA CSV export matching this.gvaExports into one incident set.
+     * The exports are read once per collector; every source shares the result.
+     * @returns {Object|null} importer result, or null when no export has any incidents
+     */
+    loadGVAHistoricalData() {
+        if (!this.gvaHistory) {
+            this.gvaHistory = this.importGVAExports();
+        }
+        return this.gvaHistory;
+    }
+
+    async importGVAExports() {
         try {
             console.log('📊 Loading historical GVA data...');
-            const csvPath = path.join(this.dataDir, 'gva_mass_shootings-2025-09-11.csv');
-            const csvData = await fs.readFile(csvPath, 'utf8');
-            return csvData;
+            const imported = await new GVACsvImporter(this.gvaExports).importAll();
+            imported.files.forEach(file => {
+                console.log(`📄 ${file.file} (${file.reportType || 'unknown report'}): ${file.imported} of ${file.rows} row(s) imported`);
+            });
+            if (imported.incidents.length === 0) {
+                console.warn('⚠️ No GVA export with incidents found');
+                return null;
+            }
+            return imported;
         } catch (error) {
             console.error('❌ Error loading GVA historical data:', error.message);
             return null;
@@ -754,8 +722,19 @@ class DataCollector {
                 
                 // Save to processed directory
                 const processedPath = path.join(this.processedDir, 'historical_gva_data.json');
-                const processor = new DataProcessor();
-                const processed = await processor.processGVAData(historicalData);
+                const processor = new DataProcessor({
+                    population: await this.loadPopulationSeries(),
+                    elections: await this.loadElectionResults(),
+                    classification: this.classification
+                });
+                const processed = {
+                    ...await processor.processGVAData(historicalData.incidents),
+                    imports: {
+                        files: historicalData.files,
+                        errors: historicalData.errors,
+                        conflicts: historicalData.conflicts
+                    }
+                };
                 await fs.writeFile(processedPath, JSON.stringify(processed, null, 2));
                 console.log('✅ Historical data processed and saved');
             }
@@ -763,31 +742,91 @@ class DataCollector {
             console.error('❌ Error in data collection:', error.message);
         }
     }
-
-    getEstimatedIncidents() {
-        // Conservative estimate based on historical data
-        const currentDate = new Date();
-        const startOfYear = new Date(currentDate.getFullYear(), 0, 1);
-        const yearProgress = (currentDate - startOfYear) / (365 * 24 * 60 * 60 * 1000);
-        return Math.round(50000 * yearProgress);
-    }
 }
 
+const CLI_OPTIONS = {
+    only: { type: 'list', placeholder: 'ids', description: 'Run only these sources (comma separated)' },
+    skip: { type: 'list', placeholder: 'ids', description: 'Skip these sources (comma separated)' },
+    'as-of': { type: 'date', placeholder: 'YYYY-MM-DD', description: 'Date to label the snapshot with (default: today)' },
+    out: { type: 'string', placeholder: 'dir', description: 'Write raw and processed output to this directory' },
+    'dry-run': { type: 'boolean', description: 'Print a diff against latest.json instead of writing' },
+    json: { type: 'boolean', description: 'Print a machine-readable run summary on stdout' },
+    scheme: { type: 'string', placeholder: 'name', description: 'Political classification scheme' },
+    'gva-exports': { type: 'list', placeholder: 'globs', description: 'GVA CSV exports to import (default: data/gva/*.csv, data/gva_*.csv)' },
+    'cdc-exports': { type: 'list', placeholder: 'globs', description: 'CDC WONDER firearm mortality exports to import (default: data/cdc/*.txt)' },
+    covariates: { type: 'list', placeholder: 'globs', description: 'State covariate CSVs for the gun-law regression (default: data/covariates/*.csv)' },
+    'hate-crimes': { type: 'list', placeholder: 'paths', description: 'FBI CDE hate crime downloads (CSV or JSON) or URLs to import (default: data/fbi/hate_crime*.csv, data/fbi/hate_crime*.json)' },
+    record: { type: 'string', optionalValue: true, placeholder: 'dir', description: 'Record HTTP traffic to a cassette' },
+    replay: { type: 'string', placeholder: 'dir', description: 'Replay HTTP traffic from a cassette' },
+    help: { type: 'boolean', description: 'Show this help' }
+};
+
 // CLI execution
 if (require.main === module) {
-    const collector = new DataCollector();
-    
     (async () => {
+        let options = {};
         try {
+            options = parseArgs(process.argv.slice(2), CLI_OPTIONS);
+            if (options.help) {
+                console.log(formatUsage('node scripts/collect-data.js', CLI_OPTIONS));
+                process.exit(0);
+            }
+            if (options.json) {
+                // Progress messages move to stderr so stdout carries only the summary
+                console.log = (...messages) => console.error(...messages);
+            }
+            if (options.scheme && !PoliticalClassifier.schemes[options.scheme]) {
+                throw new UsageError(`--scheme must be one of ${Object.keys(PoliticalClassifier.schemes).join(', ')}`);
+            }
+            if (options.record && options.replay) {
+                throw new UsageError('--record and --replay cannot be combined');
+            }
+
+            let cassette = null;
+            if (options.replay) {
+                cassette = await new Cassette({ mode: 'replay', dir: path.resolve(options.replay) }).load();
+            } else if (options.record) {
+                const dir = options.record !== true ? options.record :
+                    path.join(__dirname, '../data/cassettes', new Date().toISOString().split('T')[0]);
+                cassette = new Cassette({ mode: 'record', dir: path.resolve(dir) });
+            }
+
+            const collector = new DataCollector({
+                cassette,
+                only: options.only,
+                skip: options.skip,
+                asOf: options.asOf,
+                outDir: options.out,
+                dryRun: options.dryRun,
+                gvaExports: options.gvaExports,
+                hateCrimeSources: options.hateCrimes,
+                cdcExports: options.cdcExports,
+                covariateFiles: options.covariates,
+                classification: options.scheme ? { scheme: options.scheme } : {}
+            });
             await collector.initialize();
             const results = await collector.collectAllData();
-            console.log('\n🎉 Data collection completed successfully!');
+
+            if (options.json) {
+                process.stdout.write(JSON.stringify(collector.summarizeRun(results), null, 2) + '\n');
+            } else {
+                console.log('\n🎉 Data collection completed successfully!');
+            }
             process.exit(0);
         } catch (error) {
+            if (error instanceof UsageError) {
+                console.error(`${error.message}\n\n${formatUsage('node scripts/collect-data.js', CLI_OPTIONS)}`);
+                process.exit(2);
+            }
+            if (options.json) {
+                process.stdout.write(JSON.stringify({ error: error.message }, null, 2) + '\n');
+            }
             console.error('\n💥 Data collection failed:', error);
             process.exit(1);
         }
     })();
 }
 
+DataCollector.PROCESSING_VERSION = PROCESSING_VERSION;
+
 module.exports = DataCollector;
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * HTTP Cassettes for Clearly Politics
+ * Records every outbound axios request/response pair to disk, and replays
+ * them later so a collection run can be reproduced without network access.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Query parameters that carry credentials are never written to a cassette
+const SECRET_PARAM = /(key|token|secret|password)/i;
+
+class CassetteMismatchError extends Error {
+    constructor(key) {
+        super(`No recorded response for ${key}`);
+        this.name = 'CassetteMismatchError';
+        this.key = key;
+    }
+}
+
+class Cassette {
+    constructor({ mode, dir }) {
+        if (!['record', 'replay'].includes(mode)) {
+            throw new Error(`Unknown cassette mode: ${mode}`);
+        }
+
+        this.mode = mode;
+        this.dir = dir;
+        this.recordedAt = null;
+        this.interactions = [];
+        this.unmatched = [];
+        this.pending = new Map();
+    }
+
+    /**
+     * Load recorded interactions (replay mode)
+     */
+    async load() {
+        const index = JSON.parse(await fs.readFile(path.join(this.dir, 'index.json'), 'utf8'));
+        this.recordedAt = index.recordedAt;
+        this.interactions = [];
+
+        for (const file of index.interactions) {
+            this.interactions.push(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8')));
+        }
+
+        // Identical requests are served back in the order they were recorded
+        this.pending.clear();
+        this.interactions.forEach(interaction => {
+            if (!this.pending.has(interaction.key)) {
+                this.pending.set(interaction.key, []);
+            }
+            this.pending.get(interaction.key).push(interaction);
+        });
+
+        console.log(`📼 Loaded ${this.interactions.length} recorded requests from ${this.dir}`);
+        return this;
+    }
+
+    /**
+     * Write recorded interactions (record mode), one file per request
+     */
+    async save() {
+        await fs.mkdir(this.dir, { recursive: true });
+
+        const files = [];
+        for (const [i, interaction] of this.interactions.entries()) {
+            const host = new URL(interaction.request.url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+            const file = `${String(i + 1).padStart(4, '0')}-${interaction.request.method.toLowerCase()}-${host}.json`;
+            await fs.writeFile(path.join(this.dir, file), JSON.stringify(interaction, null, 2));
+            files.push(file);
+        }
+
+        const index = {
+            recordedAt: this.recordedAt || new Date().toISOString(),
+            interactions: files
+        };
+        await fs.writeFile(path.join(this.dir, 'index.json'), JSON.stringify(index, null, 2));
+        console.log(`📼 Recorded ${files.length} requests to ${this.dir}`);
+    }
+
+    /**
+     * Route every request made through an axios instance via this cassette
+     */
+    install(instance = axios) {
+        this.instance = instance;
+        this.originalAdapter = instance.defaults.adapter;
+        this.realAdapter = axios.getAdapter(this.originalAdapter);
+        this.recordedAt = this.recordedAt || (this.mode === 'record' ? new Date().toISOString() : null);
+        instance.defaults.adapter = config => this.mode === 'record' ? this.record(config) : this.replay(config);
+        return this;
+    }
+
+    uninstall() {
+        if (this.instance) {
+            this.instance.defaults.adapter = this.originalAdapter;
+            this.instance = null;
+        }
+    }
+
+    /**
+     * Throw if any request went unanswered during replay
+     */
+    assertComplete() {
+        if (this.unmatched.length > 0) {
+            const list = this.unmatched.map(key => `  - ${key}`).join('\n');
+            throw new Error(`Replay made ${this.unmatched.length} request(s) missing from ${this.dir}:\n${list}`);
+        }
+    }
+
+    async record(config) {
+        const request = this.describeRequest(config);
+        const interaction = { key: this.requestKey(request), request };
+        this.interactions.push(interaction);
+
+        try {
+            const response = await this.realAdapter(config);
+            interaction.response = this.serializeResponse(response);
+            return response;
+        } catch (error) {
+            if (error.response) {
+                interaction.response = this.serializeResponse(error.response);
+            } else {
+                interaction.error = { message: error.message, code: error.code || null };
+            }
+            throw error;
+        }
+    }
+
+    async replay(config) {
+        const request = this.describeRequest(config);
+        const key = this.requestKey(request);
+        const queue = this.pending.get(key);
+
+        if (!queue || queue.length === 0) {
+            console.error(`📼 Unmatched request during replay: ${key}`);
+            this.unmatched.push(key);
+            throw new CassetteMismatchError(key);
+        }
+
+        const interaction = queue.shift();
+        if (interaction.error) {
+            throw new axios.AxiosError(interaction.error.message, interaction.error.code, config);
+        }
+
+        const { status, statusText, headers, data, encoding } = interaction.response;
+        const response = {
+            status,
+            statusText,
+            headers: new axios.AxiosHeaders(headers),
+            data: encoding === 'base64' ? Buffer.from(data, 'base64') : data,
+            config,
+            request: { replayed: true }
+        };
+
+        // Mirror axios' own settle() so validateStatus behaves as it did live
+        if (!config.validateStatus || config.validateStatus(status)) {
+            return response;
+        }
+        throw new axios.AxiosError(
+            `Request failed with status code ${status}`,
+            status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+            config,
+            response.request,
+            response
+        );
+    }
+
+    describeRequest(config) {
+        const url = new URL(axios.getUri(config));
+        const params = Array.from(url.searchParams.entries())
+            .map(([name, value]) => [name, SECRET_PARAM.test(name) ? 'REDACTED' : value])
+            .sort(([a], [b]) => a.localeCompare(b));
+
+        url.search = '';
+        params.forEach(([name, value]) => url.searchParams.append(name, value));
+
+        const body = config.data === undefined || config.data === null ? null : String(config.data);
+
+        return {
+            method: (config.method || 'get').toUpperCase(),
+            url: url.toString(),
+            bodyHash: body ? crypto.createHash('sha256').update(body).digest('hex') : null
+        };
+    }
+
+    requestKey(request) {
+        return `${request.method} ${request.url}${request.bodyHash ? ` #${request.bodyHash.slice(0, 12)}` : ''}`;
+    }
+
+    serializeResponse(response) {
+        const isBinary = Buffer.isBuffer(response.data);
+        const headers = response.headers && typeof response.headers.toJSON === 'function' ?
+            response.headers.toJSON() :
+            { ...response.headers };
+
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+            data: isBinary ? response.data.toString('base64') : response.data,
+            encoding: isBinary ? 'base64' : 'utf8'
+        };
+    }
+}
+
+module.exports = {
+    Cassette,
+    CassetteMismatchError
+};
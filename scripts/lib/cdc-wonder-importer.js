@@ -0,0 +1,264 @@
+/**
+ * CDC WONDER Firearm Mortality Importer for Clearly Politics
+ * Reads the tab-delimited exports CDC WONDER produces for firearm deaths
+ * (Underlying Cause of Death, grouped by state, year and injury intent)
+ * and returns deaths per state, year and intent. Suppressed counts stay
+ * suppressed: they are never read as zero.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CSVReader = require('../../js/csv');
+const { getStateCode } = require('../../js/states');
+const { resolveFiles } = require('./file-patterns');
+
+// Intents as WONDER labels them, either by "Injury Intent" or by the
+// firearm rows of the ICD-10 113 cause list
+const INTENTS = [
+    { id: 'homicide', label: 'Homicide', pattern: /homicide|assault/i },
+    { id: 'suicide', label: 'Suicide', pattern: /suicide|self-harm/i },
+    { id: 'unintentional', label: 'Unintentional', pattern: /unintentional|accident/i },
+    { id: 'legalIntervention', label: 'Legal intervention', pattern: /legal intervention/i },
+    { id: 'undetermined', label: 'Undetermined', pattern: /undetermined/i }
+];
+
+// Accepted header names per field, compared lower-cased without punctuation
+const COLUMN_ALIASES = {
+    notes: ['notes'],
+    state: ['state', 'residencestate', 'occurrencestate'],
+    year: ['year', 'yearcode'],
+    intent: ['injuryintent', 'icd10113causelist', 'causeofdeath', 'intent'],
+    deaths: ['deaths'],
+    population: ['population']
+};
+
+const REQUIRED_COLUMNS = ['state', 'year', 'deaths'];
+
+// WONDER ends every export with a "---" line followed by query notes
+const FOOTER = /^"?---"?\s*$/m;
+
+// Rows listed individually on the console before the rest are only counted
+const REPORTED_ERRORS = 10;
+
+const normalizeHeader = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class CDCWonderImporter {
+    /**
+     * @param {Array|string} patterns - file paths or globs of WONDER exports
+     */
+    constructor(patterns) {
+        this.patterns = [].concat(patterns || []);
+    }
+
+    /**
+     * Import and merge every matching export
+     * @returns {Object} { records, files: [{ file, rows, imported, errors }], errors, conflicts }
+     */
+    async importAll() {
+        const merged = new Map();
+        const result = { records: [], files: [], errors: [], conflicts: [] };
+
+        for (const file of await resolveFiles(this.patterns)) {
+            let text;
+            try {
+                text = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                // A literal path that does not exist is simply not there yet
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            const imported = this.importText(text, { file: path.basename(file) });
+            result.files.push(imported.summary);
+            result.errors.push(...imported.errors);
+            imported.records.forEach(record => this.mergeRecord(merged, record, result.conflicts));
+        }
+
+        result.records = Array.from(merged.values());
+
+        result.errors.slice(0, REPORTED_ERRORS).forEach(error => {
+            console.warn(`⚠️ ${error.file}:${error.line} ${error.message}`);
+        });
+        if (result.errors.length > REPORTED_ERRORS) {
+            console.warn(`⚠️ ...and ${result.errors.length - REPORTED_ERRORS} more malformed row(s)`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Import one export's text. Files without an intent column take the
+     * intent from their name, e.g. firearm-suicides-2022.txt.
+     * @returns {Object} { records, errors, summary }
+     */
+    importText(text, { file = 'wonder-export.txt' } = {}) {
+        const summary = { file, rows: 0, imported: 0, errors: 0 };
+        const errors = [];
+        const body = String(text).split(FOOTER)[0];
+
+        let table;
+        try {
+            table = CSVReader.parseWithHeader(body, { delimiter: '\t' });
+        } catch (error) {
+            errors.push({ file, line: null, message: error.message });
+            summary.errors = errors.length;
+            return { records: [], errors, summary };
+        }
+
+        const columns = CDCWonderImporter.mapColumns(table.headers);
+        const fileIntent = CDCWonderImporter.detectIntent(file);
+        const missing = REQUIRED_COLUMNS.filter(name => !columns[name]);
+        if (!columns.intent && !fileIntent) {
+            missing.push('intent');
+        }
+        if (missing.length > 0) {
+            errors.push({ file, line: 1, message: `missing column(s) ${missing.join(', ')}; headers are [${table.headers.join(', ')}]` });
+            summary.errors = errors.length;
+            return { records: [], errors, summary };
+        }
+
+        table.errors.forEach(error => errors.push({ file, ...error }));
+        summary.rows = table.rows.length + table.errors.length;
+
+        const records = [];
+        table.rows.forEach(({ line, fields }) => {
+            // Subtotal rows carry "Total" in Notes and leave a grouping column blank
+            if (columns.notes && /total/i.test(fields[columns.notes])) return;
+            try {
+                const record = this.toRecord(fields, columns, fileIntent);
+                if (record) records.push(record);
+            } catch (error) {
+                errors.push({ file, line, message: error.message });
+            }
+        });
+
+        errors.sort((a, b) => a.line - b.line);
+        summary.imported = records.length;
+        summary.errors = errors.length;
+        return { records, errors, summary };
+    }
+
+    /**
+     * One row as { state, year, intent, deaths, suppressed, population }, or
+     * null for a non-firearm entry of a cause-list export
+     */
+    toRecord(fields, columns, fileIntent) {
+        const value = name => (columns[name] ? String(fields[columns[name]]).trim() : '');
+
+        const state = getStateCode(value('state'));
+        if (!state) {
+            throw new Error(`state is "${value('state')}", expected a US state`);
+        }
+
+        const year = value('year');
+        if (!/^\d{4}$/.test(year)) {
+            throw new Error(`year is "${year}", expected a four-digit year`);
+        }
+
+        let intent = fileIntent;
+        if (columns.intent) {
+            // Cause-list exports cover every cause of death; only the firearm rows count
+            if (!/intent/i.test(columns.intent) && !/firearm/i.test(value('intent'))) {
+                return null;
+            }
+            intent = CDCWonderImporter.detectIntent(value('intent'));
+            if (!intent) {
+                throw new Error(`intent is "${value('intent')}", expected a firearm injury intent`);
+            }
+        }
+
+        const deathsText = value('deaths');
+        const suppressed = /^suppressed$/i.test(deathsText);
+        if (!suppressed && !/^\d+$/.test(deathsText)) {
+            throw new Error(`deaths is "${deathsText}", expected a whole number or Suppressed`);
+        }
+
+        const populationText = value('population');
+        return {
+            state,
+            year: parseInt(year, 10),
+            intent,
+            deaths: suppressed ? null : parseInt(deathsText, 10),
+            suppressed,
+            population: /^\d+$/.test(populationText) ? parseInt(populationText, 10) : null
+        };
+    }
+
+    /**
+     * Keep one record per state, year and intent; report exports that disagree
+     */
+    mergeRecord(merged, record, conflicts) {
+        const key = `${record.state}|${record.year}|${record.intent}`;
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, record);
+            return;
+        }
+        if (existing.deaths !== record.deaths) {
+            conflicts.push({ state: record.state, year: record.year, intent: record.intent, values: [existing.deaths, record.deaths] });
+        }
+        existing.population = existing.population || record.population;
+    }
+
+    /**
+     * Field name -> header for every field the headers provide
+     */
+    static mapColumns(headers) {
+        const byName = {};
+        headers.forEach(header => {
+            byName[normalizeHeader(header)] = byName[normalizeHeader(header)] || header;
+        });
+
+        const columns = {};
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const alias = aliases.find(name => byName[name]);
+            if (alias) {
+                columns[field] = byName[alias];
+            }
+        });
+        return columns;
+    }
+
+    static detectIntent(text) {
+        const intent = INTENTS.find(candidate => candidate.pattern.test(text));
+        return intent ? intent.id : null;
+    }
+
+    /**
+     * Deaths by state, year and intent, plus national sums of the published counts
+     * @returns {Object} { years, intents, states: { ST: { year: { intent: { deaths, suppressed, population } } } }, national }
+     */
+    static summarize(records) {
+        const states = {};
+        const national = {};
+
+        records.forEach(record => {
+            states[record.state] = states[record.state] || {};
+            states[record.state][record.year] = states[record.state][record.year] || {};
+            states[record.state][record.year][record.intent] = {
+                deaths: record.deaths,
+                suppressed: record.suppressed,
+                population: record.population
+            };
+
+            national[record.year] = national[record.year] ||
+                Object.fromEntries(INTENTS.map(({ id }) => [id, { deaths: 0, suppressedStates: 0 }]));
+            if (record.suppressed) {
+                national[record.year][record.intent].suppressedStates++;
+            } else {
+                national[record.year][record.intent].deaths += record.deaths;
+            }
+        });
+
+        return {
+            years: Object.keys(national).map(Number).sort((a, b) => a - b),
+            intents: INTENTS.map(({ id, label }) => ({ id, label })),
+            states,
+            national
+        };
+    }
+}
+
+CDCWonderImporter.INTENTS = INTENTS;
+
+module.exports = CDCWonderImporter;
@@ -0,0 +1,99 @@
+/**
+ * Command-line options for the data scripts
+ * Options are declared up front, so a typo fails loudly instead of being
+ * silently ignored.
+ */
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toCamelCase = name => name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+/**
+ * Parse argv against a spec of { name: { type, description, optionalValue, defaultValue } }.
+ * Types: 'boolean', 'string', 'number', 'list' (comma separated) and 'date' (YYYY-MM-DD).
+ * An option declared with optionalValue may appear without a value (it is then true).
+ * @returns {Object} options keyed by camel-cased name
+ */
+function parseArgs(argv, spec) {
+    const options = {};
+    Object.entries(spec).forEach(([name, definition]) => {
+        if (definition.defaultValue !== undefined) {
+            options[toCamelCase(name)] = definition.defaultValue;
+        }
+    });
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (!arg.startsWith('--')) {
+            throw new UsageError(`Unexpected argument "${arg}"`);
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const definition = spec[name];
+        if (!definition) {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+
+        const key = toCamelCase(name);
+        if (definition.type === 'boolean') {
+            options[key] = true;
+            continue;
+        }
+
+        let value = inlineValue;
+        if (value === undefined && argv[index + 1] !== undefined && !argv[index + 1].startsWith('--')) {
+            value = argv[++index];
+        }
+        if (value === undefined || value === '') {
+            if (definition.optionalValue) {
+                options[key] = true;
+                continue;
+            }
+            throw new UsageError(`--${name} requires a value`);
+        }
+
+        if (definition.type === 'list') {
+            options[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+        } else if (definition.type === 'number') {
+            if (Number.isNaN(Number(value))) {
+                throw new UsageError(`--${name} expects a number, got "${value}"`);
+            }
+            options[key] = Number(value);
+        } else if (definition.type === 'date') {
+            if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+                throw new UsageError(`--${name} expects a date as YYYY-MM-DD, got "${value}"`);
+            }
+            options[key] = value;
+        } else {
+            options[key] = value;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Help text listing every option in the spec
+ */
+function formatUsage(command, spec) {
+    const lines = Object.entries(spec).map(([name, definition]) => {
+        const placeholder = definition.type === 'boolean' ? '' :
+            definition.optionalValue ? ` [${definition.placeholder || 'value'}]` :
+                ` <${definition.placeholder || definition.type}>`;
+        return `  --${name}${placeholder}`.padEnd(30) + definition.description;
+    });
+    return [`Usage: ${command} [options]`, '', 'Options:', ...lines].join('\n');
+}
+
+module.exports = {
+    parseArgs,
+    formatUsage,
+    UsageError
+};
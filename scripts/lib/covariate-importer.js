@@ -0,0 +1,210 @@
+/**
+ * State Covariate Importer for Clearly Politics
+ * Reads the state covariate file the gun-law regression adjusts for: one
+ * row per state and year with median household income, poverty rate,
+ * urban share, population density and age structure (ACS and decennial
+ * Census figures). A file may carry any subset of the covariates.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CSVReader = require('../../js/csv');
+const { getStateCode } = require('../../js/states');
+const { resolveFiles } = require('./file-patterns');
+
+// Covariates the regression knows, in model order
+const COVARIATES = [
+    { id: 'medianIncome', label: 'Median household income ($)' },
+    { id: 'povertyRate', label: 'Poverty rate (%)' },
+    { id: 'urbanShare', label: 'Urban population (%)' },
+    { id: 'populationDensity', label: 'Population density (per sq mi)' },
+    { id: 'medianAge', label: 'Median age (years)' },
+    { id: 'youngAdultShare', label: 'Population aged 15-34 (%)' }
+];
+
+// Accepted header names per field, compared lower-cased without punctuation
+const COLUMN_ALIASES = {
+    state: ['state', 'statename', 'stateabbr'],
+    year: ['year', 'vintage'],
+    medianIncome: ['medianincome', 'medianhouseholdincome'],
+    povertyRate: ['povertyrate', 'povertypercent', 'poverty'],
+    urbanShare: ['urbanshare', 'percenturban', 'urbanpercent', 'urban'],
+    populationDensity: ['populationdensity', 'density'],
+    medianAge: ['medianage'],
+    youngAdultShare: ['youngadultshare', 'aged1534', 'percent1534']
+};
+
+const REQUIRED_COLUMNS = ['state', 'year'];
+
+// Rows listed individually on the console before the rest are only counted
+const REPORTED_ERRORS = 10;
+
+const normalizeHeader = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class StateCovariateImporter {
+    /**
+     * @param {Array|string} patterns - file paths or globs of covariate CSVs
+     */
+    constructor(patterns) {
+        this.patterns = [].concat(patterns || []);
+    }
+
+    /**
+     * Import every matching file; a later file's value replaces an earlier one
+     * @returns {Object} { records, files: [{ file, rows, imported, errors }], errors }
+     */
+    async importAll() {
+        const merged = new Map();
+        const result = { records: [], files: [], errors: [] };
+
+        for (const file of await resolveFiles(this.patterns)) {
+            let text;
+            try {
+                text = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                // A literal path that does not exist is simply not there yet
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            const imported = this.importText(text, { file: path.basename(file) });
+            result.files.push(imported.summary);
+            result.errors.push(...imported.errors);
+            imported.records.forEach(record => {
+                const key = `${record.state}|${record.year}`;
+                const existing = merged.get(key);
+                merged.set(key, existing ? { ...existing, values: { ...existing.values, ...record.values } } : record);
+            });
+        }
+
+        result.records = Array.from(merged.values());
+
+        result.errors.slice(0, REPORTED_ERRORS).forEach(error => {
+            console.warn(`⚠️ ${error.file}:${error.line} ${error.message}`);
+        });
+        if (result.errors.length > REPORTED_ERRORS) {
+            console.warn(`⚠️ ...and ${result.errors.length - REPORTED_ERRORS} more malformed row(s)`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Import one file's text
+     * @returns {Object} { records, errors, summary }
+     */
+    importText(text, { file = 'state-covariates.csv' } = {}) {
+        const summary = { file, rows: 0, imported: 0, errors: 0 };
+        const errors = [];
+
+        let table;
+        try {
+            table = CSVReader.parseWithHeader(text);
+        } catch (error) {
+            errors.push({ file, line: null, message: error.message });
+            summary.errors = errors.length;
+            return { records: [], errors, summary };
+        }
+
+        const columns = StateCovariateImporter.mapColumns(table.headers);
+        const missing = REQUIRED_COLUMNS.filter(name => !columns[name]);
+        if (!COVARIATES.some(covariate => columns[covariate.id])) {
+            missing.push(`one of ${COVARIATES.map(covariate => covariate.id).join(', ')}`);
+        }
+        if (missing.length > 0) {
+            errors.push({ file, line: 1, message: `missing column(s) ${missing.join(', ')}; headers are [${table.headers.join(', ')}]` });
+            summary.errors = errors.length;
+            return { records: [], errors, summary };
+        }
+
+        table.errors.forEach(error => errors.push({ file, ...error }));
+        summary.rows = table.rows.length + table.errors.length;
+
+        const records = [];
+        table.rows.forEach(({ line, fields }) => {
+            try {
+                records.push(this.toRecord(fields, columns));
+            } catch (error) {
+                errors.push({ file, line, message: error.message });
+            }
+        });
+
+        errors.sort((a, b) => a.line - b.line);
+        summary.imported = records.length;
+        summary.errors = errors.length;
+        return { records, errors, summary };
+    }
+
+    /**
+     * One row as { state, year, values: { covariate: number } }. Blank cells
+     * are left out; "$52,000" and "12.5%" read as numbers.
+     */
+    toRecord(fields, columns) {
+        const value = name => (columns[name] ? String(fields[columns[name]]).trim() : '');
+
+        const state = getStateCode(value('state'));
+        if (!state) {
+            throw new Error(`state is "${value('state')}", expected a US state`);
+        }
+
+        const year = value('year');
+        if (!/^\d{4}$/.test(year)) {
+            throw new Error(`year is "${year}", expected a four-digit year`);
+        }
+
+        const values = {};
+        COVARIATES.forEach(({ id }) => {
+            const text = value(id).replace(/[$,%\s]/g, '');
+            if (text === '') return;
+            const number = Number(text);
+            if (!Number.isFinite(number)) {
+                throw new Error(`${id} is "${value(id)}", expected a number`);
+            }
+            values[id] = number;
+        });
+
+        return { state, year: parseInt(year, 10), values };
+    }
+
+    /**
+     * Field name -> header for every field the headers provide
+     */
+    static mapColumns(headers) {
+        const byName = {};
+        headers.forEach(header => {
+            byName[normalizeHeader(header)] = byName[normalizeHeader(header)] || header;
+        });
+
+        const columns = {};
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const alias = aliases.find(name => byName[name]);
+            if (alias) {
+                columns[field] = byName[alias];
+            }
+        });
+        return columns;
+    }
+
+    /**
+     * Covariates by year and state, in the vintage layout of population.json
+     * @returns {Object} { years, covariates, vintages: { year: { ST: { covariate: value } } } }
+     */
+    static summarize(records) {
+        const vintages = {};
+        records.forEach(record => {
+            vintages[record.year] = vintages[record.year] || {};
+            vintages[record.year][record.state] = record.values;
+        });
+
+        const present = new Set(records.flatMap(record => Object.keys(record.values)));
+        return {
+            years: Object.keys(vintages).map(Number).sort((a, b) => a - b),
+            covariates: COVARIATES.filter(covariate => present.has(covariate.id)),
+            vintages
+        };
+    }
+}
+
+StateCovariateImporter.COVARIATES = COVARIATES;
+
+module.exports = StateCovariateImporter;
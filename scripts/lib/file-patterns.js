@@ -0,0 +1,33 @@
+/**
+ * File Patterns for Clearly Politics
+ * Resolves the file lists importers accept: plain paths or globs where
+ * * and ? match within the file name.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Files matching the patterns, sorted and de-duplicated. Plain paths are
+ * kept even if they do not exist, so importers can skip them quietly.
+ */
+async function resolveFiles(patterns) {
+    const files = new Set();
+
+    for (const pattern of [].concat(patterns || [])) {
+        const dir = path.dirname(pattern);
+        const base = path.basename(pattern);
+        if (!/[*?]/.test(base)) {
+            files.add(path.resolve(pattern));
+            continue;
+        }
+
+        const matcher = new RegExp(`^${base.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+        const entries = await fs.readdir(dir).catch(() => []);
+        entries.filter(entry => matcher.test(entry)).forEach(entry => files.add(path.resolve(dir, entry)));
+    }
+
+    return Array.from(files).sort();
+}
+
+module.exports = { resolveFiles };
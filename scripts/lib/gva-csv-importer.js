@@ -0,0 +1,310 @@
+/**
+ * GVA CSV Importer for Clearly Politics
+ * Reads any number of Gun Violence Archive CSV exports (mass shootings,
+ * children killed, officer-involved and so on), maps their columns by
+ * header name, and merges them into one incident dataset keyed by incident
+ * id. Rows that cannot be read are reported with file and line rather than
+ * turned into NaN.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CSVReader = require('../../js/csv');
+const { resolveFiles } = require('./file-patterns');
+
+// Report types, recognised from the export's file name
+const REPORT_TYPES = [
+    { id: 'mass-shootings', label: 'Mass shootings', pattern: /mass[-_ ]?shootings?/i },
+    { id: 'mass-murder', label: 'Mass murder', pattern: /mass[-_ ]?murders?/i },
+    { id: 'officer-involved', label: 'Officer-involved shootings', pattern: /officer[-_ ]?involved/i },
+    { id: 'children-killed', label: 'Children killed', pattern: /child(ren)?[-_ ]?killed/i },
+    { id: 'children-injured', label: 'Children injured', pattern: /child(ren)?[-_ ]?injured/i },
+    { id: 'teens-killed', label: 'Teens killed', pattern: /teens?[-_ ]?killed/i },
+    { id: 'teens-injured', label: 'Teens injured', pattern: /teens?[-_ ]?injured/i },
+    { id: 'accidental-deaths', label: 'Accidental deaths', pattern: /accidental[-_ ]?deaths?/i },
+    { id: 'accidental-injuries', label: 'Accidental injuries', pattern: /accidental[-_ ]?injur(y|ies)/i },
+    { id: 'school-shootings', label: 'School shootings', pattern: /school[-_ ]?shootings?/i }
+];
+
+// Accepted header names per field, in order of preference. Headers are
+// compared lower-cased with everything but letters and digits removed.
+const COLUMN_ALIASES = {
+    id: ['incidentid', 'id'],
+    date: ['incidentdate', 'date'],
+    state: ['state'],
+    city: ['cityorcounty', 'city', 'county'],
+    address: ['address'],
+    venue: ['venue', 'locationdescription'],
+    lat: ['latitude', 'lat'],
+    lon: ['longitude', 'lon', 'lng'],
+    killed: ['numkilled', 'victimskilled', 'nkilled', 'killed'],
+    injured: ['numinjured', 'victimsinjured', 'ninjured', 'injured'],
+    suspectsKilled: ['suspectskilled'],
+    suspectsInjured: ['suspectsinjured'],
+    suspectsArrested: ['suspectsarrested'],
+    childrenKilled: ['numchildrenkilled', 'childrenkilled'],
+    teensKilled: ['numteenskilled', 'teenskilled'],
+    childrenInjured: ['numchildreninjured', 'childreninjured'],
+    teensInjured: ['numteensinjured', 'teensinjured'],
+    characteristics: ['incidentcharacteristics', 'characteristics'],
+    sources: ['sources', 'sourceurl', 'source'],
+    year: ['year']
+};
+
+const REQUIRED_COLUMNS = ['id', 'date', 'state', 'killed', 'injured'];
+
+// Rows listed individually on the console before the rest are only counted
+const REPORTED_ERRORS = 10;
+
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class GVACsvImporter {
+    /**
+     * @param {Array|string} patterns - file paths or globs; * and ? match within the file name
+     */
+    constructor(patterns) {
+        this.patterns = [].concat(patterns || []);
+    }
+
+    /**
+     * Files matching the configured patterns, sorted and de-duplicated
+     */
+    async resolveFiles() {
+        return resolveFiles(this.patterns);
+    }
+
+    /**
+     * Import and merge every matching export
+     * @returns {Object} { incidents, files: [{ file, reportType, rows, imported, errors }], errors, conflicts }
+     */
+    async importAll() {
+        const files = await this.resolveFiles();
+        const merged = new Map();
+        const result = { incidents: [], files: [], errors: [], conflicts: [] };
+
+        for (const file of files) {
+            let text;
+            try {
+                text = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                // A literal path that does not exist is simply not there yet
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            const imported = this.importText(text, { file: path.basename(file) });
+            result.files.push(imported.summary);
+            result.errors.push(...imported.errors);
+            imported.incidents.forEach(incident => this.mergeIncident(merged, incident, result.conflicts));
+        }
+
+        result.incidents = Array.from(merged.values()).sort((a, b) => a.date - b.date || a.id.localeCompare(b.id));
+
+        result.errors.slice(0, REPORTED_ERRORS).forEach(error => {
+            console.warn(`⚠️ ${error.file}:${error.line} ${error.message}`);
+        });
+        if (result.errors.length > REPORTED_ERRORS) {
+            console.warn(`⚠️ ...and ${result.errors.length - REPORTED_ERRORS} more malformed row(s)`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Import one export's text
+     * @returns {Object} { incidents, errors, summary }
+     */
+    importText(text, { file = 'export.csv', reportType = null } = {}) {
+        const type = reportType || GVACsvImporter.detectReportType(file);
+        const summary = { file, reportType: type, rows: 0, imported: 0, errors: 0 };
+        const errors = [];
+
+        let table;
+        try {
+            table = CSVReader.parseWithHeader(text);
+        } catch (error) {
+            errors.push({ file, line: null, message: error.message });
+            summary.errors = errors.length;
+            return { incidents: [], errors, summary };
+        }
+
+        const columns = GVACsvImporter.mapColumns(table.headers);
+        const missing = REQUIRED_COLUMNS.filter(name => !columns[name]);
+        if (missing.length > 0) {
+            errors.push({ file, line: 1, message: `missing column(s) ${missing.join(', ')}; headers are [${table.headers.join(', ')}]` });
+            summary.errors = errors.length;
+            return { incidents: [], errors, summary };
+        }
+
+        table.errors.forEach(error => errors.push({ file, ...error }));
+        summary.rows = table.rows.length + table.errors.length;
+
+        const incidents = [];
+        table.rows.forEach(({ line, fields }) => {
+            try {
+                incidents.push(this.toIncident(fields, columns, type));
+            } catch (error) {
+                errors.push({ file, line, id: fields[columns.id] || null, message: error.message });
+            }
+        });
+
+        errors.sort((a, b) => a.line - b.line);
+        summary.imported = incidents.length;
+        summary.errors = errors.length;
+        return { incidents, errors, summary };
+    }
+
+    /**
+     * One export row in the shape DataProcessor.processGVAData expects
+     */
+    toIncident(fields, columns, reportType) {
+        const value = name => (columns[name] ? String(fields[columns[name]]).trim() : '');
+        const count = (name, required = false) => {
+            const text = value(name);
+            if (text === '' || text === 'N/A') {
+                if (required) throw new Error(`${name} is empty`);
+                return 0;
+            }
+            if (!/^\d+$/.test(text)) {
+                throw new Error(`${name} is "${text}", expected a whole number`);
+            }
+            return parseInt(text, 10);
+        };
+        const coordinate = name => {
+            const text = value(name);
+            if (text === '' || text === 'N/A') return null;
+            const number = Number(text);
+            if (!Number.isFinite(number)) {
+                throw new Error(`${name} is "${text}", expected a number`);
+            }
+            return number;
+        };
+
+        const id = value('id');
+        if (!id) {
+            throw new Error('incident id is empty');
+        }
+        const date = GVACsvImporter.parseDate(value('date'));
+        if (!date) {
+            throw new Error(`date is "${value('date')}", expected a date`);
+        }
+        if (!value('state')) {
+            throw new Error('state is empty');
+        }
+
+        const venue = value('venue');
+        return {
+            id,
+            date,
+            state: value('state'),
+            city: value('city'),
+            address: value('address'),
+            venue: venue && venue !== 'N/A' ? venue : null,
+            location: {
+                lat: coordinate('lat'),
+                lon: coordinate('lon')
+            },
+            casualties: {
+                killed: count('killed', true),
+                injured: count('injured', true),
+                childrenKilled: count('childrenKilled'),
+                teensKilled: count('teensKilled'),
+                childrenInjured: count('childrenInjured')
+            },
+            characteristics: GVACsvImporter.splitCharacteristics(value('characteristics')),
+            sources: GVACsvImporter.parseSources(value('sources')),
+            year: date.getUTCFullYear(),
+            reportTypes: reportType ? [reportType] : []
+        };
+    }
+
+    /**
+     * Combine an incident that appears in several exports
+     */
+    mergeIncident(merged, incident, conflicts) {
+        const existing = merged.get(incident.id);
+        if (!existing) {
+            merged.set(incident.id, incident);
+            return;
+        }
+
+        ['killed', 'injured'].forEach(field => {
+            if (existing.casualties[field] !== incident.casualties[field]) {
+                conflicts.push({ id: incident.id, field, values: [existing.casualties[field], incident.casualties[field]] });
+            }
+        });
+
+        // Exports differ in which columns they carry; keep whatever each one adds
+        Object.keys(existing.casualties).forEach(field => {
+            existing.casualties[field] = Math.max(existing.casualties[field], incident.casualties[field]);
+        });
+        existing.city = existing.city || incident.city;
+        existing.address = existing.address || incident.address;
+        existing.venue = existing.venue || incident.venue;
+        existing.location = existing.location.lat !== null ? existing.location : incident.location;
+        existing.characteristics = Array.from(new Set([...existing.characteristics, ...incident.characteristics]));
+        existing.sources = Array.from(new Set([...existing.sources, ...incident.sources]));
+        existing.reportTypes = Array.from(new Set([...existing.reportTypes, ...incident.reportTypes]));
+    }
+
+    /**
+     * Field name -> header for every field the headers provide
+     */
+    static mapColumns(headers) {
+        const byName = {};
+        headers.forEach(header => {
+            byName[normalizeHeader(header)] = byName[normalizeHeader(header)] || header;
+        });
+
+        const columns = {};
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const alias = aliases.find(name => byName[name]);
+            if (alias) {
+                columns[field] = byName[alias];
+            }
+        });
+        return columns;
+    }
+
+    static detectReportType(file) {
+        const type = REPORT_TYPES.find(candidate => candidate.pattern.test(file));
+        return type ? type.id : null;
+    }
+
+    /**
+     * GVA dates appear as "October 18, 2026", "2026-10-18" or "10/18/2026"
+     */
+    static parseDate(text) {
+        if (!text) return null;
+        const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        const date = iso ?
+            new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]))) :
+            new Date(`${text} UTC`);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Characteristics are separated by "||", line breaks or commas outside parentheses
+     */
+    static splitCharacteristics(text) {
+        if (!text || text === 'N/A') return [];
+        const parts = /\|\||\n/.test(text) ? text.split(/\|\||\n/) : text.split(/,(?![^(]*\))/);
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    /**
+     * Source URLs, either as an R-style c("a", "b") list or separated by whitespace, commas or "||"
+     */
+    static parseSources(text) {
+        if (!text || text === 'N/A') return [];
+        const list = text.match(/^c\((.*)\)$/s);
+        const parts = list ?
+            list[1].split(/",\s*"/).map(part => part.replace(/^"|"$/g, '')) :
+            text.split(/\|\||[\s,]+/);
+        return parts.map(part => part.trim()).filter(url => url && url !== 'N/A');
+    }
+}
+
+GVACsvImporter.REPORT_TYPES = REPORT_TYPES;
+
+module.exports = GVACsvImporter;
@@ -0,0 +1,306 @@
+/**
+ * Gun Violence Archive Page Parsers for Clearly Politics
+ * Each parser takes a page's HTML and returns typed records. Columns are
+ * found by header text rather than position, and anything that does not
+ * look like the page we expect raises LayoutChangedError, so a GVA redesign
+ * stops the source instead of publishing zeros.
+ *
+ * Saved pages live in scripts/fixtures/gva/; scripts/validate-parsers.js
+ * checks every parser against them.
+ */
+
+const cheerio = require('cheerio');
+const { getStateCode } = require('../../js/states');
+
+class LayoutChangedError extends Error {
+    constructor(page, detail) {
+        super(`GVA page layout changed (${page}): ${detail}`);
+        this.name = 'LayoutChangedError';
+        this.page = page;
+        this.detail = detail;
+    }
+}
+
+// Header text for each column we read; older exports prefix counts with "#"
+const STATE_RANKING_COLUMNS = {
+    state: /^state$/i,
+    incidents: /^(#\s*)?(of\s+)?incidents$/i
+};
+
+const INCIDENT_COLUMNS = {
+    id: /^incident\s+id$/i,
+    date: /^(incident\s+)?date$/i,
+    state: /^state$/i,
+    city: /^city\s+or\s+county$/i,
+    killed: /^(#\s*)?(victims\s+)?killed$/i,
+    injured: /^(#\s*)?(victims\s+)?injured$/i
+};
+
+const OPTIONAL_INCIDENT_COLUMNS = {
+    address: /^address$/i
+};
+
+// Sections every incident page has
+const DETAIL_SECTIONS = ['Location', 'Participants', 'Incident Characteristics'];
+
+/**
+ * A whole number as GVA prints it ("1,234")
+ */
+function parseCount(text, page, field) {
+    const cleaned = String(text).trim();
+    if (!/^\d{1,3}(,?\d{3})*$/.test(cleaned)) {
+        throw new LayoutChangedError(page, `${field} is "${cleaned}", expected a count`);
+    }
+    return parseInt(cleaned.replace(/,/g, ''), 10);
+}
+
+/**
+ * Map column names to cell positions by matching header text
+ */
+function mapColumns(headers, required, optional, page) {
+    const columns = {};
+    const missing = [];
+
+    Object.entries({ ...required, ...optional }).forEach(([name, pattern]) => {
+        const index = headers.findIndex(header => pattern.test(header));
+        if (index !== -1) {
+            columns[name] = index;
+        } else if (required[name]) {
+            missing.push(name);
+        }
+    });
+
+    if (missing.length > 0) {
+        throw new LayoutChangedError(page, `missing column(s) ${missing.join(', ')}; headers are [${headers.join(' | ')}]`);
+    }
+    return columns;
+}
+
+/**
+ * Header texts and data rows of a table
+ */
+function readTable($, table) {
+    const headerRow = table.find('thead tr').first().length ?
+        table.find('thead tr').first() :
+        table.find('tr').filter((i, row) => $(row).find('th').length > 0).first();
+    const headers = headerRow.find('th').map((i, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+    const rows = table.find('tr').filter((i, row) => $(row).find('td').length > 0).get().map(row => $(row));
+    return { headers, rows };
+}
+
+/**
+ * The headline figure on a single-statistic report, e.g. total-number-of-incidents
+ */
+function parseStatisticCount(html, page = 'statistic') {
+    const $ = cheerio.load(html);
+    const element = $('.statistical-count').first();
+    if (!element.length) {
+        throw new LayoutChangedError(page, 'no .statistical-count element');
+    }
+    return parseCount(element.text(), page, 'statistical count');
+}
+
+/**
+ * Deaths and injuries from the casualties report
+ */
+function parseCasualties(html) {
+    const $ = cheerio.load(html);
+    const read = (selector, field) => {
+        const element = $(selector).first();
+        if (!element.length) {
+            throw new LayoutChangedError('casualties', `no ${selector} element`);
+        }
+        return parseCount(element.text(), 'casualties', field);
+    };
+
+    return {
+        deaths: read('.deaths .statistical-count', 'deaths'),
+        injuries: read('.injuries .statistical-count', 'injuries')
+    };
+}
+
+/**
+ * Incident counts per state from the state-rankings report
+ * @returns {Array} [{ state, incidents }]
+ */
+function parseStateRankings(html) {
+    const $ = cheerio.load(html);
+    const table = $('table.state-rankings').first();
+    if (!table.length) {
+        throw new LayoutChangedError('state-rankings', 'no table.state-rankings element');
+    }
+
+    const { headers, rows } = readTable($, table);
+    const columns = mapColumns(headers, STATE_RANKING_COLUMNS, {}, 'state-rankings');
+    if (rows.length === 0) {
+        throw new LayoutChangedError('state-rankings', 'table has no rows');
+    }
+
+    return rows.map(row => {
+        const cells = row.find('td');
+        const state = cells.eq(columns.state).text().trim();
+        if (!state) {
+            throw new LayoutChangedError('state-rankings', 'row without a state name');
+        }
+        return {
+            state,
+            incidents: parseCount(cells.eq(columns.incidents).text(), 'state-rankings', `incidents for ${state}`)
+        };
+    });
+}
+
+/**
+ * Incidents from a GVA incident list such as last-72-hours. An empty list
+ * is valid; a missing table or unexpected headers are not.
+ * @returns {Array} [{ id, date, state, city, address, killed, injured, source, sourceUrl }]
+ */
+function parseIncidentList(html, { baseUrl = 'https://www.gunviolencearchive.org', page = 'incident-list' } = {}) {
+    const $ = cheerio.load(html);
+    const table = $('table.responsive').first().length ? $('table.responsive').first() : $('.responsive table').first();
+    if (!table.length) {
+        throw new LayoutChangedError(page, 'no .responsive incident table');
+    }
+
+    const { headers, rows } = readTable($, table);
+    const columns = mapColumns(headers, INCIDENT_COLUMNS, OPTIONAL_INCIDENT_COLUMNS, page);
+
+    return rows
+        // "No incidents found" rows span the whole table
+        .filter(row => row.find('td').length >= headers.length)
+        .map(row => {
+            const cells = row.find('td');
+            const text = name => cells.eq(columns[name]).text().replace(/\s+/g, ' ').trim();
+
+            const id = text('id');
+            if (!/^\d+$/.test(id)) {
+                throw new LayoutChangedError(page, `incident id is "${id}", expected a number`);
+            }
+
+            const href = row.find('a[href*="/incident/"]').first().attr('href') || null;
+            return {
+                id,
+                date: text('date'),
+                state: text('state'),
+                city: text('city'),
+                address: columns.address !== undefined ? text('address') : null,
+                killed: parseCount(text('killed'), page, `killed for incident ${id}`),
+                injured: parseCount(text('injured'), page, `injured for incident ${id}`),
+                source: href,
+                sourceUrl: href ? new URL(href, baseUrl).toString() : null
+            };
+        });
+}
+
+/**
+ * Text of each h2 section on an incident page, keyed by heading
+ */
+function readSections($) {
+    const sections = {};
+    $('h2').each((i, heading) => {
+        sections[$(heading).text().trim()] = $(heading).nextUntil('h2');
+    });
+    return sections;
+}
+
+/**
+ * "Label: value" list items as an object, e.g. { Type: 'Victim', Age: '15' }
+ */
+function readLabeledItems($, list) {
+    const fields = {};
+    $(list).find('li').each((i, item) => {
+        const [label, ...value] = $(item).text().split(':');
+        if (value.length > 0) {
+            fields[label.trim()] = value.join(':').trim();
+        }
+    });
+    return fields;
+}
+
+/**
+ * An incident detail page (/incident/<id>), in the shape
+ * DataProcessor.processGVAData builds from the historical CSV, plus the
+ * individual participants.
+ * @returns {Object} { id, date, state, city, address, venue, location, casualties, participants, characteristics, sources, year }
+ */
+function parseIncidentDetail(html, { id = null, page = 'incident' } = {}) {
+    const $ = cheerio.load(html);
+    const sections = readSections($);
+    const missing = DETAIL_SECTIONS.filter(name => !sections[name]);
+    if (missing.length > 0) {
+        throw new LayoutChangedError(page, `missing section(s) ${missing.join(', ')}; headings are [${Object.keys(sections).join(' | ')}]`);
+    }
+
+    // Location lines: date, optional venue, address, "City, State", geolocation
+    const lines = sections.Location.filter('span').add(sections.Location.find('span'))
+        .map((i, span) => $(span).text().replace(/\s+/g, ' ').trim()).get()
+        .filter(Boolean);
+    const date = lines.length ? new Date(`${lines[0]} UTC`) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+        throw new LayoutChangedError(page, `first location line is "${lines[0] || ''}", expected the incident date`);
+    }
+
+    const placeIndex = lines.findIndex((line, i) => i > 0 && getStateCode(line.split(',').pop()));
+    if (placeIndex === -1) {
+        throw new LayoutChangedError(page, 'no "City, State" line in the location section');
+    }
+    const place = lines[placeIndex].split(',');
+    const street = lines.slice(1, placeIndex);
+    const geolocation = lines.find(line => /^geolocation:/i.test(line));
+    const [lat, lon] = geolocation ?
+        geolocation.replace(/^geolocation:/i, '').split(',').map(value => parseFloat(value)) :
+        [NaN, NaN];
+
+    const participants = sections.Participants.find('ul').add(sections.Participants.filter('ul')).get()
+        .map(list => readLabeledItems($, list))
+        .filter(fields => fields.Type)
+        .map(fields => ({
+            type: fields.Type,
+            age: fields.Age !== undefined && /^\d+$/.test(fields.Age) ? parseInt(fields.Age, 10) : null,
+            ageGroup: fields['Age Group'] || null,
+            gender: fields.Gender || null,
+            status: fields.Status ? fields.Status.split(',').map(status => status.trim()) : []
+        }));
+
+    const victims = participants.filter(participant => /victim/i.test(participant.type));
+    const count = (status, group) => victims.filter(victim =>
+        victim.status.some(value => value.toLowerCase() === status) &&
+        (!group || (victim.ageGroup || '').toLowerCase().startsWith(group))).length;
+
+    const listItems = section => (section ? section.find('li').add(section.filter('li')) : $([]));
+    const sources = listItems(sections.Sources).find('a').get()
+        .map(link => $(link).attr('href'))
+        .filter(url => url && url !== 'N/A');
+
+    return {
+        id: id !== null ? String(id) : null,
+        date: date.toISOString().split('T')[0],
+        state: place.pop().trim(),
+        city: place.join(',').trim(),
+        address: street.length ? street[street.length - 1] : null,
+        venue: street.length > 1 ? street[0] : null,
+        location: {
+            lat: Number.isFinite(lat) ? lat : null,
+            lon: Number.isFinite(lon) ? lon : null
+        },
+        casualties: {
+            killed: count('killed'),
+            injured: count('injured'),
+            childrenKilled: count('killed', 'child'),
+            teensKilled: count('killed', 'teen'),
+            childrenInjured: count('injured', 'child')
+        },
+        participants,
+        characteristics: listItems(sections['Incident Characteristics']).map((i, item) => $(item).text().trim()).get().filter(Boolean),
+        sources,
+        year: date.getUTCFullYear()
+    };
+}
+
+module.exports = {
+    LayoutChangedError,
+    parseStatisticCount,
+    parseCasualties,
+    parseStateRankings,
+    parseIncidentList,
+    parseIncidentDetail
+};
@@ -0,0 +1,268 @@
+/**
+ * FBI Hate Crime Importer for Clearly Politics
+ * Reads the incident-level hate crime data published by the FBI Crime Data
+ * Explorer (CDE), either the bulk CSV download (hate_crime.csv) or the same
+ * records as JSON, and counts incidents by state, year and bias category.
+ * Bias descriptions are mapped to the FBI's six bias categories; an
+ * incident with several biases counts once under each category it touches.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CSVReader = require('../../js/csv');
+const { getStateCode } = require('../../js/states');
+const { resolveFiles } = require('./file-patterns');
+
+// The FBI's bias categories, matched against each bias description in order.
+// "Anti-Lesbian, Gay, Bisexual, or Transgender (Mixed Group)" is a sexual
+// orientation bias, so that pattern runs before gender identity.
+const BIAS_CATEGORIES = [
+    { id: 'sexualOrientation', label: 'Sexual Orientation', pattern: /gay|lesbian|bisexual|heterosexual/i },
+    { id: 'genderIdentity', label: 'Gender Identity', pattern: /transgender|gender non-conforming/i },
+    { id: 'gender', label: 'Gender', pattern: /^anti-(male|female)$/i },
+    { id: 'disability', label: 'Disability', pattern: /disability/i },
+    { id: 'religion', label: 'Religion', pattern: /jewish|catholic|protestant|islamic|muslim|religio|mormon|latter-day|jehovah|orthodox|christian|buddhist|hindu|sikh|atheis|agnostic/i },
+    { id: 'raceEthnicity', label: 'Race/Ethnicity/Ancestry', pattern: /white|black|american indian|alaska native|asian|pacific islander|races|arab|hispanic|latino|ethnicity|ancestry/i }
+];
+
+// Accepted column names per field, compared lower-cased without punctuation
+const COLUMN_ALIASES = {
+    id: ['incidentid', 'id'],
+    year: ['datayear', 'year'],
+    state: ['stateabbr', 'stateabbreviation', 'state'],
+    stateName: ['statename'],
+    bias: ['biasdesc', 'biasdescription', 'bias'],
+    victims: ['victimcount', 'totalindividualvictims', 'victims']
+};
+
+const REQUIRED_COLUMNS = ['year', 'bias'];
+
+// Rows listed individually on the console before the rest are only counted
+const REPORTED_ERRORS = 10;
+
+const normalizeHeader = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class HateCrimeImporter {
+    /**
+     * @param {Array|string} patterns - file paths or globs of CDE downloads (.csv or .json)
+     */
+    constructor(patterns) {
+        this.patterns = [].concat(patterns || []);
+    }
+
+    /**
+     * Import every matching download
+     * @returns {Object} { incidents, files: [{ file, rows, imported, errors }], errors }
+     */
+    async importAll() {
+        const result = { incidents: [], files: [], errors: [] };
+
+        for (const file of await resolveFiles(this.patterns)) {
+            let text;
+            try {
+                text = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                // A literal path that does not exist is simply not there yet
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            this.addImport(result, this.importText(text, { file: path.basename(file) }));
+        }
+
+        HateCrimeImporter.reportErrors(result.errors);
+        return result;
+    }
+
+    addImport(result, imported) {
+        result.files.push(imported.summary);
+        result.errors.push(...imported.errors);
+        result.incidents.push(...imported.incidents);
+        return result;
+    }
+
+    /**
+     * Import one download's text; JSON is recognised by its first character
+     * @returns {Object} { incidents, errors, summary }
+     */
+    importText(text, { file = 'hate_crime.csv' } = {}) {
+        const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+        try {
+            if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+                const doc = JSON.parse(trimmed);
+                const records = Array.isArray(doc) ? doc : doc.data || doc.results || [];
+                return this.importRecords(records.map((fields, index) => ({ line: index + 1, fields })), { file });
+            }
+
+            const table = CSVReader.parseWithHeader(trimmed);
+            const imported = this.importRecords(table.rows, { file, headers: table.headers });
+            imported.errors.push(...table.errors.map(error => ({ file, ...error })));
+            imported.errors.sort((a, b) => a.line - b.line);
+            imported.summary.rows += table.errors.length;
+            imported.summary.errors = imported.errors.length;
+            return imported;
+        } catch (error) {
+            return {
+                incidents: [],
+                errors: [{ file, line: null, message: error.message }],
+                summary: { file, rows: 0, imported: 0, errors: 1 }
+            };
+        }
+    }
+
+    /**
+     * Import parsed records ({ line, fields }); line is the CSV line or JSON index
+     */
+    importRecords(records, { file, headers = null } = {}) {
+        const summary = { file, rows: records.length, imported: 0, errors: 0 };
+        const errors = [];
+        const columns = HateCrimeImporter.mapColumns(headers || Object.keys(records[0]?.fields || {}));
+        const missing = REQUIRED_COLUMNS.filter(name => !columns[name]);
+        if (records.length > 0 && missing.length > 0) {
+            errors.push({ file, line: 1, message: `missing column(s) ${missing.join(', ')}` });
+            summary.errors = errors.length;
+            return { incidents: [], errors, summary };
+        }
+
+        const incidents = [];
+        records.forEach(({ line, fields }) => {
+            try {
+                incidents.push(this.toIncident(fields, columns));
+            } catch (error) {
+                errors.push({ file, line, message: error.message });
+            }
+        });
+
+        summary.imported = incidents.length;
+        summary.errors = errors.length;
+        return { incidents, errors, summary };
+    }
+
+    /**
+     * One record as { id, year, state, biases, categories, victims }.
+     * state is null for agencies outside the 50 states and DC (e.g. federal).
+     */
+    toIncident(fields, columns) {
+        const value = name => (columns[name] && fields[columns[name]] !== undefined && fields[columns[name]] !== null ?
+            String(fields[columns[name]]).trim() : '');
+
+        const year = value('year');
+        if (!/^\d{4}$/.test(year)) {
+            throw new Error(`data year is "${year}", expected a four-digit year`);
+        }
+
+        const biases = value('bias').split(';').map(bias => bias.trim()).filter(Boolean);
+        if (biases.length === 0) {
+            throw new Error('bias description is empty');
+        }
+
+        const victims = value('victims');
+        if (victims !== '' && !/^\d+$/.test(victims)) {
+            throw new Error(`victim count is "${victims}", expected a whole number`);
+        }
+
+        return {
+            id: value('id') || null,
+            year: parseInt(year, 10),
+            state: getStateCode(value('state')) || getStateCode(value('stateName')) || null,
+            biases,
+            categories: Array.from(new Set(biases.map(bias => HateCrimeImporter.categorize(bias)))),
+            victims: victims === '' ? 0 : parseInt(victims, 10)
+        };
+    }
+
+    /**
+     * Field name -> column for every field the headers provide
+     */
+    static mapColumns(headers) {
+        const byName = {};
+        headers.forEach(header => {
+            byName[normalizeHeader(header)] = byName[normalizeHeader(header)] || header;
+        });
+
+        const columns = {};
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const alias = aliases.find(name => byName[name]);
+            if (alias) {
+                columns[field] = byName[alias];
+            }
+        });
+        return columns;
+    }
+
+    /**
+     * FBI bias category id for a bias description, or 'unclassified'
+     */
+    static categorize(bias) {
+        const category = BIAS_CATEGORIES.find(candidate => candidate.pattern.test(bias));
+        return category ? category.id : 'unclassified';
+    }
+
+    /**
+     * Incident and victim counts by year, nationally and per state
+     * @returns {Object} { years, categories, national, states, unassigned, biases }
+     */
+    static summarize(incidents) {
+        const categoryIds = [...BIAS_CATEGORIES.map(category => category.id), 'unclassified'];
+        const empty = () => ({
+            incidents: 0,
+            victims: 0,
+            multipleBias: 0,
+            categories: Object.fromEntries(categoryIds.map(id => [id, 0]))
+        });
+        const add = (bucket, incident) => {
+            bucket.incidents++;
+            bucket.victims += incident.victims;
+            if (incident.biases.length > 1) bucket.multipleBias++;
+            incident.categories.forEach(category => {
+                bucket.categories[category]++;
+            });
+        };
+
+        const national = {};
+        const states = {};
+        const unassigned = {};
+        const biases = {};
+
+        incidents.forEach(incident => {
+            national[incident.year] = national[incident.year] || empty();
+            add(national[incident.year], incident);
+
+            if (incident.state) {
+                states[incident.state] = states[incident.state] || {};
+                states[incident.state][incident.year] = states[incident.state][incident.year] || empty();
+                add(states[incident.state][incident.year], incident);
+            } else {
+                unassigned[incident.year] = (unassigned[incident.year] || 0) + 1;
+            }
+
+            incident.biases.forEach(bias => {
+                biases[bias] = (biases[bias] || 0) + 1;
+            });
+        });
+
+        return {
+            years: Object.keys(national).map(Number).sort((a, b) => a - b),
+            categories: [
+                ...BIAS_CATEGORIES.map(({ id, label }) => ({ id, label })),
+                { id: 'unclassified', label: 'Unclassified' }
+            ],
+            national,
+            states,
+            unassigned,
+            biases
+        };
+    }
+
+    static reportErrors(errors) {
+        errors.slice(0, REPORTED_ERRORS).forEach(error => {
+            console.warn(`⚠️ ${error.file}:${error.line} ${error.message}`);
+        });
+        if (errors.length > REPORTED_ERRORS) {
+            console.warn(`⚠️ ...and ${errors.length - REPORTED_ERRORS} more malformed row(s)`);
+        }
+    }
+}
+
+HateCrimeImporter.BIAS_CATEGORIES = BIAS_CATEGORIES;
+
+module.exports = HateCrimeImporter;
@@ -0,0 +1,317 @@
+/**
+ * Shared HTTP Client for Clearly Politics
+ * Every outbound request from the collector and the news service goes
+ * through here: requests to one host are spaced out, 429/5xx responses and
+ * dropped connections are retried with jittered exponential backoff (or
+ * after Retry-After), unchanged pages are revalidated with ETag /
+ * If-Modified-Since, and each attempt is reported as a structured log event.
+ *
+ * Requests go through the global axios instance, so cassettes keep working.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Query parameters that carry credentials are never logged
+const SECRET_PARAM = /(key|token|secret|password)/i;
+
+// Network failures worth another attempt; DNS misses and the like fail at once
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+// Header sets shared by every request of a kind
+const HEADER_PROFILES = {
+    browser: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Sec-Fetch-Dest': 'document',
+        'Sec-Fetch-Mode': 'navigate',
+        'Sec-Fetch-Site': 'none',
+        'Sec-Fetch-User': '?1'
+    },
+    json: {
+        'Accept': 'application/json',
+        'User-Agent': 'Clearly-Politics/1.0 (+github pages)'
+    }
+};
+
+const DEFAULTS = {
+    timeout: 15000,
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 30000,
+    // A Retry-After longer than this is treated as a refusal, not a delay
+    maxRetryAfterMs: 120000,
+    minIntervalMs: 1000
+};
+
+class HttpClient {
+    /**
+     * @param {Object} options
+     * @param {Object} options.hosts - per-host overrides, e.g. { 'www.gunviolencearchive.org': { minIntervalMs: 2000 } }
+     * @param {string} options.cacheDir - where validators and bodies are kept between runs (memory only when omitted)
+     * @param {boolean} options.conditional - send If-None-Match / If-Modified-Since (default true)
+     * @param {Function} options.logger - called with one event object per attempt
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout ?? DEFAULTS.timeout;
+        this.retries = options.retries ?? DEFAULTS.retries;
+        this.baseDelayMs = options.baseDelayMs ?? DEFAULTS.baseDelayMs;
+        this.maxDelayMs = options.maxDelayMs ?? DEFAULTS.maxDelayMs;
+        this.maxRetryAfterMs = options.maxRetryAfterMs ?? DEFAULTS.maxRetryAfterMs;
+        this.minIntervalMs = options.minIntervalMs ?? DEFAULTS.minIntervalMs;
+        this.hosts = options.hosts || {};
+        this.cacheDir = options.cacheDir || null;
+        this.conditional = options.conditional !== false;
+        this.logger = options.logger || null;
+
+        // Injectable for deterministic runs
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.random = options.random || Math.random;
+
+        this.hostQueues = new Map();
+        this.lastRequestAt = new Map();
+        this.memoryCache = new Map();
+        this.stats = { requests: 0, attempts: 0, retries: 0, revalidated: 0, failures: 0 };
+    }
+
+    /**
+     * GET a URL. Accepts the usual axios options plus:
+     *   profile     - 'browser' or 'json' header set (default 'browser')
+     *   retries     - attempts after the first (default from the client)
+     *   conditional - revalidate against a cached copy (default from the client)
+     * Resolves with the axios response; a revalidated response has fromCache set.
+     */
+    async get(url, options = {}) {
+        return this.request({ ...options, method: 'get', url });
+    }
+
+    async request(options) {
+        const { profile = 'browser', retries = this.retries, conditional = this.conditional, validateStatus, ...config } = options;
+        const method = (config.method || 'get').toLowerCase();
+        const fullUrl = axios.getUri(config);
+        const host = new URL(fullUrl).host;
+        const cacheable = conditional && method === 'get';
+        const cached = cacheable ? await this.readCache(fullUrl) : null;
+        const accept = validateStatus || (status => status >= 200 && status < 300);
+
+        const headers = { ...HEADER_PROFILES[profile], ...(config.headers || {}) };
+        if (cached?.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (cached?.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+
+        this.stats.requests++;
+
+        for (let attempt = 1; ; attempt++) {
+            await this.waitForTurn(host);
+            this.stats.attempts++;
+            const startedAt = Date.now();
+            let response = null;
+            let error = null;
+
+            try {
+                response = await axios.request({
+                    ...config,
+                    method,
+                    headers,
+                    timeout: config.timeout ?? this.hostOption(host, 'timeout', this.timeout),
+                    // Status handling happens below, so retries can see every response
+                    validateStatus: () => true
+                });
+            } catch (requestError) {
+                error = requestError;
+            }
+
+            const event = {
+                event: 'http',
+                method: method.toUpperCase(),
+                url: HttpClient.redact(fullUrl),
+                host,
+                attempt,
+                status: response ? response.status : null,
+                durationMs: Date.now() - startedAt,
+                cache: cached ? 'revalidate' : 'none',
+                at: new Date(startedAt).toISOString()
+            };
+
+            if (response && response.status === 304 && cached) {
+                this.stats.revalidated++;
+                this.log({ ...event, cache: 'hit' });
+                return { ...response, status: 200, statusText: 'OK', data: cached.data, fromCache: true };
+            }
+
+            const delay = this.retryDelay(response, error, attempt, retries);
+            if (delay !== null) {
+                this.stats.retries++;
+                this.log({ ...event, error: error ? error.code || error.message : undefined, retryInMs: delay });
+                await this.sleep(delay);
+                continue;
+            }
+
+            if (error) {
+                this.stats.failures++;
+                this.log({ ...event, error: error.code || error.message });
+                throw error;
+            }
+
+            this.log(event);
+
+            if (!accept(response.status)) {
+                this.stats.failures++;
+                throw new axios.AxiosError(
+                    `Request failed with status code ${response.status}`,
+                    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+                    response.config,
+                    response.request,
+                    response
+                );
+            }
+
+            if (cacheable && response.status === 200) {
+                await this.writeCache(fullUrl, response);
+            }
+            return response;
+        }
+    }
+
+    /**
+     * Milliseconds to wait before the next attempt, or null to stop
+     */
+    retryDelay(response, error, attempt, retries) {
+        if (attempt > retries) {
+            return null;
+        }
+
+        if (error) {
+            return RETRYABLE_CODES.includes(error.code) ? this.backoff(attempt) : null;
+        }
+
+        if (response.status !== 429 && response.status < 500) {
+            return null;
+        }
+
+        const retryAfter = HttpClient.parseRetryAfter(response.headers?.['retry-after']);
+        if (retryAfter !== null) {
+            return retryAfter <= this.maxRetryAfterMs ? retryAfter : null;
+        }
+        return this.backoff(attempt);
+    }
+
+    /**
+     * Exponential backoff with full jitter
+     */
+    backoff(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(this.random() * ceiling);
+    }
+
+    /**
+     * Space requests to one host at least minIntervalMs apart, in call order
+     */
+    async waitForTurn(host) {
+        const interval = this.hostOption(host, 'minIntervalMs', this.minIntervalMs);
+        const previous = this.hostQueues.get(host) || Promise.resolve();
+
+        const turn = previous.then(async () => {
+            const wait = (this.lastRequestAt.get(host) || 0) + interval - Date.now();
+            if (wait > 0) {
+                await this.sleep(wait);
+            }
+            this.lastRequestAt.set(host, Date.now());
+        });
+
+        this.hostQueues.set(host, turn.catch(() => {}));
+        return turn;
+    }
+
+    hostOption(host, name, fallback) {
+        return this.hosts[host]?.[name] ?? fallback;
+    }
+
+    log(event) {
+        if (this.logger) {
+            this.logger(event);
+        }
+    }
+
+    /**
+     * Cached validators and body for a URL, if any
+     */
+    async readCache(url) {
+        if (this.memoryCache.has(url)) {
+            return this.memoryCache.get(url);
+        }
+        if (!this.cacheDir) {
+            return null;
+        }
+
+        try {
+            const entry = JSON.parse(await fs.readFile(this.cacheFile(url), 'utf8'));
+            this.memoryCache.set(url, entry);
+            return entry;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Keep a response that can be revalidated later. Binary bodies are not cached.
+     */
+    async writeCache(url, response) {
+        const etag = response.headers?.etag || null;
+        const lastModified = response.headers?.['last-modified'] || null;
+        if ((!etag && !lastModified) || Buffer.isBuffer(response.data)) {
+            return;
+        }
+
+        const entry = { url: HttpClient.redact(url), etag, lastModified, storedAt: new Date().toISOString(), data: response.data };
+        this.memoryCache.set(url, entry);
+
+        if (this.cacheDir) {
+            try {
+                await fs.mkdir(this.cacheDir, { recursive: true });
+                await fs.writeFile(this.cacheFile(url), JSON.stringify(entry));
+            } catch (error) {
+                console.warn(`⚠️ Could not cache ${entry.url}: ${error.message}`);
+            }
+        }
+    }
+
+    cacheFile(url) {
+        return path.join(this.cacheDir, `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+    }
+
+    /**
+     * Retry-After as milliseconds; accepts delta-seconds or an HTTP date
+     */
+    static parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (/^\d+$/.test(String(value).trim())) {
+            return Number(value) * 1000;
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * URL with credential parameters masked
+     */
+    static redact(url) {
+        const parsed = new URL(url);
+        Array.from(parsed.searchParams.keys())
+            .filter(name => SECRET_PARAM.test(name))
+            .forEach(name => parsed.searchParams.set(name, 'REDACTED'));
+        return parsed.toString();
+    }
+}
+
+HttpClient.HEADER_PROFILES = HEADER_PROFILES;
+
+module.exports = HttpClient;
@@ -0,0 +1,275 @@
+/**
+ * Incident Store for Clearly Politics
+ * Append-only JSONL history of GVA incidents keyed by incident id.
+ * Every change is written as a new line; on load the last line for an id wins.
+ * A sibling JSONL log records when each scrape ran, so coverage gaps show.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Analyses that carry no information and must not replace a real one
+const EMPTY_ANALYSIS_TYPES = ['unknown', 'error'];
+
+// The last-72-hours page is the scrape window: runs further apart than this miss incidents
+const SCRAPE_WINDOW_MS = 72 * 60 * 60 * 1000;
+
+class IncidentStore {
+    /**
+     * @param {string} filePath - incident JSONL
+     * @param {Object} options - { scrapeLogPath } defaults to <name>-scrapes.jsonl beside it
+     */
+    constructor(filePath, { scrapeLogPath = filePath.replace(/(\.jsonl)?$/, '-scrapes.jsonl') } = {}) {
+        this.filePath = filePath;
+        this.scrapeLogPath = scrapeLogPath;
+        this.incidents = new Map();
+        this.scrapes = [];
+        this.pendingLines = [];
+        this.pendingScrapes = [];
+        this.lineCount = 0;
+    }
+
+    async load() {
+        this.incidents.clear();
+        this.lineCount = 0;
+
+        this.readLines(await this.readFile(this.filePath), this.filePath).forEach(record => {
+            this.incidents.set(String(record.id), record);
+            this.lineCount++;
+        });
+        this.scrapes = this.readLines(await this.readFile(this.scrapeLogPath), this.scrapeLogPath)
+            .sort((a, b) => a.at.localeCompare(b.at));
+
+        return this;
+    }
+
+    async readFile(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return '';
+        }
+    }
+
+    readLines(content, filePath) {
+        const records = [];
+        content.split('\n').forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable line ${i + 1} in ${path.basename(filePath)}`);
+            }
+        });
+        return records;
+    }
+
+    get size() {
+        return this.incidents.size;
+    }
+
+    get(id) {
+        return this.incidents.get(String(id));
+    }
+
+    hasAnalysis(id) {
+        const analysis = this.get(id)?.analysis;
+        return Boolean(analysis && !EMPTY_ANALYSIS_TYPES.includes(analysis.type));
+    }
+
+    all() {
+        return Array.from(this.incidents.values());
+    }
+
+    /**
+     * Merge freshly scraped incidents into the store. A line is only
+     * written when an incident is new or its content changed; lastSeen
+     * alone is kept in memory, and the scrape log says when runs happened.
+     */
+    merge(incidents, { seenAt = new Date().toISOString() } = {}) {
+        const summary = { added: 0, updated: 0, unchanged: 0 };
+
+        incidents.forEach(incident => {
+            const id = String(incident.id);
+            const existing = this.incidents.get(id);
+
+            if (!existing) {
+                this.write({
+                    ...incident,
+                    id,
+                    firstSeen: seenAt,
+                    lastSeen: seenAt,
+                    revisions: []
+                });
+                summary.added++;
+                return;
+            }
+
+            const casualtiesChanged = existing.killed !== incident.killed || existing.injured !== incident.injured;
+            const analysis = this.pickAnalysis(existing.analysis, incident.analysis);
+            const analysisChanged = JSON.stringify(analysis) !== JSON.stringify(existing.analysis);
+
+            const record = {
+                ...existing,
+                ...incident,
+                id,
+                analysis,
+                firstSeen: existing.firstSeen,
+                lastSeen: seenAt,
+                revisions: existing.revisions || []
+            };
+            if (analysis === undefined) delete record.analysis;
+
+            if (casualtiesChanged) {
+                // Keep the counts we are replacing so revisions stay auditable
+                record.revisions = [
+                    ...record.revisions,
+                    { at: seenAt, killed: existing.killed, injured: existing.injured }
+                ];
+                record.updatedAt = seenAt;
+            }
+
+            const withoutLastSeen = ({ lastSeen, ...rest }) => JSON.stringify(rest);
+            if (casualtiesChanged || analysisChanged || withoutLastSeen(record) !== withoutLastSeen(existing)) {
+                this.write(record);
+                summary.updated++;
+            } else {
+                this.incidents.set(id, record);
+                summary.unchanged++;
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Keep an existing analysis unless the new one actually says something
+     */
+    pickAnalysis(existing, incoming) {
+        if (!incoming || EMPTY_ANALYSIS_TYPES.includes(incoming.type)) {
+            return existing || incoming;
+        }
+        return incoming;
+    }
+
+    write(record) {
+        this.incidents.set(record.id, record);
+        this.pendingLines.push(JSON.stringify(record));
+    }
+
+    /**
+     * Log a completed scrape of the last-72-hours page
+     */
+    recordScrape({ at = new Date().toISOString(), incidents = 0 } = {}) {
+        const scrape = { at, incidents };
+        this.scrapes.push(scrape);
+        this.scrapes.sort((a, b) => a.at.localeCompare(b.at));
+        this.pendingScrapes.push(JSON.stringify(scrape));
+    }
+
+    /**
+     * Append pending changes to the JSONL files
+     */
+    async save() {
+        if (this.pendingLines.length > 0) {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.appendFile(this.filePath, this.pendingLines.join('\n') + '\n');
+            this.lineCount += this.pendingLines.length;
+            this.pendingLines = [];
+        }
+        if (this.pendingScrapes.length > 0) {
+            await fs.mkdir(path.dirname(this.scrapeLogPath), { recursive: true });
+            await fs.appendFile(this.scrapeLogPath, this.pendingScrapes.join('\n') + '\n');
+            this.pendingScrapes = [];
+        }
+    }
+
+    /**
+     * Rewrite the file with only the latest line for each incident
+     */
+    async compact() {
+        await this.save();
+        const lines = this.all().map(record => JSON.stringify(record));
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, lines.length ? lines.join('\n') + '\n' : '');
+        this.lineCount = lines.length;
+    }
+
+    /**
+     * Totals for every stored incident that happened in the given year
+     */
+    summarize({ year }) {
+        const summary = {
+            year,
+            incidents: 0,
+            killed: 0,
+            injured: 0,
+            byState: {},
+            coverage: {
+                storedIncidents: this.size,
+                scrapes: this.scrapes.length,
+                firstSeen: this.scrapes.length ? this.scrapes[0].at : null,
+                lastSeen: this.scrapes.length ? this.scrapes[this.scrapes.length - 1].at : null,
+                gaps: this.scrapeGaps(),
+                earliestIncident: null
+            }
+        };
+
+        this.all().forEach(incident => {
+            const date = this.incidentDate(incident);
+            if (!date || date.getUTCFullYear() !== year) return;
+
+            const isoDate = date.toISOString().split('T')[0];
+            if (!summary.coverage.earliestIncident || isoDate < summary.coverage.earliestIncident) {
+                summary.coverage.earliestIncident = isoDate;
+            }
+
+            summary.incidents++;
+            summary.killed += incident.killed || 0;
+            summary.injured += incident.injured || 0;
+
+            if (!summary.byState[incident.state]) {
+                summary.byState[incident.state] = { incidents: 0, killed: 0, injured: 0 };
+            }
+            summary.byState[incident.state].incidents++;
+            summary.byState[incident.state].killed += incident.killed || 0;
+            summary.byState[incident.state].injured += incident.injured || 0;
+        });
+
+        // The 72-hour scrape window only covers Jan 1 if collection had started by Jan 3,
+        // and the rest of the year only if no two runs since were further apart than the window
+        const yearStart = `${year}-01-01`;
+        summary.coverage.completeYear = summary.coverage.firstSeen !== null &&
+            new Date(summary.coverage.firstSeen).getTime() - SCRAPE_WINDOW_MS <= Date.parse(`${yearStart}T00:00:00Z`) &&
+            !summary.coverage.gaps.some(gap => gap.to >= yearStart && gap.from < `${year + 1}-01-01`);
+
+        return summary;
+    }
+
+    /**
+     * Intervals between consecutive scrapes longer than the scrape window,
+     * when incidents may have come and gone unseen
+     * @returns {Array} [{ from, to, hours }]
+     */
+    scrapeGaps() {
+        const gaps = [];
+        for (let i = 1; i < this.scrapes.length; i++) {
+            const interval = Date.parse(this.scrapes[i].at) - Date.parse(this.scrapes[i - 1].at);
+            if (interval > SCRAPE_WINDOW_MS) {
+                gaps.push({ from: this.scrapes[i - 1].at, to: this.scrapes[i].at, hours: Math.round(interval / 36e5) });
+            }
+        }
+        return gaps;
+    }
+
+    incidentDate(incident) {
+        const date = new Date(`${incident.date} UTC`);
+        if (!isNaN(date.getTime())) return date;
+
+        const isoDate = new Date(incident.date);
+        return isNaN(isoDate.getTime()) ? null : isoDate;
+    }
+}
+
+module.exports = IncidentStore;
@@ -0,0 +1,80 @@
+/**
+ * Structural JSON diff
+ * Lists the paths that were added, removed or changed between two
+ * documents, for previewing a collection run against the published data.
+ */
+
+const isObject = value => value !== null && typeof value === 'object';
+
+/**
+ * Compare two JSON values
+ * @param {*} before
+ * @param {*} after
+ * @param {Object} options - { ignore: keys skipped at any depth (e.g. timestamps) }
+ * @returns {Array} [{ path, type: 'added'|'removed'|'changed', before, after }]
+ */
+function diffJSON(before, after, { ignore = [] } = {}) {
+    const changes = [];
+
+    const walk = (left, right, path) => {
+
+        if (isObject(left) && isObject(right) && Array.isArray(left) === Array.isArray(right)) {
+            const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+            keys.forEach(key => {
+                if (ignore.includes(key)) {
+                    return;
+                }
+                const childPath = Array.isArray(left) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+                // Undefined values are dropped when serialized, so they count as absent
+                if (left[key] === undefined && right[key] === undefined) {
+                    return;
+                } else if (left[key] === undefined) {
+                    changes.push({ path: childPath, type: 'added', after: right[key] });
+                } else if (right[key] === undefined) {
+                    changes.push({ path: childPath, type: 'removed', before: left[key] });
+                } else {
+                    walk(left[key], right[key], childPath);
+                }
+            });
+            return;
+        }
+
+        if (JSON.stringify(left) !== JSON.stringify(right)) {
+            changes.push({ path: path || '(root)', type: 'changed', before: left, after: right });
+        }
+    };
+
+    walk(before, after, '');
+    return changes;
+}
+
+/**
+ * Human-readable diff, one line per change, truncated after `limit` lines
+ */
+function formatDiff(changes, { limit = 50 } = {}) {
+    if (changes.length === 0) {
+        return 'No changes';
+    }
+
+    const preview = value => {
+        const text = JSON.stringify(value);
+        return text === undefined ? 'undefined' : text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    };
+    const symbols = { added: '+', removed: '-', changed: '~' };
+
+    const lines = changes.slice(0, limit).map(change => {
+        const detail = change.type === 'changed' ? `${preview(change.before)} -> ${preview(change.after)}` :
+            change.type === 'added' ? preview(change.after) : preview(change.before);
+        return `${symbols[change.type]} ${change.path}: ${detail}`;
+    });
+
+    if (changes.length > limit) {
+        lines.push(`... and ${changes.length - limit} more`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    diffJSON,
+    formatDiff
+};
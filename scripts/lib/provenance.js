@@ -0,0 +1,83 @@
+/**
+ * Figure Provenance for Clearly Politics
+ * Every section of the processed output carries a record of where its
+ * numbers came from. Methods are ranked from strongest to weakest, and a
+ * derived figure is only as strong as the weakest input it was built from.
+ */
+
+// Strongest first
+const PROVENANCE_METHODS = ['live', 'scraped', 'static', 'estimated', 'mock'];
+
+// Adapter collection methods and the provenance they produce when they succeed
+const ADAPTER_METHODS = {
+    api: 'live',
+    scrape: 'scraped',
+    static: 'static'
+};
+
+/**
+ * The weakest of several methods; unknown methods count as mock.
+ * Inputs without a method (no data) are ignored.
+ */
+function weakestMethod(methods) {
+    const known = methods.filter(Boolean);
+    if (known.length === 0) {
+        return null;
+    }
+    return known.reduce((weakest, method) => {
+        const rank = PROVENANCE_METHODS.includes(method) ? PROVENANCE_METHODS.indexOf(method) : PROVENANCE_METHODS.length - 1;
+        return rank > PROVENANCE_METHODS.indexOf(weakest) ? PROVENANCE_METHODS[rank] : weakest;
+    }, PROVENANCE_METHODS[0]);
+}
+
+/**
+ * Provenance of one source's output for this run. Adapters refine the
+ * defaults through their provenance(data, status) hook.
+ */
+function sourceProvenance(adapter, { status, data, retrievedAt = new Date().toISOString() }) {
+    const defaults = {
+        source: adapter.id,
+        name: adapter.name,
+        method: status === 'success' ? ADAPTER_METHODS[adapter.method] || 'static' : 'estimated',
+        status,
+        retrievedAt,
+        url: adapter.url || null
+    };
+    const refined = typeof adapter.provenance === 'function' ? adapter.provenance(data, status) : null;
+    return { ...defaults, ...(refined || {}) };
+}
+
+/**
+ * Provenance of a curated input file under data/sources/
+ */
+function fileProvenance(id, file, { name = null, url = null, retrievedAt = null } = {}) {
+    return { source: id, name: name || id, method: 'static', status: 'success', retrievedAt, url, file };
+}
+
+/**
+ * Provenance of a figure computed from other figures
+ * @param {Array} inputs - [{ id, record, field }]; field picks a field-level method from record.fields
+ */
+function derivedProvenance(inputs, { derivedAt = new Date().toISOString() } = {}) {
+    const described = inputs
+        .filter(input => input.record)
+        .map(({ id, record, field }) => ({
+            id: field ? `${id}.${field}` : id,
+            method: (field && record.fields?.[field]) || record.method
+        }));
+
+    return {
+        source: 'derived',
+        method: weakestMethod(described.map(input => input.method)),
+        derivedAt,
+        inputs: described
+    };
+}
+
+module.exports = {
+    PROVENANCE_METHODS,
+    weakestMethod,
+    sourceProvenance,
+    fileProvenance,
+    derivedProvenance
+};
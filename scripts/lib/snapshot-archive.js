@@ -0,0 +1,348 @@
+/**
+ * Processed Snapshot Archive for Clearly Politics
+ * Tracks every daily snapshot in manifest.json. Identical days share one
+ * stored copy (by content hash), and snapshots past the retention window
+ * are compacted into one gzip bundle per month. read(date) returns a
+ * snapshot however it is stored.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MANIFEST_VERSION = 1;
+const SNAPSHOT_PATTERN = /^processed-data-(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Keep the last 30 days as plain files; keep monthly bundles forever
+const DEFAULT_RETENTION = {
+    keepDailyDays: 30,
+    keepMonths: null
+};
+
+// Labels that change every run without the data changing
+const VOLATILE_METADATA = ['processedAt', 'reprocessedAt', 'asOf'];
+const VOLATILE_KEYS = ['collectedAt', 'durationMs', 'retrievedAt', 'derivedAt'];
+
+class SnapshotArchive {
+    constructor(dir, { retention } = {}) {
+        this.dir = dir;
+        this.bundleDir = path.join(dir, 'archive');
+        this.manifestPath = path.join(dir, 'manifest.json');
+        this.retentionOverride = retention || null;
+        this.manifest = null;
+    }
+
+    /**
+     * Hash of a snapshot's content, ignoring run timestamps. Days that hash
+     * the same share one stored copy, timestamps included.
+     */
+    static hash(snapshot) {
+        const metadata = { ...(snapshot.metadata || {}) };
+        VOLATILE_METADATA.forEach(key => delete metadata[key]);
+        const content = JSON.stringify({ ...snapshot, metadata },
+            (key, value) => (VOLATILE_KEYS.includes(key) ? undefined : value));
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    async load() {
+        if (this.manifest) {
+            return this.manifest;
+        }
+
+        try {
+            this.manifest = JSON.parse(await fs.readFile(this.manifestPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this.manifest = { version: MANIFEST_VERSION, retention: { ...DEFAULT_RETENTION }, snapshots: {}, blobs: {} };
+        }
+
+        if (this.retentionOverride) {
+            this.manifest.retention = { ...this.manifest.retention, ...this.retentionOverride };
+        }
+        return this.manifest;
+    }
+
+    async saveManifest() {
+        const manifest = await this.load();
+        const sorted = {};
+        Object.keys(manifest.snapshots).sort().forEach(date => {
+            sorted[date] = manifest.snapshots[date];
+        });
+        manifest.snapshots = sorted;
+
+        // Write then rename, so a crash never leaves a truncated manifest
+        const tempPath = `${this.manifestPath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2) + '\n');
+        await fs.rename(tempPath, this.manifestPath);
+    }
+
+    /**
+     * Dates with a snapshot: archived ones plus any unindexed daily files
+     */
+    async list() {
+        const manifest = await this.load();
+        const files = await fs.readdir(this.dir).catch(() => []);
+        const managed = this.managedFiles();
+        const dates = new Set(Object.keys(manifest.snapshots));
+        files.forEach(file => {
+            const match = file.match(SNAPSHOT_PATTERN);
+            if (match && !managed.has(file)) {
+                dates.add(match[1]);
+            }
+        });
+        return Array.from(dates).sort();
+    }
+
+    /**
+     * Store a snapshot for a date. A snapshot identical to one already stored
+     * is recorded in the manifest only.
+     * @returns {Object} { date, hash, file, duplicateOf }
+     */
+    async put(date, snapshot) {
+        const manifest = await this.load();
+        const hash = SnapshotArchive.hash(snapshot);
+        const previousHash = manifest.snapshots[date]?.hash;
+
+        manifest.snapshots[date] = {
+            hash,
+            processedAt: snapshot.metadata?.processedAt || null,
+            processingVersion: snapshot.metadata?.processingVersion || snapshot.metadata?.version || null,
+            sources: this.describeSources(snapshot.metadata?.sources)
+        };
+
+        let duplicateOf = null;
+        if (manifest.blobs[hash]) {
+            duplicateOf = Object.keys(manifest.snapshots).find(other => other !== date && manifest.snapshots[other].hash === hash) || null;
+        } else {
+            if (previousHash && previousHash !== hash) {
+                // Free this date's file name if nothing else needs the old content
+                await this.pruneBlobs();
+            }
+            const file = await this.freeFileName(date, hash);
+            await fs.writeFile(path.join(this.dir, file), JSON.stringify(snapshot, null, 2));
+            manifest.blobs[hash] = { file };
+        }
+
+        await this.pruneBlobs();
+        await this.saveManifest();
+        return { date, hash, file: manifest.blobs[hash].file || manifest.blobs[hash].bundle, duplicateOf };
+    }
+
+    /**
+     * The snapshot for a date, or null if there is none
+     */
+    async read(date) {
+        const manifest = await this.load();
+        const entry = manifest.snapshots[date];
+
+        if (!entry) {
+            // Daily files written before the archive existed
+            const legacyFile = `processed-data-${date}.json`;
+            if (this.managedFiles().has(legacyFile)) {
+                return null;
+            }
+            return fs.readFile(path.join(this.dir, legacyFile), 'utf8').then(JSON.parse).catch(() => null);
+        }
+
+        const blob = manifest.blobs[entry.hash];
+        if (!blob) {
+            throw new Error(`Manifest entry for ${date} points at missing content ${entry.hash}`);
+        }
+
+        const snapshot = blob.bundle ?
+            (await this.readBundle(blob.bundle)).blobs[entry.hash] :
+            JSON.parse(await fs.readFile(path.join(this.dir, blob.file), 'utf8'));
+
+        // Shared content carries the labels of the day it was first stored
+        return {
+            ...snapshot,
+            metadata: {
+                ...snapshot.metadata,
+                processedAt: entry.processedAt || snapshot.metadata?.processedAt,
+                asOf: date
+            }
+        };
+    }
+
+    /**
+     * Index daily files written before the archive existed
+     * @returns {number} files indexed
+     */
+    async indexLegacyFiles() {
+        const manifest = await this.load();
+        const managed = this.managedFiles();
+        const files = (await fs.readdir(this.dir))
+            .filter(file => SNAPSHOT_PATTERN.test(file) && !managed.has(file))
+            .sort();
+        let indexed = 0;
+
+        for (const file of files) {
+            const date = file.match(SNAPSHOT_PATTERN)[1];
+            if (manifest.snapshots[date]) {
+                continue;
+            }
+
+            const snapshot = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+            const hash = SnapshotArchive.hash(snapshot);
+            manifest.snapshots[date] = {
+                hash,
+                processedAt: snapshot.metadata?.processedAt || null,
+                processingVersion: snapshot.metadata?.processingVersion || snapshot.metadata?.version || null,
+                sources: this.describeSources(snapshot.metadata?.sources)
+            };
+            if (!manifest.blobs[hash]) {
+                manifest.blobs[hash] = { file };
+            } else if (manifest.blobs[hash].file !== file) {
+                // Same content as an earlier day: keep one copy
+                await fs.unlink(path.join(this.dir, file));
+            }
+            indexed++;
+        }
+
+        await this.pruneBlobs();
+        await this.saveManifest();
+        return indexed;
+    }
+
+    /**
+     * Bundle daily files past the retention window by month, and drop
+     * months past keepMonths
+     * @returns {Object} { bundled, prunedSnapshots }
+     */
+    async compact({ today = new Date() } = {}) {
+        const manifest = await this.load();
+        const { keepDailyDays, keepMonths } = manifest.retention;
+        let prunedSnapshots = 0;
+
+        if (keepMonths !== null && keepMonths !== undefined) {
+            const cutoff = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - keepMonths, 1));
+            const cutoffMonth = cutoff.toISOString().slice(0, 7);
+            Object.keys(manifest.snapshots).forEach(date => {
+                if (date.slice(0, 7) < cutoffMonth) {
+                    delete manifest.snapshots[date];
+                    prunedSnapshots++;
+                }
+            });
+        }
+
+        // Content moves to a bundle once every date that uses it is past the window
+        const dailyCutoff = new Date(today.getTime() - keepDailyDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const newestUse = {};
+        Object.entries(manifest.snapshots).forEach(([date, entry]) => {
+            if (!newestUse[entry.hash] || date > newestUse[entry.hash]) {
+                newestUse[entry.hash] = date;
+            }
+        });
+
+        const byMonth = {};
+        Object.entries(manifest.blobs).forEach(([hash, blob]) => {
+            if (blob.file && newestUse[hash] && newestUse[hash] < dailyCutoff) {
+                const month = blob.file.match(/(\d{4}-\d{2})-\d{2}/)[1];
+                (byMonth[month] = byMonth[month] || []).push(hash);
+            }
+        });
+
+        let bundled = 0;
+        for (const [month, hashes] of Object.entries(byMonth)) {
+            const bundleFile = path.join('archive', `${month}.json.gz`);
+            const bundle = await this.readBundle(bundleFile).catch(() => ({ month, blobs: {} }));
+
+            for (const hash of hashes) {
+                const filePath = path.join(this.dir, manifest.blobs[hash].file);
+                bundle.blobs[hash] = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            }
+            await this.writeBundle(bundleFile, bundle);
+
+            // Only remove the daily files once the bundle holding them is written
+            for (const hash of hashes) {
+                await fs.unlink(path.join(this.dir, manifest.blobs[hash].file));
+                manifest.blobs[hash] = { bundle: bundleFile };
+                bundled++;
+            }
+        }
+
+        await this.pruneBlobs();
+        await this.saveManifest();
+        return { bundled, prunedSnapshots };
+    }
+
+    /**
+     * Remove stored content no snapshot refers to any more
+     */
+    async pruneBlobs() {
+        const manifest = await this.load();
+        const used = new Set(Object.values(manifest.snapshots).map(entry => entry.hash));
+        const bundlesToRewrite = new Set();
+
+        for (const [hash, blob] of Object.entries(manifest.blobs)) {
+            if (used.has(hash)) {
+                continue;
+            }
+            if (blob.file) {
+                await fs.unlink(path.join(this.dir, blob.file)).catch(() => {});
+            } else {
+                bundlesToRewrite.add(blob.bundle);
+            }
+            delete manifest.blobs[hash];
+        }
+
+        for (const bundleFile of bundlesToRewrite) {
+            const bundle = await this.readBundle(bundleFile);
+            Object.keys(bundle.blobs).forEach(hash => {
+                if (!used.has(hash)) {
+                    delete bundle.blobs[hash];
+                }
+            });
+
+            if (Object.keys(bundle.blobs).length === 0) {
+                await fs.unlink(path.join(this.dir, bundleFile));
+            } else {
+                await this.writeBundle(bundleFile, bundle);
+            }
+        }
+    }
+
+    async readBundle(bundleFile) {
+        const compressed = await fs.readFile(path.join(this.dir, bundleFile));
+        return JSON.parse((await gunzip(compressed)).toString('utf8'));
+    }
+
+    async writeBundle(bundleFile, bundle) {
+        await fs.mkdir(this.bundleDir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, bundleFile), await gzip(JSON.stringify(bundle)));
+    }
+
+    /**
+     * File name for new content: the usual daily name unless other content holds it
+     */
+    async freeFileName(date, hash) {
+        const manifest = await this.load();
+        const preferred = `processed-data-${date}.json`;
+        const taken = Object.values(manifest.blobs).some(blob => blob.file === preferred);
+        return taken ? `processed-data-${date}-${hash.slice(0, 8)}.json` : preferred;
+    }
+
+    /**
+     * Daily files that hold archived content (as opposed to unindexed ones)
+     */
+    managedFiles() {
+        return new Set(Object.values(this.manifest.blobs).map(blob => blob.file).filter(Boolean));
+    }
+
+    describeSources(sources = {}) {
+        const statuses = {};
+        Object.entries(sources).forEach(([id, source]) => {
+            statuses[id] = source?.status || 'unknown';
+        });
+        return statuses;
+    }
+}
+
+module.exports = SnapshotArchive;
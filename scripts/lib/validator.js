@@ -0,0 +1,60 @@
+/**
+ * Check runner shared by the validate-* scripts
+ * Runs named checks, prints one line per check and a summary, and gives
+ * the scripts a common way to read fixtures and exit with the result.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class Validator {
+    /**
+     * @param {string} fixtureDir - directory readFixture() reads from
+     */
+    constructor(fixtureDir = null) {
+        this.fixtureDir = fixtureDir;
+        this.passed = 0;
+        this.errors = [];
+    }
+
+    /**
+     * Run one check; a thrown error fails it without stopping the others
+     */
+    async check(name, fn) {
+        try {
+            await fn();
+            this.passed++;
+            console.log(`  ✓ ${name}`);
+        } catch (error) {
+            this.errors.push({ name, message: error.message });
+            console.log(`  ✗ ${name}\n    ${error.message.split('\n').join('\n    ')}`);
+        }
+    }
+
+    readFixture(file) {
+        return fs.readFile(path.join(this.fixtureDir, file), 'utf8');
+    }
+
+    /**
+     * Print the summary line
+     * @returns {boolean} true when every check passed
+     */
+    report() {
+        console.log(`\n${this.errors.length === 0 ? '✅' : '❌'} ${this.passed} passed, ${this.errors.length} failed`);
+        return this.errors.length === 0;
+    }
+
+    /**
+     * Run a validator's validateAll() from the command line and exit with its result
+     */
+    static main(validator, label) {
+        validator.validateAll()
+            .then(ok => process.exit(ok ? 0 : 1))
+            .catch(error => {
+                console.error(`💥 ${label} failed:`, error.message);
+                process.exit(1);
+            });
+    }
+}
+
+module.exports = Validator;
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Reprocess Script for Clearly Politics
+ * Rebuilds processed snapshots from the raw data they came from, so the
+ * archive reflects the current processData() logic, and logs what moved.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const DataCollector = require('./collect-data');
+const { parseArgs, formatUsage, UsageError } = require('./lib/cli-args');
+const { diffJSON } = require('./lib/json-diff');
+const SnapshotArchive = require('./lib/snapshot-archive');
+
+const RAW_PATTERN = /^raw-data-(\d{4}-\d{2}-\d{2})\.json$/;
+
+class SnapshotReprocessor {
+    constructor(options = {}) {
+        this.collector = options.collector || new DataCollector({
+            classification: options.classification
+        });
+        this.rawDir = this.collector.rawDir;
+
+        // Previous snapshots are read from the archive; rebuilt ones go to --out when given
+        this.archiveDir = this.collector.processedDir;
+        this.processedDir = options.outDir ? path.resolve(options.outDir) : this.archiveDir;
+        this.source = new SnapshotArchive(this.archiveDir);
+        this.target = this.processedDir === this.archiveDir ? this.source : new SnapshotArchive(this.processedDir);
+        this.changelogPath = path.join(this.processedDir, 'reprocess-changelog.jsonl');
+
+        this.from = options.from || null;
+        this.to = options.to || null;
+        this.dryRun = Boolean(options.dryRun);
+    }
+
+    /**
+     * Raw snapshot dates within the requested range, oldest first
+     */
+    async listDates() {
+        const files = await fs.readdir(this.rawDir).catch(() => []);
+        return files
+            .map(file => (file.match(RAW_PATTERN) || [])[1])
+            .filter(date => date && (!this.from || date >= this.from) && (!this.to || date <= this.to))
+            .sort();
+    }
+
+    async run() {
+        const dates = await this.listDates();
+        const entry = {
+            reprocessedAt: new Date().toISOString(),
+            processingVersion: DataCollector.PROCESSING_VERSION,
+            from: this.from,
+            to: this.to,
+            dryRun: this.dryRun,
+            snapshots: []
+        };
+
+        console.log(`🔁 Reprocessing ${dates.length} snapshot(s) with processing version ${entry.processingVersion}`);
+
+        for (const date of dates) {
+            try {
+                entry.snapshots.push(await this.reprocessDate(date, entry.reprocessedAt));
+            } catch (error) {
+                console.error(`❌ ${date}: ${error.message}`);
+                entry.snapshots.push({ date, error: error.message });
+            }
+        }
+
+        if (!this.dryRun) {
+            await this.updateLatest(dates);
+            if (entry.snapshots.length > 0) {
+                await fs.appendFile(this.changelogPath, JSON.stringify(entry) + '\n');
+                console.log(`📝 Changelog appended to ${path.basename(this.changelogPath)}`);
+            }
+        }
+
+        const moved = entry.snapshots.filter(snapshot => snapshot.numbersMoved > 0).length;
+        const failed = entry.snapshots.filter(snapshot => snapshot.error).length;
+        console.log(`✅ Reprocessed ${entry.snapshots.length - failed} snapshot(s); numbers moved in ${moved}, ${failed} failed`);
+
+        return entry;
+    }
+
+    /**
+     * Rebuild one day's processed snapshot and describe how it changed
+     */
+    async reprocessDate(date, reprocessedAt) {
+        const rawData = JSON.parse(await fs.readFile(path.join(this.rawDir, `raw-data-${date}.json`), 'utf8'));
+        const previous = await this.source.read(date);
+
+        const rebuilt = await this.collector.processData(rawData, { asOf: date });
+
+        // The snapshot keeps its original processing time; the rebuild gets its own stamp
+        rebuilt.metadata.processedAt = previous?.metadata?.processedAt || rebuilt.metadata.processedAt;
+        rebuilt.metadata.reprocessedAt = reprocessedAt;
+
+        const changes = previous ?
+            diffJSON(previous, rebuilt, { ignore: ['processedAt', 'reprocessedAt', 'collectedAt', 'durationMs', 'retrievedAt', 'derivedAt'] }) :
+            [];
+        const numbers = changes
+            .filter(change => change.type === 'changed' &&
+                typeof change.before === 'number' && typeof change.after === 'number')
+            .map(({ path: field, before, after }) => ({ path: field, before, after, delta: after - before }));
+
+        if (!this.dryRun) {
+            await this.target.put(date, rebuilt);
+        }
+        console.log(`📈 ${date}: ${previous ? `${numbers.length} number(s) moved, ${changes.length} change(s)` : 'snapshot created'}`);
+
+        return {
+            date,
+            previousVersion: previous?.metadata?.processingVersion || previous?.metadata?.version || null,
+            created: !previous,
+            numbersMoved: numbers.length,
+            numbers,
+            otherChanges: changes
+                .filter(change => !numbers.some(number => number.path === change.path))
+                .map(({ path: field, type }) => ({ path: field, type }))
+        };
+    }
+
+    /**
+     * Keep latest.json in step when the newest snapshot was rebuilt
+     */
+    async updateLatest(dates) {
+        const newest = (await this.target.list()).pop();
+
+        if (newest && dates.includes(newest)) {
+            const snapshot = await this.target.read(newest);
+            await fs.writeFile(path.join(this.processedDir, 'latest.json'), JSON.stringify(snapshot, null, 2));
+            console.log(`📍 latest.json rebuilt from ${newest}`);
+        }
+    }
+}
+
+const CLI_OPTIONS = {
+    from: { type: 'date', placeholder: 'YYYY-MM-DD', description: 'First snapshot date to rebuild (default: oldest)' },
+    to: { type: 'date', placeholder: 'YYYY-MM-DD', description: 'Last snapshot date to rebuild (default: newest)' },
+    out: { type: 'string', placeholder: 'dir', description: 'Write rebuilt snapshots to this directory' },
+    'dry-run': { type: 'boolean', description: 'Report what would move without writing' },
+    json: { type: 'boolean', description: 'Print the changelog entry on stdout' },
+    scheme: { type: 'string', placeholder: 'name', description: 'Political classification scheme' },
+    help: { type: 'boolean', description: 'Show this help' }
+};
+
+// CLI execution
+if (require.main === module) {
+    (async () => {
+        try {
+            const options = parseArgs(process.argv.slice(2), CLI_OPTIONS);
+            if (options.help) {
+                console.log(formatUsage('node scripts/reprocess-data.js', CLI_OPTIONS));
+                process.exit(0);
+            }
+            if (options.from && options.to && options.from > options.to) {
+                throw new UsageError('--from must not be after --to');
+            }
+            if (options.json) {
+                // Progress messages move to stderr so stdout carries only the changelog entry
+                console.log = (...messages) => console.error(...messages);
+            }
+
+            const reprocessor = new SnapshotReprocessor({
+                from: options.from,
+                to: options.to,
+                outDir: options.out,
+                dryRun: options.dryRun,
+                classification: options.scheme ? { scheme: options.scheme } : {}
+            });
+            if (options.out && !options.dryRun) {
+                await fs.mkdir(reprocessor.processedDir, { recursive: true });
+            }
+
+            const entry = await reprocessor.run();
+            if (options.json) {
+                process.stdout.write(JSON.stringify(entry, null, 2) + '\n');
+            }
+            process.exit(entry.snapshots.some(snapshot => snapshot.error) ? 1 : 0);
+        } catch (error) {
+            if (error instanceof UsageError) {
+                console.error(`${error.message}\n\n${formatUsage('node scripts/reprocess-data.js', CLI_OPTIONS)}`);
+                process.exit(2);
+            }
+            console.error('\n💥 Reprocessing failed:', error);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = SnapshotReprocessor;
@@ -0,0 +1,130 @@
+/**
+ * US Census Bureau population source
+ * Fetches the PEP vintages the population time series is missing, up to
+ * the year being analyzed, and reports populations for that year
+ */
+
+const SourceAdapter = require('./source-adapter');
+
+const API_BASE = 'https://api.census.gov/data';
+
+class CensusSource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'census',
+            name: 'US Census Bureau',
+            url: `${API_BASE}/`,
+            method: 'api',
+            frequency: 'annual',
+            message: '📊 Collecting Census population data...'
+        });
+    }
+
+    vintageUrl(vintage) {
+        return `${API_BASE}/${vintage}/pep/population?get=NAME,POP&for=state:*`;
+    }
+
+    /**
+     * Years from the series' first vintage through the analysis year that
+     * have no vintage yet
+     */
+    missingVintages(series, year) {
+        const years = series.years();
+        const missing = [];
+        for (let vintage = years.length ? years[0] : year; vintage <= year; vintage++) {
+            if (!years.includes(vintage)) {
+                missing.push(vintage);
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * A vintage that is not published yet is skipped; the source only fails
+     * when every missing vintage failed
+     */
+    async collect({ collector, year }) {
+        const missing = this.missingVintages(await collector.loadPopulationSeries(), year);
+        const vintages = [];
+        let lastError = null;
+
+        for (const vintage of missing) {
+            try {
+                vintages.push({ vintage, rows: await collector.fetchJSON(this.vintageUrl(vintage)) });
+            } catch (error) {
+                console.warn(`⚠️ Census vintage ${vintage} unavailable: ${error.message}`);
+                lastError = error;
+            }
+        }
+
+        if (missing.length > 0 && vintages.length === 0) {
+            throw lastError;
+        }
+        return vintages;
+    }
+
+    async normalize(vintages, { collector, year }) {
+        const series = await collector.loadPopulationSeries();
+
+        for (const { vintage, rows } of vintages) {
+            const statePopulations = {};
+            rows.slice(1).forEach(row => {
+                const [name, population] = row;
+                const stateAbbr = collector.getStateAbbreviation(name);
+                if (stateAbbr) {
+                    statePopulations[stateAbbr] = parseInt(population);
+                }
+            });
+
+            const count = Object.keys(statePopulations).length;
+            if (count < 51) {
+                throw new Error(`Census vintage ${vintage} covered only ${count} of 51 states`);
+            }
+
+            const source = `US Census Bureau, Population Estimates Program API, Vintage ${vintage}`;
+            series.addVintage(vintage, statePopulations, source);
+            await collector.savePopulationVintage(vintage, statePopulations, source);
+        }
+
+        const source = vintages.length > 0 ? 'US Census Bureau' : 'Population time series (data/sources/population.json)';
+        return {
+            ...this.describeYear(series, year, source),
+            fetchedVintages: vintages.map(({ vintage }) => vintage)
+        };
+    }
+
+    async fallback({ collector, year }, error) {
+        console.error('Error collecting Census data:', error.message);
+        const series = await collector.loadPopulationSeries();
+        return this.describeYear(series, year, 'Population time series (data/sources/population.json)');
+    }
+
+    provenance(data, status) {
+        const estimated = Object.values(data?.methods || {}).some(method => method !== 'vintage');
+        if (estimated) {
+            return { method: 'estimated', notes: `Populations for ${data.year} interpolated or extrapolated from Census vintages` };
+        }
+        if (status === 'success' && data.fetchedVintages.length > 0) {
+            return { url: this.vintageUrl(data.fetchedVintages[data.fetchedVintages.length - 1]) };
+        }
+        return { method: 'static', file: 'data/sources/population.json' };
+    }
+
+    /**
+     * Populations for the analysis year, plus the series they came from
+     */
+    describeYear(series, year, source) {
+        const { populations, methods, vintages } = series.forYear(year);
+        return {
+            populations,
+            source,
+            year,
+            methods,
+            vintages,
+            series: series.toJSON(),
+            collectedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = CensusSource;
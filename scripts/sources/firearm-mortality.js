@@ -0,0 +1,69 @@
+/**
+ * CDC firearm mortality source
+ * Firearm deaths by state, year and intent from CDC WONDER exports
+ * (tab-delimited .txt files under data/cdc/, see --cdc-exports)
+ */
+
+const SourceAdapter = require('./source-adapter');
+const CDCWonderImporter = require('../lib/cdc-wonder-importer');
+
+class FirearmMortalitySource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'firearmMortality',
+            name: 'CDC WONDER Firearm Mortality',
+            url: 'https://wonder.cdc.gov/ucd-icd10-expanded.html',
+            method: 'static',
+            frequency: 'annual',
+            message: '🏥 Collecting CDC firearm mortality data...'
+        });
+    }
+
+    async collect({ collector }) {
+        const imported = await new CDCWonderImporter(collector.cdcExports).importAll();
+        imported.files.forEach(file => {
+            console.log(`📄 ${file.file}: ${file.imported} of ${file.rows} row(s) imported`);
+        });
+        if (imported.conflicts.length > 0) {
+            console.warn(`⚠️ ${imported.conflicts.length} state/year/intent count(s) differ between exports; the first file read is kept`);
+        }
+
+        if (imported.records.length === 0) {
+            throw new Error('No CDC WONDER firearm mortality exports found (data/cdc/*.txt)');
+        }
+        return imported;
+    }
+
+    async normalize({ records, files, errors, conflicts }) {
+        return {
+            ...CDCWonderImporter.summarize(records),
+            source: 'CDC WONDER, Underlying Cause of Death (firearm injury deaths)',
+            imports: {
+                files,
+                malformedRows: errors.length,
+                conflicts: conflicts.length
+            },
+            methodology: 'Firearm deaths by state of residence, year and injury intent as exported from CDC WONDER. Counts under 10 are suppressed by NCHS and kept as suppressed rather than zero; rates below 20 deaths are statistically unreliable.',
+            collectedAt: new Date().toISOString()
+        };
+    }
+
+    provenance(data, status) {
+        if (status !== 'success') {
+            return { method: null, notes: 'No CDC firearm mortality data this run' };
+        }
+        return { file: 'data/cdc/' };
+    }
+
+    async fallback(context, error) {
+        console.warn(`⚠️ CDC firearm mortality unavailable: ${error.message}`);
+        return {
+            years: [],
+            source: 'Unavailable',
+            error: error.message,
+            collectedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = FirearmMortalitySource;
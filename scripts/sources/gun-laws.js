@@ -0,0 +1,56 @@
+/**
+ * Gun law strength source
+ * Scores computed from the curated provision database in
+ * data/sources/gun-laws.json (compiled from Giffords, RAND and Brady)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const SourceAdapter = require('./source-adapter');
+const GunLawDatabase = require('../../js/gun-laws');
+const { US_STATES } = require('../../js/states');
+
+class GunLawSource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'gunLaws',
+            name: 'State Gun Law Database',
+            url: 'https://giffords.org/lawcenter/gun-laws/browse-state-gun-laws/',
+            method: 'static',
+            frequency: 'annual',
+            message: '⚖️ Collecting Gun Law data...'
+        });
+    }
+
+    async collect({ collector }) {
+        const filePath = path.join(collector.sourcesDir, 'gun-laws.json');
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    }
+
+    async normalize(doc, { year }) {
+        const database = new GunLawDatabase(doc);
+        const states = Object.keys(US_STATES);
+        const asOf = GunLawDatabase.asDate(year);
+
+        return {
+            year,
+            asOf,
+            scores: database.scoresFor(states, asOf),
+            categoryScores: database.categoryScoresFor(states, asOf),
+            provisions: database.provisionsFor(states, asOf),
+            categories: database.categoryIds().map(id => ({
+                id,
+                label: doc.categories[id].label,
+                weight: doc.categories[id].weight
+            })),
+            sources: doc.sources,
+            methodology: doc.scoring.description,
+            // Kept whole so processing can score the laws in force in other years
+            database: doc,
+            lastUpdated: doc.lastReviewed,
+            collectedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = GunLawSource;
@@ -0,0 +1,221 @@
+/**
+ * Gun Violence Archive summary source
+ * GVA has no public API, so the summary figures are scraped from its reports
+ */
+
+const SourceAdapter = require('./source-adapter');
+const { parseStatisticCount, parseCasualties, parseStateRankings } = require('../lib/gva-parsers');
+const { STATE_CODES, US_STATES, getStateCode } = require('../../js/states');
+
+const BASE_URL = 'https://www.gunviolencearchive.org';
+const INCIDENT_STORE_SOURCE = 'Gun Violence Archive (Incident Store)';
+
+class GunViolenceSource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'gunViolence',
+            name: 'Gun Violence Archive',
+            url: BASE_URL,
+            method: 'scrape',
+            frequency: 'daily',
+            message: '🔫 Collecting Gun Violence Archive data...'
+        });
+    }
+
+    async collect({ year, collector }) {
+        console.log('🔄 Fetching data from Gun Violence Archive...');
+
+        // Fetch total incidents; a 403 means GVA is blocking us outright, and
+        // any other error page fails the request instead of reaching the parsers
+        const statsResponse = await collector.http.get(`${BASE_URL}/reports/total-number-of-incidents`, {
+            validateStatus: status => (status >= 200 && status < 300) || status === 403
+        });
+
+        if (statsResponse.status === 403) {
+            throw new Error('Access blocked by GVA. Using fallback data.');
+        }
+
+        const totalIncidents = parseStatisticCount(statsResponse.data, 'total-number-of-incidents');
+
+        const massResponse = await collector.http.get(`${BASE_URL}/reports/mass-shootings`);
+        const massShootings = parseStatisticCount(massResponse.data, 'mass-shootings');
+
+        const casualtyResponse = await collector.http.get(`${BASE_URL}/reports/casualties`);
+        const { deaths, injuries } = parseCasualties(casualtyResponse.data);
+
+        const stateResponse = await collector.http.get(`${BASE_URL}/reports/state-rankings`);
+        const stateRankings = parseStateRankings(stateResponse.data);
+
+        return {
+            totalIncidents,
+            massShootings,
+            deaths,
+            injuries,
+            stateRankings,
+            lastUpdated: new Date().toISOString(),
+            source: 'Gun Violence Archive (Live Data)',
+            methodology: 'Real-time data from GVA website scraping',
+            year
+        };
+    }
+
+    async normalize(raw, { data }) {
+        const { stateRankings, ...summary } = raw;
+        const liveCounts = {};
+
+        stateRankings.forEach(({ state, incidents }) => {
+            const code = getStateCode(state);
+            if (!code) {
+                console.warn(`⚠️ Ignoring unrecognized GVA state "${state}"`);
+                return;
+            }
+            if (liveCounts[code] === undefined) {
+                liveCounts[code] = incidents;
+            }
+        });
+
+        const missingCount = STATE_CODES.filter(code => liveCounts[code] === undefined).length;
+        if (missingCount > 0) {
+            console.warn(`⚠️ GVA state rankings missing ${missingCount} of ${STATE_CODES.length} states`);
+        }
+
+        return {
+            ...summary,
+            stateBreakdown: this.completeStateBreakdown(liveCounts, {
+                totalIncidents: summary.totalIncidents,
+                populations: data.census?.populations
+            })
+        };
+    }
+
+    /**
+     * Build a breakdown covering every state plus DC.
+     * States without a known count share the unexplained remainder of the
+     * national total in proportion to population, or are marked missing.
+     */
+    completeStateBreakdown(knownCounts, { totalIncidents, populations = {}, knownStatus = 'live' }) {
+        const unknown = STATE_CODES.filter(code => knownCounts[code] === undefined);
+        const knownTotal = Object.values(knownCounts).reduce((sum, count) => sum + count, 0);
+        const remainder = (totalIncidents || 0) - knownTotal;
+        const unknownPopulation = unknown.reduce((sum, code) => sum + (populations?.[code] || 0), 0);
+        const canEstimate = remainder > 0 && unknownPopulation > 0;
+
+        return STATE_CODES.map(code => {
+            if (knownCounts[code] !== undefined) {
+                return { state: code, name: US_STATES[code], incidents: knownCounts[code], status: knownStatus };
+            }
+            if (canEstimate && populations[code]) {
+                return {
+                    state: code,
+                    name: US_STATES[code],
+                    incidents: Math.floor(remainder * populations[code] / unknownPopulation),
+                    status: 'estimated'
+                };
+            }
+            return { state: code, name: US_STATES[code], incidents: null, status: 'missing' };
+        });
+    }
+
+    provenance(data, status) {
+        const fields = {};
+        if (data?.stateBreakdown?.some(state => state.status === 'estimated')) {
+            fields.stateBreakdown = 'estimated';
+        }
+
+        if (status === 'success') {
+            return { method: 'scraped', fields };
+        }
+        if (data?.source === INCIDENT_STORE_SOURCE) {
+            // Stored records carry no mass shooting flag, so that figure is a placeholder
+            return {
+                method: 'scraped',
+                fields: { ...fields, massShootings: 'mock' },
+                file: 'data/incidents/gva-incidents.jsonl'
+            };
+        }
+        return { method: 'estimated' };
+    }
+
+    async fallback({ collector, year, data }, error) {
+        console.error('❌ Error scraping Gun Violence Archive:', error.message);
+
+        // Prefer real incident records once the store covers the whole year
+        const history = collector.incidentStore.summarize({ year });
+        if (history.coverage.completeYear) {
+            console.log('⚠️ Falling back to the incident store...');
+            return this.fromIncidentHistory(history);
+        }
+
+        console.log('⚠️ Falling back to estimated data...');
+
+        // Fallback to estimation if scraping fails
+        const currentDate = new Date();
+        const daysIntoYear = Math.floor((currentDate - new Date(currentDate.getFullYear(), 0, 1)) / (1000 * 60 * 60 * 24));
+        const yearProgress = daysIntoYear / 365;
+
+        const baseIncidents = 48247 * 1.03;
+        const projectedIncidents = Math.floor(baseIncidents * yearProgress);
+
+        return {
+            totalIncidents: projectedIncidents,
+            massShootings: Math.floor(693 * yearProgress * 1.03),
+            deaths: Math.floor(15208 * yearProgress * 1.03),
+            injuries: Math.floor(33039 * yearProgress * 1.03),
+            stateBreakdown: this.getFallbackStateData(yearProgress, projectedIncidents, data.census?.populations),
+            lastUpdated: new Date().toISOString(),
+            source: 'Gun Violence Archive (Estimated)',
+            methodology: 'Estimated based on historical trends',
+            year
+        };
+    }
+
+    fromIncidentHistory(history) {
+        // With a complete year on record, a state with no stored incidents had none
+        const counts = Object.fromEntries(STATE_CODES.map(code => [code, 0]));
+        Object.entries(history.byState).forEach(([state, totals]) => {
+            const code = getStateCode(state);
+            if (code) counts[code] += totals.incidents;
+        });
+
+        return {
+            // Stored incidents carry no mass-shooting flag, so the count is left unknown
+            totalIncidents: history.incidents,
+            deaths: history.killed,
+            injuries: history.injured,
+            stateBreakdown: this.completeStateBreakdown(counts, { totalIncidents: history.incidents }),
+            lastUpdated: new Date().toISOString(),
+            source: INCIDENT_STORE_SOURCE,
+            methodology: 'Year-to-date totals computed from stored GVA incident records',
+            year: history.year
+        };
+    }
+
+    getFallbackStateData(yearProgress, projectedIncidents, populations) {
+        const baseData = [
+            { state: 'TX', base: 4234 },
+            { state: 'CA', base: 3892 },
+            { state: 'FL', base: 3456 },
+            { state: 'IL', base: 2845 },
+            { state: 'PA', base: 2456 },
+            { state: 'OH', base: 2234 },
+            { state: 'GA', base: 2134 },
+            { state: 'NC', base: 1987 },
+            { state: 'MI', base: 1876 },
+            { state: 'AZ', base: 1765 }
+        ];
+
+        const baseCounts = {};
+        baseData.forEach(state => {
+            baseCounts[state.state] = Math.floor(state.base * yearProgress * 1.03);
+        });
+
+        // Every figure here is a projection, including the ten anchor states
+        return this.completeStateBreakdown(baseCounts, {
+            totalIncidents: projectedIncidents,
+            populations,
+            knownStatus: 'estimated'
+        });
+    }
+}
+
+module.exports = GunViolenceSource;
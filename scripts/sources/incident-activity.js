@@ -0,0 +1,136 @@
+/**
+ * Incident activity source
+ * Counts incidents per state and day from the incident store, for the
+ * anomaly detector to compare against seasonal baselines. GVA exports are
+ * left out: each lists one report's incidents, while the scrapes list all
+ * of them, so mixing the two would change what a day's count means
+ * between a baseline and the period tested against it.
+ */
+
+const SourceAdapter = require('./source-adapter');
+const { getStateCode } = require('../../js/states');
+
+const BASE_URL = 'https://www.gunviolencearchive.org';
+
+// Incidents listed individually, enough for the processor's eight-week window
+const LISTED_DAYS = 56;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class IncidentActivitySource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'incidentActivity',
+            name: 'Incident Activity',
+            method: 'derived',
+            frequency: 'daily',
+            message: '🚨 Collecting incident activity for anomaly detection...'
+        });
+    }
+
+    async collect({ collector }) {
+        const store = collector.incidentStore;
+        const incidents = store.all()
+            .map(incident => ({
+                id: String(incident.id),
+                date: store.incidentDate(incident),
+                state: incident.state,
+                city: incident.city,
+                killed: incident.killed,
+                injured: incident.injured,
+                url: incident.sourceUrl
+            }))
+            .filter(incident => incident.date);
+
+        if (incidents.length === 0) {
+            throw new Error('No incident records available');
+        }
+
+        // Each stretch of scrapes no further apart than the 72-hour window is one covered range
+        const { firstSeen, lastSeen, gaps } = store.summarize({ year: new Date().getUTCFullYear() }).coverage;
+        const stretches = firstSeen ? [
+            ...gaps.map((gap, i) => ({ from: i === 0 ? firstSeen : gaps[i - 1].to, to: gap.from })),
+            { from: gaps.length ? gaps[gaps.length - 1].to : firstSeen, to: lastSeen }
+        ] : [];
+        // The window reaches three days back; the day of the last scrape is still filling in
+        const coverage = stretches.map(({ from, to }) => ({
+            start: this.isoDay(new Date(from).getTime() - 3 * DAY_MS),
+            end: this.isoDay(new Date(to).getTime() - DAY_MS),
+            source: 'incident store'
+        }));
+
+        if (coverage.length === 0) {
+            throw new Error('No logged scrapes to count incidents over');
+        }
+        return { incidents, coverage };
+    }
+
+    async normalize({ incidents, coverage }) {
+        const last = Math.max(...coverage.map(range => Date.parse(`${range.end}T00:00:00Z`)));
+        const listedFrom = this.isoDay(last - (LISTED_DAYS - 1) * DAY_MS);
+        const days = {};
+        const listed = [];
+        let unmatched = 0;
+
+        incidents.forEach(incident => {
+            const state = getStateCode(incident.state);
+            if (!state) {
+                unmatched++;
+                return;
+            }
+            const date = this.isoDay(incident.date.getTime());
+            days[state] = days[state] || {};
+            days[state][date] = (days[state][date] || 0) + 1;
+
+            if (date >= listedFrom) {
+                listed.push({
+                    id: incident.id,
+                    date,
+                    state,
+                    city: incident.city || null,
+                    killed: incident.killed || 0,
+                    injured: incident.injured || 0,
+                    url: incident.url || `${BASE_URL}/incident/${incident.id}`
+                });
+            }
+        });
+
+        if (unmatched > 0) {
+            console.warn(`⚠️ ${unmatched} incident(s) without a recognizable state left out of activity counts`);
+        }
+
+        return {
+            days,
+            coverage,
+            incidents: listed.sort((a, b) => (a.date === b.date ? a.id.localeCompare(b.id) : a.date.localeCompare(b.date))),
+            source: 'Gun Violence Archive incident store',
+            methodology: 'Incidents counted per state and day from the incident store\'s scrapes only. Days outside its scrape stretches are left out, not counted as zero.',
+            collectedAt: new Date().toISOString()
+        };
+    }
+
+    isoDay(time) {
+        return new Date(time).toISOString().split('T')[0];
+    }
+
+    provenance(data, status) {
+        if (status !== 'success') {
+            return { method: null, notes: 'No incident activity this run' };
+        }
+        return { method: 'scraped', url: `${BASE_URL}/last-72-hours`, file: 'data/incidents/gva-incidents.jsonl' };
+    }
+
+    async fallback(context, error) {
+        console.warn(`⚠️ Incident activity unavailable: ${error.message}`);
+        return {
+            days: {},
+            coverage: [],
+            incidents: [],
+            source: 'Unavailable',
+            error: error.message,
+            collectedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = IncidentActivitySource;
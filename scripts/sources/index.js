@@ -0,0 +1,39 @@
+/**
+ * Built-in data sources for Clearly Politics
+ * Add a new source by writing a SourceAdapter and registering it here
+ */
+
+const SourceAdapter = require('./source-adapter');
+const SourceRegistry = require('./registry');
+const CensusSource = require('./census');
+const GunViolenceSource = require('./gun-violence');
+const PoliticalViolenceSource = require('./political-violence');
+const GunLawSource = require('./gun-laws');
+const MonthlyTrendsSource = require('./monthly-trends');
+const RecentIncidentsSource = require('./recent-incidents');
+const HateCrimeSource = require('./hate-crimes');
+const FirearmMortalitySource = require('./firearm-mortality');
+const StateCovariatesSource = require('./state-covariates');
+const IncidentActivitySource = require('./incident-activity');
+
+function createDefaultRegistry() {
+    return new SourceRegistry([
+        new CensusSource(),
+        new GunViolenceSource(),
+        new PoliticalViolenceSource(),
+        new GunLawSource(),
+        new HateCrimeSource(),
+        new FirearmMortalitySource(),
+        new StateCovariatesSource(),
+        // Recent incidents feed the incident store the monthly trends and activity counts read from
+        new RecentIncidentsSource(),
+        new MonthlyTrendsSource(),
+        new IncidentActivitySource()
+    ]);
+}
+
+module.exports = {
+    SourceAdapter,
+    SourceRegistry,
+    createDefaultRegistry
+};
@@ -0,0 +1,153 @@
+/**
+ * Monthly gun violence trend source
+ * Aggregates incident-level records into per-month totals for the year,
+ * plus the months of earlier years for seasonal decomposition
+ */
+
+const SourceAdapter = require('./source-adapter');
+const DataProcessor = require('../../js/data-processor');
+
+class MonthlyTrendsSource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'monthlyTrends',
+            name: 'Monthly Trends',
+            method: 'derived',
+            frequency: 'daily',
+            message: '📈 Collecting monthly trend data...'
+        });
+        this.processor = new DataProcessor();
+    }
+
+    async collect({ collector, year }) {
+        const store = collector.incidentStore;
+        const scraped = store.all()
+            .map(incident => ({
+                id: incident.id,
+                date: store.incidentDate(incident),
+                killed: incident.killed,
+                injured: incident.injured
+            }))
+            .filter(incident => incident.date);
+        const stored = scraped.filter(incident => incident.date.getUTCFullYear() === year);
+
+        // Exports supply earlier years for the seasonal history, and this year when nothing is stored
+        const imported = await collector.loadGVAHistoricalData();
+        const exported = imported ? imported.incidents.map(incident => ({
+            id: incident.id,
+            date: incident.date,
+            killed: incident.casualties.killed,
+            injured: incident.casualties.injured
+        })) : [];
+        const firstSeen = scraped.length > 0 ? store.summarize({ year }).coverage.firstSeen : null;
+
+        if (stored.length > 0) {
+            return {
+                incidents: stored,
+                source: 'Gun Violence Archive incident store',
+                coverageStart: firstSeen,
+                history: { scraped, exported, coverageStart: firstSeen }
+            };
+        }
+
+        // No scraped history for this year yet: use the historical CSV exports
+        if (!imported) {
+            throw new Error(`No incident records available for ${year}`);
+        }
+
+        const reports = Array.from(new Set(imported.files.map(file => file.reportType).filter(Boolean)));
+        return {
+            incidents: exported,
+            source: `Gun Violence Archive historical exports (${reports.length ? reports.join(', ') : 'unknown reports'})`,
+            coverageStart: null,
+            history: { scraped, exported, coverageStart: firstSeen },
+            imports: {
+                files: imported.files,
+                malformedRows: imported.errors.length
+            }
+        };
+    }
+
+    async normalize({ incidents, source, coverageStart, history, imports }, { year }) {
+        const months = this.processor.aggregateMonthlyIncidents(incidents, year);
+        this.markUncovered(months, year, { coverageStart });
+
+        return {
+            data: months,
+            history: history ? this.aggregateHistory(history, year) : [],
+            source,
+            coverageStart,
+            ...(imports ? { imports } : {}),
+            methodology: 'Incidents, deaths and injuries counted per calendar month from incident records; partial months are flagged. Earlier years combine the incident store and GVA exports, counting each incident once.',
+            collectedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Months of every year before this one that the incident store or an
+     * export reaches, oldest first. A month is partial unless the scrape
+     * was running for all of it or it lies within an export's date span.
+     */
+    aggregateHistory({ scraped, exported, coverageStart }, year) {
+        const incidents = new Map();
+        [...exported, ...scraped].forEach(incident => incidents.set(incident.id, incident));
+        const all = Array.from(incidents.values()).filter(incident => incident.date.getUTCFullYear() < year);
+        if (all.length === 0) return [];
+
+        const monthKey = date => date.getUTCFullYear() * 12 + date.getUTCMonth();
+        const exportedMonths = exported.map(incident => monthKey(incident.date));
+        const exportSpan = exportedMonths.length > 0 ? [Math.min(...exportedMonths), Math.max(...exportedMonths)] : null;
+        const firstYear = Math.min(...all.map(incident => incident.date.getUTCFullYear()));
+
+        const history = [];
+        for (let historyYear = firstYear; historyYear < year; historyYear++) {
+            const months = this.processor.aggregateMonthlyIncidents(all, historyYear);
+            this.markUncovered(months, historyYear, {
+                coverageStart,
+                exportSpan,
+                monthKey: index => historyYear * 12 + index
+            });
+            history.push(...months);
+        }
+        return history;
+    }
+
+    /**
+     * Flag months the sources did not fully cover as partial
+     */
+    markUncovered(months, year, { coverageStart, exportSpan = null, monthKey = null }) {
+        // The 72-hour scrape window reaches back three days before collection began
+        const covered = coverageStart ? new Date(new Date(coverageStart).getTime() - 3 * 24 * 60 * 60 * 1000) : null;
+        months.forEach((month, index) => {
+            const scrapedAll = covered && new Date(Date.UTC(year, index, 1)) >= covered;
+            const exportedAll = exportSpan && monthKey(index) >= exportSpan[0] && monthKey(index) <= exportSpan[1];
+            // With neither a scrape start nor an export span the records are taken as complete
+            if ((covered || exportSpan) && !scrapedAll && !exportedAll) {
+                month.partial = true;
+            }
+        });
+    }
+
+    provenance(data, status) {
+        if (status !== 'success') {
+            return { method: null, notes: 'No monthly trend data this run' };
+        }
+        // Only incident-store aggregates have a coverage start
+        return data.coverageStart ?
+            { method: 'scraped', url: 'https://www.gunviolencearchive.org/last-72-hours', file: 'data/incidents/gva-incidents.jsonl' } :
+            { method: 'static', notes: 'Historical GVA CSV exports' };
+    }
+
+    async fallback(context, error) {
+        console.warn(`⚠️ Monthly trends unavailable: ${error.message}`);
+        return {
+            data: [],
+            source: 'Unavailable',
+            coverageStart: null,
+            error: error.message,
+            collectedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = MonthlyTrendsSource;
@@ -0,0 +1,51 @@
+/**
+ * Political violence source
+ * Aggregates counted from the curated incident dataset in
+ * data/sources/political-violence.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const SourceAdapter = require('./source-adapter');
+const PoliticalViolenceDataset = require('../../js/political-violence');
+
+class PoliticalViolenceSource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'politicalViolence',
+            name: 'Political Violence Incident Dataset',
+            method: 'static',
+            frequency: 'quarterly',
+            message: '🏛️ Collecting Political Violence data...'
+        });
+    }
+
+    async collect({ collector }) {
+        const filePath = path.join(collector.sourcesDir, 'political-violence.json');
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    }
+
+    async normalize(doc) {
+        const dataset = new PoliticalViolenceDataset(doc);
+        const problems = dataset.problems();
+        if (problems.length > 0) {
+            throw new Error(`Invalid political violence incidents: ${problems.map(problem => `${problem.id}: ${problem.message}`).join('; ')}`);
+        }
+
+        const summary = dataset.aggregate();
+        return {
+            ...summary,
+            // The records behind these totals, so narrower timeframes can be recounted from them
+            incidents: dataset.incidentsBetween(summary.from, summary.to),
+            categories: doc.categories,
+            classificationBases: doc.classificationBases,
+            selectionCriteria: doc.selectionCriteria,
+            sources: doc.sources,
+            methodology: doc.methodology,
+            lastUpdated: doc.lastReviewed,
+            collectedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = PoliticalViolenceSource;
@@ -0,0 +1,136 @@
+/**
+ * Recent GVA incidents source
+ * Scrapes the last-72-hours list and attaches a political-motivation analysis
+ */
+
+const SourceAdapter = require('./source-adapter');
+const { parseIncidentList, parseIncidentDetail, LayoutChangedError } = require('../lib/gva-parsers');
+
+const BASE_URL = 'https://www.gunviolencearchive.org';
+
+// Detail pages fetched per run; the rest wait for the next run
+const DETAIL_FETCH_LIMIT = 60;
+
+class RecentIncidentsSource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'recentIncidents',
+            name: 'Gun Violence Archive (Last 72 Hours)',
+            url: `${BASE_URL}/last-72-hours`,
+            method: 'scrape',
+            frequency: 'daily',
+            message: '🔍 Collecting recent incidents with analysis...'
+        });
+    }
+
+    async collect({ collector }) {
+        console.log('🔄 Fetching recent incidents from Gun Violence Archive...');
+
+        const response = await collector.http.get(this.url, {
+            // 403 is handled below; any other error page must not reach the parsers
+            validateStatus: status => (status >= 200 && status < 300) || status === 403
+        });
+
+        if (response.status === 403) {
+            throw new Error('Access blocked by GVA');
+        }
+
+        return parseIncidentList(response.data, { baseUrl: BASE_URL, page: 'last-72-hours' });
+    }
+
+    async normalize(incidents, { collector }) {
+        const store = collector.incidentStore;
+
+        // Only analyze incidents the store has not already analyzed
+        const known = incidents.filter(incident => store.hasAnalysis(incident.id));
+        const fresh = incidents.filter(incident => !store.hasAnalysis(incident.id));
+        known.forEach(incident => {
+            incident.analysis = store.get(incident.id).analysis;
+        });
+
+        // Analyze incidents for potential political motivation
+        const analyzedIncidents = fresh.length > 0 ?
+            [...known, ...await collector.analyzeIncidents(fresh)] :
+            known;
+
+        const details = await this.enrichIncidents(analyzedIncidents, { collector });
+
+        const lastUpdated = new Date().toISOString();
+        const merge = store.merge(analyzedIncidents, { seenAt: lastUpdated });
+        store.recordScrape({ at: lastUpdated, incidents: incidents.length });
+        if (!collector.dryRun) {
+            await store.save();
+        }
+        console.log(`🗃️ Incident store: ${merge.added} new, ${merge.updated} updated, ${store.size} total`);
+
+        return {
+            incidents: analyzedIncidents,
+            lastUpdated,
+            source: 'Gun Violence Archive',
+            timeframe: '72 hours',
+            store: merge,
+            details
+        };
+    }
+
+    /**
+     * Attach each incident's detail page (characteristics, participants,
+     * geolocation, news sources). Details are kept in the incident store,
+     * so every page is fetched once.
+     */
+    async enrichIncidents(incidents, { collector }) {
+        const store = collector.incidentStore;
+        const summary = { fetched: 0, cached: 0, failed: 0, deferred: 0 };
+        const pending = [];
+
+        incidents.forEach(incident => {
+            const stored = store.get(incident.id)?.details;
+            if (stored) {
+                incident.details = stored;
+                summary.cached++;
+            } else if (incident.sourceUrl) {
+                pending.push(incident);
+            }
+        });
+
+        for (const incident of pending.slice(0, DETAIL_FETCH_LIMIT)) {
+            try {
+                const response = await collector.http.get(incident.sourceUrl);
+                incident.details = {
+                    ...parseIncidentDetail(response.data, { id: incident.id, page: `incident ${incident.id}` }),
+                    fetchedAt: new Date().toISOString()
+                };
+                summary.fetched++;
+            } catch (error) {
+                summary.failed++;
+                if (error instanceof LayoutChangedError) {
+                    // Every other detail page would fail the same way
+                    console.error(`🧩 ${error.message}`);
+                    break;
+                }
+                console.warn(`⚠️ No details for incident ${incident.id}: ${error.message}`);
+            }
+        }
+
+        summary.deferred = pending.length - summary.fetched - summary.failed;
+        console.log(`🔎 Incident details: ${summary.fetched} fetched, ${summary.cached} cached, ${summary.failed} failed, ${summary.deferred} deferred`);
+        return summary;
+    }
+
+    provenance(data, status) {
+        return status === 'success' ? null : { method: null, notes: 'No incidents collected this run' };
+    }
+
+    async fallback(context, error) {
+        console.error('❌ Error fetching recent incidents:', error.message);
+        return {
+            incidents: [],
+            lastUpdated: new Date().toISOString(),
+            source: 'Gun Violence Archive',
+            timeframe: '72 hours',
+            error: error.message
+        };
+    }
+}
+
+module.exports = RecentIncidentsSource;
@@ -0,0 +1,54 @@
+/**
+ * Source Registry for Clearly Politics
+ * Keeps the ordered set of source adapters the collector runs
+ */
+
+class SourceRegistry {
+    constructor(adapters = []) {
+        this.adapters = new Map();
+        adapters.forEach(adapter => this.register(adapter));
+    }
+
+    /**
+     * Register an adapter. Sources run in registration order.
+     */
+    register(adapter) {
+        if (!adapter || !adapter.id) {
+            throw new Error('Cannot register a source adapter without an id');
+        }
+        if (typeof adapter.collect !== 'function') {
+            throw new Error(`Source "${adapter.id}" must implement collect()`);
+        }
+        if (this.adapters.has(adapter.id)) {
+            throw new Error(`Source "${adapter.id}" is already registered`);
+        }
+
+        this.adapters.set(adapter.id, adapter);
+        return this;
+    }
+
+    /**
+     * Remove an adapter, returning true if it was registered
+     */
+    unregister(id) {
+        return this.adapters.delete(id);
+    }
+
+    get(id) {
+        return this.adapters.get(id);
+    }
+
+    has(id) {
+        return this.adapters.has(id);
+    }
+
+    ids() {
+        return Array.from(this.adapters.keys());
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+}
+
+module.exports = SourceRegistry;
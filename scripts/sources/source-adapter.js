@@ -0,0 +1,66 @@
+/**
+ * Base Source Adapter for Clearly Politics
+ * A source adapter owns everything needed to turn one upstream source into
+ * a raw-data section: collecting it, normalizing it and, when collection
+ * fails, producing fallback data.
+ */
+
+class SourceAdapter {
+    constructor({ id, name, url = null, method = 'static', frequency = 'daily', message = null }) {
+        if (!id) {
+            throw new Error('Source adapters require an id');
+        }
+
+        this.id = id;
+        this.name = name || id;
+        this.url = url;
+        this.method = method;
+        this.frequency = frequency;
+        this.message = message || `Collecting ${this.name} data...`;
+    }
+
+    /**
+     * Fetch raw data from the upstream source. Throw to trigger the fallback.
+     */
+    async collect(context) {
+        throw new Error(`Source "${this.id}" does not implement collect()`);
+    }
+
+    /**
+     * Turn the collected payload into the raw-data section for this source
+     */
+    async normalize(raw, context) {
+        return raw;
+    }
+
+    /**
+     * Produce substitute data after collect/normalize failed.
+     * The default has no fallback and re-throws the original error.
+     */
+    async fallback(context, error) {
+        throw error;
+    }
+
+    /**
+     * Refine the provenance record for this run's data (see scripts/lib/provenance.js).
+     * Return fields to override, e.g. { method: 'estimated' }, or null for the defaults.
+     */
+    provenance(data, status) {
+        return null;
+    }
+
+    /**
+     * Describe the adapter for logs and run summaries
+     */
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            url: this.url,
+            method: this.method,
+            frequency: this.frequency
+        };
+    }
+}
+
+module.exports = SourceAdapter;
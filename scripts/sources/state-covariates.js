@@ -0,0 +1,66 @@
+/**
+ * State covariates source
+ * Socioeconomic and demographic covariates per state and year, read from
+ * CSV files under data/covariates/ (see --covariates), for the gun-law
+ * regression to adjust for
+ */
+
+const SourceAdapter = require('./source-adapter');
+const StateCovariateImporter = require('../lib/covariate-importer');
+
+class StateCovariatesSource extends SourceAdapter {
+    constructor() {
+        super({
+            id: 'stateCovariates',
+            name: 'State covariates (Census ACS and decennial)',
+            url: 'https://data.census.gov/',
+            method: 'static',
+            frequency: 'annual',
+            message: '📐 Collecting state covariates...'
+        });
+    }
+
+    async collect({ collector }) {
+        const imported = await new StateCovariateImporter(collector.covariateFiles).importAll();
+        imported.files.forEach(file => {
+            console.log(`📄 ${file.file}: ${file.imported} of ${file.rows} row(s) imported`);
+        });
+
+        if (imported.records.length === 0) {
+            throw new Error('No state covariate file found (data/covariates/*.csv)');
+        }
+        return imported;
+    }
+
+    async normalize({ records, files, errors }) {
+        return {
+            ...StateCovariateImporter.summarize(records),
+            source: 'State covariate file (data/covariates/)',
+            imports: {
+                files,
+                malformedRows: errors.length
+            },
+            methodology: 'One row per state and year. Income in dollars, poverty rate, urban share and the 15-34 age share in percent, density in residents per square mile of land.',
+            collectedAt: new Date().toISOString()
+        };
+    }
+
+    provenance(data, status) {
+        if (status !== 'success') {
+            return { method: null, notes: 'No state covariates this run' };
+        }
+        return { file: 'data/covariates/' };
+    }
+
+    async fallback(context, error) {
+        console.warn(`⚠️ State covariates unavailable: ${error.message}`);
+        return {
+            years: [],
+            source: 'Unavailable',
+            error: error.message,
+            collectedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = StateCovariatesSource;
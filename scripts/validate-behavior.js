@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Behavior Checks for Clearly Politics
+ * Runs the checks in scripts/checks/: each file exports named async
+ * functions that exercise one module and throw on a wrong result
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Validator = require('./lib/validator');
+
+class BehaviorValidator extends Validator {
+    constructor(checkDir = path.join(__dirname, 'checks')) {
+        super();
+        this.checkDir = checkDir;
+    }
+
+    async validateAll() {
+        console.log('🔍 Checking module behavior...\n');
+
+        const files = (await fs.readdir(this.checkDir)).filter(file => file.endsWith('.js')).sort();
+        for (const file of files) {
+            const checks = require(path.join(this.checkDir, file));
+            for (const [name, fn] of Object.entries(checks)) {
+                await this.check(`${path.basename(file, '.js')}: ${name}`, fn);
+            }
+        }
+
+        return this.report();
+    }
+}
+
+// CLI execution
+if (require.main === module) {
+    Validator.main(new BehaviorValidator(), 'Behavior checks');
+}
+
+module.exports = BehaviorValidator;
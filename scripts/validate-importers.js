@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Importer Validation Script for Clearly Politics
+ * Runs the file importers against the saved inputs in scripts/fixtures/importers/
+ * and checks that renamed columns are reported rather than silently read as empty
+ */
+
+const path = require('path');
+const assert = require('assert');
+const Validator = require('./lib/validator');
+const PopulationSeries = require('../js/population');
+const GVACsvImporter = require('./lib/gva-csv-importer');
+const HateCrimeImporter = require('./lib/hate-crime-importer');
+const CDCWonderImporter = require('./lib/cdc-wonder-importer');
+const StateCovariateImporter = require('./lib/covariate-importer');
+
+// Each importer's output for one file, as plain JSON
+const IMPORTERS = {
+    population: (text, file) => PopulationSeries.fromCSV(text, `Imported from ${file}`).toJSON(),
+    gva: (text, file) => new GVACsvImporter().importText(text, { file, reportType: GVACsvImporter.detectReportType(file) }),
+    hateCrimes: (text, file) => new HateCrimeImporter().importText(text, { file }),
+    cdcWonder: (text, file) => new CDCWonderImporter().importText(text, { file }),
+    covariates: (text, file) => new StateCovariateImporter().importText(text, { file })
+};
+
+class ImporterValidator extends Validator {
+    constructor(fixtureDir = path.join(__dirname, 'fixtures/importers')) {
+        super(fixtureDir);
+    }
+
+    async validateAll() {
+        console.log('🔍 Validating file importers against saved inputs...\n');
+
+        const { cases, drift } = JSON.parse(await this.readFixture('cases.json'));
+
+        for (const testCase of cases) {
+            await this.check(`${testCase.importer}(${testCase.fixture})`, async () => {
+                const text = await this.readFixture(testCase.fixture);
+                assert.deepStrictEqual(this.run(testCase.importer, text, testCase.fixture), testCase.expected);
+            });
+        }
+
+        for (const testCase of drift) {
+            await this.check(`${testCase.importer} detects: ${testCase.name}`, async () => {
+                const original = await this.readFixture(testCase.fixture);
+                const [from, to] = testCase.replace;
+                assert.ok(original.includes(from), `fixture does not contain "${from}"`);
+
+                const text = original.split(from).join(to);
+                let result;
+                try {
+                    result = this.run(testCase.importer, text, testCase.fixture);
+                } catch (error) {
+                    return;
+                }
+                assert.ok(
+                    (result.errors || []).some(error => error.line === 1),
+                    'a changed header must be reported as a file error, not imported as empty'
+                );
+            });
+        }
+
+        return this.report();
+    }
+
+    /**
+     * Import one fixture; Dates and other values are compared in their JSON form
+     */
+    run(importer, text, file) {
+        if (typeof IMPORTERS[importer] !== 'function') {
+            throw new Error(`Unknown importer ${importer}`);
+        }
+        return JSON.parse(JSON.stringify(IMPORTERS[importer](text, file)));
+    }
+}
+
+// CLI execution
+if (require.main === module) {
+    Validator.main(new ImporterValidator(), 'Importer validation');
+}
+
+module.exports = ImporterValidator;
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Parser Validation Script for Clearly Politics
+ * Runs the GVA page parsers against the saved pages in scripts/fixtures/gva/
+ * and checks that simulated redesigns raise LayoutChangedError
+ */
+
+const path = require('path');
+const assert = require('assert');
+const Validator = require('./lib/validator');
+const parsers = require('./lib/gva-parsers');
+
+class ParserValidator extends Validator {
+    constructor(fixtureDir = path.join(__dirname, 'fixtures/gva')) {
+        super(fixtureDir);
+    }
+
+    async validateAll() {
+        console.log('🔍 Validating GVA parsers against saved pages...\n');
+
+        const { cases, drift } = JSON.parse(await this.readFixture('cases.json'));
+
+        for (const testCase of cases) {
+            await this.check(`${testCase.parser}(${testCase.fixture})`, async () => {
+                const html = await this.readFixture(testCase.fixture);
+                assert.deepStrictEqual(this.run(testCase.parser, html, testCase.options), testCase.expected);
+            });
+        }
+
+        for (const testCase of drift) {
+            await this.check(`${testCase.parser} detects: ${testCase.name}`, async () => {
+                const original = await this.readFixture(testCase.fixture);
+                const [from, to] = testCase.replace;
+                assert.ok(original.includes(from), `fixture does not contain "${from}"`);
+
+                const html = original.split(from).join(to);
+                assert.throws(() => this.run(testCase.parser, html), parsers.LayoutChangedError);
+            });
+        }
+
+        return this.report();
+    }
+
+    run(parser, html, options) {
+        if (typeof parsers[parser] !== 'function') {
+            throw new Error(`Unknown parser ${parser}`);
+        }
+        return parsers[parser](html, options);
+    }
+}
+
+// CLI execution
+if (require.main === module) {
+    Validator.main(new ParserValidator(), 'Parser validation');
+}
+
+module.exports = ParserValidator;
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Regression Validation Script for Clearly Politics
+ * Fits the models in js/regression.js on cases whose results were derived
+ * independently (closed forms, or exact arithmetic on the saved inputs in
+ * scripts/fixtures/regression/) and compares them within a tolerance
+ */
+
+const path = require('path');
+const assert = require('assert');
+const Validator = require('./lib/validator');
+const Regression = require('../js/regression');
+const DataProcessor = require('../js/data-processor');
+const PopulationSeries = require('../js/population');
+const StateCovariateImporter = require('./lib/covariate-importer');
+
+// Relative tolerance, so the check does not hinge on the last bits of a float
+const TOLERANCE = 1e-8;
+
+class RegressionValidator extends Validator {
+    constructor(fixtureDir = path.join(__dirname, 'fixtures')) {
+        super(fixtureDir);
+    }
+
+    async validateAll() {
+        console.log('🔍 Validating regression models against derived results...\n');
+
+        const { models, regression } = JSON.parse(await this.readFixture('regression/cases.json'));
+
+        for (const testCase of models) {
+            await this.check(testCase.name, async () => {
+                const { rows, y, options } = testCase;
+                assertClose(Regression[testCase.model](rows, y, options), testCase.expected, testCase.model);
+            });
+        }
+
+        for (const testCase of regression) {
+            await this.check(testCase.name, async () => {
+                assertClose(await this.run(testCase), testCase.expected, 'result');
+            });
+        }
+
+        return this.report();
+    }
+
+    /**
+     * Run the gun-law regression on one case's saved inputs
+     */
+    async run({ inputs, covariates, options }) {
+        const { population, elections, gunLaws, gunViolence } = JSON.parse(await this.readFixture(inputs));
+        const imported = new StateCovariateImporter().importText(await this.readFixture(covariates), { file: path.basename(covariates) });
+
+        const processor = new DataProcessor({ population: PopulationSeries.fromJSON(population), elections });
+        return processor.processGunLawRegression(gunLaws, gunViolence, StateCovariateImporter.summarize(imported.records), options);
+    }
+}
+
+/**
+ * Compare the fields listed in expected; numbers within TOLERANCE, anything
+ * else exactly. Fields the expected value leaves out are not checked.
+ */
+function assertClose(actual, expected, at) {
+    if (typeof expected === 'number') {
+        assert.ok(typeof actual === 'number' && Math.abs(actual - expected) <= TOLERANCE * Math.max(1, Math.abs(expected)),
+            `${at}: expected ${expected}, got ${actual}`);
+    } else if (Array.isArray(expected)) {
+        assert.ok(Array.isArray(actual) && actual.length === expected.length,
+            `${at}: expected ${expected.length} item(s), got ${JSON.stringify(actual)}`);
+        expected.forEach((value, i) => assertClose(actual[i], value, `${at}[${i}]`));
+    } else if (expected !== null && typeof expected === 'object') {
+        assert.ok(actual !== null && typeof actual === 'object', `${at}: expected an object, got ${actual}`);
+        Object.keys(expected).forEach(key => assertClose(actual[key], expected[key], `${at}.${key}`));
+    } else {
+        assert.strictEqual(actual, expected, `${at}: expected ${expected}, got ${actual}`);
+    }
+}
+
+// CLI execution
+if (require.main === module) {
+    Validator.main(new RegressionValidator(), 'Regression validation');
+}
+
+module.exports = RegressionValidator;